@@ -0,0 +1,166 @@
+// backend-api/abuse.js
+// Abuse protection for review submission: a per-client rate limit on POST /reviews, and
+// screening of new reviews for near-duplicates (same place, similar text, short window),
+// profanity and spam. Suspicious reviews aren't rejected: they're saved as "quarantined",
+// kept off the map, and wait in the moderation queue with their reasons.
+// Rate-limit counters live in this process; behind a proxy set TRUST_PROXY so req.ip is the client.
+
+const num = (value, fallback) => {
+  const n = Number(value);
+  return value === undefined || value === "" || !Number.isFinite(n) ? fallback : n;
+};
+
+const wordList = (value, fallback) =>
+  value === undefined ? fallback : value.split(",").map((w) => w.trim().toLowerCase()).filter(Boolean);
+
+const MINUTE_MS = 60 * 1000;
+const HOUR_MS = 60 * MINUTE_MS;
+
+// Defaults for PROFANITY_WORDS / SPAM_WORDS (matched as whole words, any case)
+const PROFANITY = ["fuck", "fucking", "shit", "bitch", "bastard", "cunt", "dick", "asshole", "motherfucker", "slut", "whore"];
+const SPAM = ["casino", "viagra", "bitcoin", "crypto", "forex", "loan", "click here", "buy now", "earn money", "free money", "whatsapp", "telegram"];
+
+function abuseConfigFromEnv(env = process.env) {
+  return {
+    // Posts per client per window; 0 turns a limit off
+    rateWindowMs: num(env.REVIEW_RATE_WINDOW_MINUTES, 15) * MINUTE_MS,
+    rateLimitAnonymous: num(env.REVIEW_RATE_LIMIT, 5),          // per IP address
+    rateLimitUser: num(env.REVIEW_RATE_LIMIT_USER, 20),         // per signed-in account
+    // Near-duplicates: within this distance and window, with this much text in common (0-1)
+    duplicateRadiusM: num(env.DUPLICATE_RADIUS_M, 50),
+    duplicateWindowMs: num(env.DUPLICATE_WINDOW_HOURS, 24) * HOUR_MS,
+    duplicateSimilarity: num(env.DUPLICATE_SIMILARITY, 0.8),
+    // Content filter on description; CONTENT_FILTER=false skips it (duplicates are still caught)
+    contentFilter: env.CONTENT_FILTER !== "false",
+    profanityWords: wordList(env.PROFANITY_WORDS, PROFANITY),
+    spamWords: wordList(env.SPAM_WORDS, SPAM),
+    spamMaxLinks: num(env.SPAM_MAX_LINKS, 1)
+  };
+}
+
+// ---- Content filter ----
+
+const escapeRegExp = (s) => s.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
+// Undo the usual character swaps ("sh1t", "$pam") before matching words
+const LEET = { 0: "o", 1: "i", 3: "e", 4: "a", 5: "s", 7: "t", "@": "a", $: "s" };
+const unleet = (text) => text.toLowerCase().replace(/[013457@$]/g, (c) => LEET[c]);
+
+const wordsPattern = (words) =>
+  words.length ? new RegExp(`(?<![\\p{L}\\p{N}])(?:${words.map(escapeRegExp).join("|")})(?![\\p{L}\\p{N}])`, "u") : null;
+
+// One match per link: a URL, or a bare domain on a common spam TLD
+const LINK_RE = /(?:https?:\/\/|www\.)\S+|\b[a-z0-9-]+\.(?:com|net|org|info|biz|xyz|ru|io|ly)\b/gi;
+
+// Description → reasons it looks abusive ([] = clean):
+// "profanity" · "spam_words" · "links" · "repeated_text" · "shouting"
+function contentFlags(description, config) {
+  const flags = [];
+  const text = String(description);
+  const plain = unleet(text);
+
+  const profanity = wordsPattern(config.profanityWords);
+  if (profanity && profanity.test(plain)) flags.push("profanity");
+  const spam = wordsPattern(config.spamWords);
+  if (spam && spam.test(plain)) flags.push("spam_words");
+  if ((text.match(LINK_RE) || []).length > config.spamMaxLinks) flags.push("links");
+
+  // "!!!!!!!!!!", "aaaaaaaaaa" or the same few words over and over
+  const words = text.toLowerCase().match(/[\p{L}\p{N}]+/gu) || [];
+  if (/(.)\1{9,}/u.test(text) || (words.length >= 12 && new Set(words).size / words.length < 0.3)) {
+    flags.push("repeated_text");
+  }
+
+  const letters = text.match(/\p{L}/gu) || [];
+  const upper = letters.filter((c) => c !== c.toLowerCase()).length;
+  if (letters.length >= 20 && upper / letters.length > 0.7) flags.push("shouting");
+
+  return flags;
+}
+
+// ---- Near-duplicates ----
+
+// Character trigrams of the normalized text
+const trigrams = (text) => {
+  const s = ` ${String(text).toLowerCase().replace(/[^\p{L}\p{N}]+/gu, " ").trim()} `;
+  const grams = new Set();
+  for (let i = 0; i + 3 <= s.length; i++) grams.add(s.slice(i, i + 3));
+  return grams;
+};
+
+// Jaccard similarity of two texts' trigrams: 1 = same words, 0 = nothing in common
+function textSimilarity(a, b) {
+  const ga = trigrams(a);
+  const gb = trigrams(b);
+  if (!ga.size && !gb.size) return 1;
+  let shared = 0;
+  for (const g of ga) if (gb.has(g)) shared++;
+  return shared / (ga.size + gb.size - shared);
+}
+
+// ---- Protection ----
+
+// Moderators are never limited or screened
+const isTrusted = (user) => !!user && user.role === "moderator";
+
+function createAbuseProtection({ store, config = abuseConfigFromEnv() }) {
+  const hits = new Map(); // client key → timestamps (ms) of its posts inside the window
+
+  // Forget clients whose window has passed, so the map doesn't grow forever
+  const sweep = setInterval(() => {
+    const cutoff = Date.now() - config.rateWindowMs;
+    for (const [key, times] of hits) {
+      if (times[times.length - 1] <= cutoff) hits.delete(key);
+    }
+  }, Math.max(config.rateWindowMs, MINUTE_MS));
+  sweep.unref();
+
+  // Middleware for POST /reviews: 429 with Retry-After once a client has used its window.
+  // Runs after request validation (validation.js), so malformed posts don't count; anything
+  // later rejected (bad photos, say) still does.
+  function rateLimit(req, res, next) {
+    if (isTrusted(req.user)) return next();
+    const [key, limit] = req.user
+      ? [`user:${req.user.id}`, config.rateLimitUser]
+      : [`ip:${req.ip}`, config.rateLimitAnonymous];
+    if (!limit) return next();
+
+    const now = Date.now();
+    const times = (hits.get(key) || []).filter((t) => t > now - config.rateWindowMs);
+    if (times.length >= limit) {
+      hits.set(key, times);
+      res.set("Retry-After", String(Math.ceil((times[0] + config.rateWindowMs - now) / 1000)));
+      return res.status(429).json({ error: "Too many reviews from you recently. Please try again later." });
+    }
+    times.push(now);
+    hits.set(key, times);
+    next();
+  }
+
+  // A similar review posted at about the same place recently (any status, so repeats of a
+  // quarantined review are caught too)
+  async function findDuplicate({ lat, lng, description }) {
+    const { reviews } = await store.reviews.list({
+      near: { lat, lng, radius: config.duplicateRadiusM },
+      since: new Date(Date.now() - config.duplicateWindowMs),
+      limit: 200
+    });
+    return reviews.find((r) => textSimilarity(r.description, description) >= config.duplicateSimilarity) || null;
+  }
+
+  // New review → reasons to quarantine it ([] = publish): "duplicate" plus the content flags
+  async function screen(review, user) {
+    if (isTrusted(user)) return [];
+    const reasons = config.contentFilter ? contentFlags(review.description, config) : [];
+    if (await findDuplicate(review)) reasons.unshift("duplicate");
+    return reasons;
+  }
+
+  // Edited description → content flags only (an edit can't duplicate its own review)
+  const screenEdit = (description, user) =>
+    (config.contentFilter && !isTrusted(user) ? contentFlags(description, config) : []);
+
+  return { config, rateLimit, screen, screenEdit };
+}
+
+module.exports = { abuseConfigFromEnv, contentFlags, textSimilarity, createAbuseProtection };
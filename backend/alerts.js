@@ -0,0 +1,135 @@
+// backend-api/alerts.js
+// In-process safety alerts: buckets reviews into ALERT_TILE_DEG tiles (~1 km), emails when a tile
+// collects more than ALERT_THRESHOLD reviews inside the window, then cools down.
+const { smtpConfigFromEnv, createTransport } = require("./mailer");
+
+const num = (value, fallback) => {
+  const n = Number(value);
+  return value === undefined || value === "" || !Number.isFinite(n) ? fallback : n;
+};
+
+// All knobs come from the environment; defaults match the old sidecar
+function alertConfigFromEnv(env = process.env) {
+  return {
+    enabled: env.ALERTS_ENABLED !== "false",
+    tileDegrees: num(env.ALERT_TILE_DEG, 0.01),            // ~1.1 km of latitude
+    threshold: num(env.ALERT_THRESHOLD, 5),                // alert when count > threshold
+    windowMinutes: num(env.ALERT_WINDOW_MINUTES, 24 * 60), // counting window
+    cooldownMinutes: num(env.ALERT_COOLDOWN_MINUTES, 6 * 60),
+    maxSafety: num(env.ALERT_MAX_SAFETY, 5),               // only count reviews rated <= this (5 = all)
+    to: env.ALERT_EMAIL_TO || "",
+    from: env.ALERT_EMAIL_FROM || "safe-nav alerts <alerts@localhost>",
+    smtp: smtpConfigFromEnv(env)
+  };
+}
+
+const M_PER_DEG = 111320; // meters per degree of latitude; longitude shrinks with cos(lat)
+
+// "1.1 km" / "550 m"
+const formatDistance = (m) => (m >= 1000 ? `${(m / 1000).toFixed(1).replace(/\.0$/, "")} km` : `${Math.round(m)} m`);
+
+// The tile's real size at its latitude, e.g. "1.1 km × 1.1 km" for 0.01° near the equator
+const tileSizeText = (tile) => {
+  const lat = (tile.minLat + tile.maxLat) / 2;
+  const height = (tile.maxLat - tile.minLat) * M_PER_DEG;
+  const width = (tile.maxLng - tile.minLng) * M_PER_DEG * Math.cos((lat * Math.PI) / 180);
+  return `${formatDistance(height)} × ${formatDistance(width)}`;
+};
+
+const tileFor = (lat, lng, size) => {
+  const row = Math.floor(lat / size);
+  const col = Math.floor(lng / size);
+  return {
+    key: `${row}:${col}`,
+    minLat: row * size,
+    maxLat: (row + 1) * size,
+    minLng: col * size,
+    maxLng: (col + 1) * size
+  };
+};
+
+function createAlertsEngine({ store, config = alertConfigFromEnv(), transport = createTransport(config.smtp) }) {
+  // Per-tile chain so two reviews landing together can't both pass the cooldown check
+  const tileLocks = new Map();
+
+  async function sendAlertEmail(tile, count, review) {
+    const center = { lat: (tile.minLat + tile.maxLat) / 2, lng: (tile.minLng + tile.maxLng) / 2 };
+    const hours = (config.windowMinutes / 60).toFixed(1).replace(/\.0$/, "");
+    const lines = [
+      `${count} safety reviews were reported in a ${tileSizeText(tile)} area around ${center.lat.toFixed(5)}, ${center.lng.toFixed(5)} in the last ${hours}h.`,
+      review.address ? `Latest location: ${review.address}` : null,
+      review.description ? `Latest report: "${review.description}"` : null,
+      `Map: https://www.google.com/maps?q=${center.lat.toFixed(6)},${center.lng.toFixed(6)}`
+    ].filter(Boolean);
+
+    return transport.sendMail({
+      from: config.from,
+      to: config.to,
+      subject: `Safety alert: ${count} reports near ${review.address || `${center.lat.toFixed(3)}, ${center.lng.toFixed(3)}`}`,
+      text: lines.join("\n")
+    });
+  }
+
+  async function checkTile(review) {
+    const tile = tileFor(review.lat, review.lng, config.tileDegrees);
+
+    const minutesAgo = (m) => new Date(Date.now() - m * 60 * 1000);
+    if (await store.alerts.latestForTile(tile.key, minutesAgo(config.cooldownMinutes))) return null; // still cooling down
+
+    const count = await store.reviews.countInBox(tile, {
+      maxSafety: config.maxSafety,
+      since: minutesAgo(config.windowMinutes)
+    });
+    if (count <= config.threshold) return null;
+
+    let status = "sent";
+    let error = null;
+    if (!config.to) {
+      status = "logged"; // recorded, nobody to email
+    } else {
+      try {
+        const info = await sendAlertEmail(tile, count, review);
+        if (!config.smtp) {
+          status = "logged";
+          console.log("Alert email (no SMTP_HOST, not delivered):", info.message);
+        }
+      } catch (err) {
+        status = "failed";
+        error = err.message || String(err);
+        console.error("Alert email failed:", error);
+      }
+    }
+
+    return store.alerts.create({
+      tile: tile.key,
+      lat: (tile.minLat + tile.maxLat) / 2,
+      lng: (tile.minLng + tile.maxLng) / 2,
+      reviewCount: count,
+      windowMinutes: Math.round(config.windowMinutes),
+      recipients: config.to || null,
+      status,
+      error
+    });
+  }
+
+  // Called after a review is stored. Never throws; returns the alert raised, if any.
+  function onReviewCreated(review) {
+    if (!config.enabled) return Promise.resolve(null);
+    const key = tileFor(review.lat, review.lng, config.tileDegrees).key;
+    const run = (tileLocks.get(key) || Promise.resolve())
+      .then(() => checkTile(review))
+      .catch((err) => {
+        console.error("Alert check failed:", err.message || err);
+        return null;
+      });
+    tileLocks.set(key, run);
+    run.then(() => { if (tileLocks.get(key) === run) tileLocks.delete(key); });
+    return run;
+  }
+
+  const listAlerts = (query) => store.alerts.list(query);
+
+  return { config, onReviewCreated, listAlerts };
+}
+
+module.exports = { alertConfigFromEnv, createAlertsEngine, tileFor };
@@ -0,0 +1,156 @@
+// backend-api/auth.js
+// Accounts + token sessions. Passwords are scrypt-hashed; session tokens are random
+// and only their SHA-256 is stored, so a leaked sessions table can't be replayed.
+const crypto = require("crypto");
+const express = require("express");
+
+const SESSION_TTL_HOURS = Number(process.env.SESSION_TTL_HOURS) || 24 * 30;
+// Comma-separated emails that get the moderator role when they register or log in
+const MODERATOR_EMAILS = (process.env.MODERATOR_EMAILS || "")
+  .split(",")
+  .map((e) => e.trim().toLowerCase())
+  .filter(Boolean);
+
+const EMAIL_RE = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+const MIN_PASSWORD_LENGTH = 8;
+
+const scrypt = (password, salt) =>
+  new Promise((resolve, reject) =>
+    crypto.scrypt(password, salt, 64, (err, key) => (err ? reject(err) : resolve(key)))
+  );
+
+async function hashPassword(password) {
+  const salt = crypto.randomBytes(16);
+  const key = await scrypt(password, salt);
+  return `scrypt$${salt.toString("hex")}$${key.toString("hex")}`;
+}
+
+async function verifyPassword(password, stored) {
+  const [scheme, saltHex, keyHex] = String(stored).split("$");
+  if (scheme !== "scrypt" || !saltHex || !keyHex) return false;
+  const expected = Buffer.from(keyHex, "hex");
+  const actual = await scrypt(password, Buffer.from(saltHex, "hex"));
+  return actual.length === expected.length && crypto.timingSafeEqual(actual, expected);
+}
+
+const hashToken = (token) => crypto.createHash("sha256").update(token).digest("hex");
+
+const roleFor = (email) => (MODERATOR_EMAILS.includes(email) ? "moderator" : "user");
+
+// Only the author or a moderator may change/remove a review
+const canModifyReview = (user, review) =>
+  Boolean(user) && (user.role === "moderator" || (review.authorId != null && review.authorId === user.id));
+
+function createAuth({ store }) {
+  async function createSession(userId) {
+    const token = crypto.randomBytes(32).toString("base64url");
+    await store.sessions.create({
+      tokenHash: hashToken(token),
+      userId,
+      expiresAt: new Date(Date.now() + SESSION_TTL_HOURS * 60 * 60 * 1000)
+    });
+    return token;
+  }
+
+  // Sets req.user when a valid "Authorization: Bearer <token>" is present; never rejects
+  async function authenticate(req, _res, next) {
+    req.user = null;
+    const match = /^Bearer\s+(\S+)$/i.exec(req.get("Authorization") || "");
+    if (!match) return next();
+    try {
+      const user = await store.sessions.findUser(hashToken(match[1]));
+      if (user) req.user = { ...user, token: match[1] };
+      next();
+    } catch (err) {
+      next(err);
+    }
+  }
+
+  function requireAuth(req, res, next) {
+    if (!req.user) return res.status(401).json({ error: "Authentication required" });
+    next();
+  }
+
+  function requireModerator(req, res, next) {
+    if (!req.user) return res.status(401).json({ error: "Authentication required" });
+    if (req.user.role !== "moderator") return res.status(403).json({ error: "Moderator only" });
+    next();
+  }
+
+  const router = express.Router();
+
+  // POST /auth/register { email, password, displayName? }
+  router.post("/register", async (req, res) => {
+    const { email, password, displayName } = req.body || {};
+    const normalized = typeof email === "string" ? email.trim().toLowerCase() : "";
+    if (!EMAIL_RE.test(normalized) || typeof password !== "string" || password.length < MIN_PASSWORD_LENGTH) {
+      return res.status(400).json({ error: `Valid email and a password of at least ${MIN_PASSWORD_LENGTH} characters required` });
+    }
+
+    try {
+      const user = await store.users.create({
+        email: normalized,
+        passwordHash: await hashPassword(password),
+        displayName: typeof displayName === "string" ? displayName.trim() || null : null,
+        role: roleFor(normalized)
+      });
+      if (!user) return res.status(409).json({ error: "Email already registered" });
+
+      const token = await createSession(user.id);
+      res.status(201).json({ token, user });
+    } catch (err) {
+      console.error("POST /auth/register error:", err);
+      res.status(500).json({ error: "Server error" });
+    }
+  });
+
+  // POST /auth/login { email, password }
+  router.post("/login", async (req, res) => {
+    const { email, password } = req.body || {};
+    if (typeof email !== "string" || typeof password !== "string") {
+      return res.status(400).json({ error: "Email and password required" });
+    }
+
+    try {
+      const normalized = email.trim().toLowerCase();
+      const found = await store.users.findByEmail(normalized);
+      if (!found || !(await verifyPassword(password, found.passwordHash))) {
+        return res.status(401).json({ error: "Invalid email or password" });
+      }
+
+      // Promote addresses added to MODERATOR_EMAILS after they registered
+      const { passwordHash, ...user } = found;
+      if (user.role !== "moderator" && roleFor(normalized) === "moderator") {
+        await store.users.setRole(user.id, "moderator");
+        user.role = "moderator";
+      }
+
+      const token = await createSession(user.id);
+      res.json({ token, user });
+    } catch (err) {
+      console.error("POST /auth/login error:", err);
+      res.status(500).json({ error: "Server error" });
+    }
+  });
+
+  // POST /auth/logout — revokes the presented token
+  router.post("/logout", requireAuth, async (req, res) => {
+    try {
+      await store.sessions.remove(hashToken(req.user.token));
+      res.status(204).send();
+    } catch (err) {
+      console.error("POST /auth/logout error:", err);
+      res.status(500).json({ error: "Server error" });
+    }
+  });
+
+  // GET /auth/me — current user
+  router.get("/me", requireAuth, (req, res) => {
+    const { token, ...user } = req.user;
+    res.json(user);
+  });
+
+  return { authenticate, requireAuth, requireModerator, router };
+}
+
+module.exports = { createAuth, canModifyReview, hashPassword, verifyPassword, MIN_PASSWORD_LENGTH };
@@ -0,0 +1,35 @@
+// backend-api/categories.js
+// Fixed incident taxonomy for review tags. Reviews store the ids, so renaming a
+// label is free but removing/renaming an id needs a data migration.
+
+const CATEGORIES = [
+  { id: "poor_lighting", label: "Poor lighting", group: "Lighting" },
+  { id: "broken_streetlight", label: "Broken streetlight", group: "Lighting" },
+  { id: "harassment", label: "Harassment", group: "Personal safety" },
+  { id: "theft", label: "Theft / snatching", group: "Personal safety" },
+  { id: "isolated", label: "Deserted / isolated", group: "Personal safety" },
+  { id: "pothole", label: "Potholes / road damage", group: "Infrastructure" },
+  { id: "no_footpath", label: "Missing or blocked footpath", group: "Infrastructure" },
+  { id: "unsafe_crossing", label: "Unsafe crossing", group: "Infrastructure" },
+  { id: "open_drain", label: "Open drain / waterlogging", group: "Infrastructure" },
+  { id: "reckless_traffic", label: "Reckless traffic", group: "Traffic" },
+  { id: "stray_animals", label: "Stray animals", group: "Other" }
+];
+
+const CATEGORY_IDS = CATEGORIES.map((c) => c.id);
+
+// Unknown ids in a list, or [] when all are valid
+const unknownCategories = (ids) => ids.filter((id) => !CATEGORY_IDS.includes(id));
+
+// Request body value -> { categories } (deduped, taxonomy order) or { error }
+function parseCategories(value) {
+  if (value === undefined || value === null) return { categories: [] };
+  if (!Array.isArray(value) || value.some((v) => typeof v !== "string")) {
+    return { error: "categories must be an array of category ids" };
+  }
+  const unknown = unknownCategories(value);
+  if (unknown.length) return { error: `Unknown categories: ${unknown.join(", ")}` };
+  return { categories: CATEGORY_IDS.filter((id) => value.includes(id)) };
+}
+
+module.exports = { CATEGORIES, CATEGORY_IDS, unknownCategories, parseCategories };
@@ -0,0 +1,21 @@
+// backend-api/db.js
+// Postgres pool for the API's postgres store and the CLI scripts.
+// SSL is on by default (Neon); DATABASE_SSL=false for a local server,
+// DATABASE_SSL=verify to also check the certificate.
+const { Pool } = require("pg");
+require("dotenv").config();
+
+function sslFromEnv(value) {
+  if (value === "false") return false;
+  if (value === "verify") return { rejectUnauthorized: true };
+  return { rejectUnauthorized: false };
+}
+
+function createPool(env = process.env) {
+  return new Pool({
+    connectionString: env.DATABASE_URL,
+    ssl: sslFromEnv(env.DATABASE_SSL)
+  });
+}
+
+module.exports = { createPool };
@@ -0,0 +1,195 @@
+// backend-api/geocoder.js
+// Reverse geocoding for new reviews. A pluggable geocoder (GEOCODER=off | local | nominatim)
+// turns a point into { street, neighbourhood, locality }. Off by default: remote lookups are
+// opt-in, since they send every review's location to the provider. The results are normalized and
+// cached in the store by coordinate rounded to GEOCODE_CACHE_DECIMALS, so reviews at the
+// same spot share one lookup. "local" is an offline stand-in for development and tests.
+const { encode: geohash } = require("./geohash");
+
+const num = (value, fallback) => {
+  const n = Number(value);
+  return value === undefined || value === "" || !Number.isFinite(n) ? fallback : n;
+};
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const PUBLIC_NOMINATIM_URL = "https://nominatim.openstreetmap.org";
+
+function geocoderConfigFromEnv(env = process.env) {
+  const provider = env.GEOCODER || "off";
+  const nominatimUrl = (env.NOMINATIM_URL || PUBLIC_NOMINATIM_URL).replace(/\/$/, "");
+  const publicNominatim = provider === "nominatim" && nominatimUrl === PUBLIC_NOMINATIM_URL;
+  return {
+    provider,
+    cacheDecimals: num(env.GEOCODE_CACHE_DECIMALS, 4),   // 4 ≈ 11 m cells
+    cacheDays: num(env.GEOCODE_CACHE_DAYS, 90),          // cached places older than this are looked up again
+    timeoutMs: num(env.GEOCODE_TIMEOUT_MS, 3000),        // POST /reviews waits at most this long
+    nominatimUrl,
+    // Public Nominatim allows 1 request/s and wants an identifying User-Agent; other providers: 0
+    minIntervalMs: num(env.GEOCODE_MIN_INTERVAL_MS, publicNominatim ? 1000 : 0),
+    userAgent: env.GEOCODE_USER_AGENT || null,         // required for public Nominatim, with a contact
+    language: env.GEOCODE_LANGUAGE || "en"
+  };
+}
+
+// ---- Normalization ----
+
+// Trim, collapse whitespace, drop stray punctuation at the ends; "" → null
+const cleanName = (value) => {
+  if (typeof value !== "string") return null;
+  const s = value.normalize("NFC").replace(/\s+/g, " ").replace(/^[\s,;.-]+|[\s,;.-]+$/g, "");
+  return s || null;
+};
+
+const sameName = (a, b) => !!a && !!b && a.toLowerCase() === b.toLowerCase();
+
+// { street, neighbourhood, locality } from any geocoder → the stored place, with a
+// formatted address built from the same parts (a neighbourhood named after its city is dropped)
+function normalizePlace(raw) {
+  const street = cleanName(raw && raw.street);
+  const locality = cleanName(raw && raw.locality);
+  let neighbourhood = cleanName(raw && raw.neighbourhood);
+  if (sameName(neighbourhood, locality)) neighbourhood = null;
+  const address = [street, neighbourhood, locality].filter(Boolean).join(", ") || null;
+  return { street, neighbourhood, locality, address };
+}
+
+// Resolved place (or null) + the address the client typed → the review's place columns.
+// The typed address is kept only when there is no geocoded one.
+const placeFields = (place, typedAddress) => ({
+  address: (place && place.address) || (typeof typedAddress === "string" && typedAddress.trim()) || null,
+  street: place && place.street,
+  neighbourhood: place && place.neighbourhood,
+  locality: place && place.locality
+});
+
+// ---- Geocoders: { name, reverse({ lat, lng }) → raw place | null } ----
+
+const pick = (obj, keys) => keys.map((k) => obj[k]).find(Boolean);
+
+// An email address or URL the provider can reach the operator at
+const hasContact = (userAgent) => /\S+@\S+\.\S+|https?:\/\/\S+/.test(userAgent || "");
+
+// Nominatim (OpenStreetMap), public or self-hosted
+function createNominatimGeocoder(config) {
+  if (config.nominatimUrl === PUBLIC_NOMINATIM_URL && !hasContact(config.userAgent)) {
+    throw new Error(
+      "GEOCODER=nominatim uses the public OpenStreetMap server: set GEOCODE_USER_AGENT to your app's name " +
+      'with a contact email or URL (e.g. "my-safetymap/1.0 (ops@example.org)"), or NOMINATIM_URL to your own server'
+    );
+  }
+  return {
+    name: "nominatim",
+    async reverse({ lat, lng }) {
+      const params = new URLSearchParams({ format: "jsonv2", lat, lon: lng, zoom: 18, addressdetails: 1 });
+      const res = await fetch(`${config.nominatimUrl}/reverse?${params}`, {
+        headers: { ...(config.userAgent && { "User-Agent": config.userAgent }), "Accept-Language": config.language },
+        signal: AbortSignal.timeout(config.timeoutMs)
+      });
+      if (!res.ok) throw new Error(`Nominatim HTTP ${res.status}`);
+      const body = await res.json();
+      if (!body.address) return null; // e.g. { error: "Unable to geocode" } out at sea
+      const a = body.address;
+      return {
+        street: pick(a, ["road", "pedestrian", "footway", "path", "cycleway", "square"]),
+        neighbourhood: pick(a, ["neighbourhood", "suburb", "quarter", "city_district", "hamlet"]),
+        locality: pick(a, ["city", "town", "village", "municipality", "county"])
+      };
+    }
+  };
+}
+
+// Offline and deterministic: nearby points share names derived from their geohash cell
+// (~1.2 km neighbourhoods inside ~40 km localities)
+function createLocalGeocoder() {
+  return {
+    name: "local",
+    async reverse({ lat, lng }) {
+      return {
+        street: null,
+        neighbourhood: `Sector ${geohash(lat, lng, 6)}`,
+        locality: `Area ${geohash(lat, lng, 4)}`
+      };
+    }
+  };
+}
+
+const GEOCODERS = {
+  off: () => null,
+  local: createLocalGeocoder,
+  nominatim: createNominatimGeocoder
+};
+
+function createGeocoderFromConfig(config) {
+  const make = GEOCODERS[config.provider];
+  if (!make) throw new Error(`Unknown GEOCODER "${config.provider}" (expected ${Object.keys(GEOCODERS).join(", ")})`);
+  return make(config);
+}
+
+// ---- Cached lookups ----
+
+function createReverseGeocoding({ store, config = geocoderConfigFromEnv(), geocoder = createGeocoderFromConfig(config) }) {
+  const inFlight = new Map(); // cache key → pending lookup, so a burst at one spot asks once
+  let queue = Promise.resolve(); // spaces provider requests minIntervalMs apart
+
+  const keyFor = ({ lat, lng }) => `${lat.toFixed(config.cacheDecimals)},${lng.toFixed(config.cacheDecimals)}`;
+
+  const throttled = (fn) => {
+    const run = queue.then(fn);
+    queue = run
+      .catch(() => {})
+      .then(() => new Promise((resolve) => setTimeout(resolve, config.minIntervalMs)));
+    return run;
+  };
+
+  const fromCache = (key) => store.geocodes.get(key, new Date(Date.now() - config.cacheDays * DAY_MS));
+
+  // Cache, then the provider (at the rounded point, so the cached place matches its key)
+  async function lookup(key) {
+    const cached = await fromCache(key);
+    if (cached) return cached;
+
+    const [lat, lng] = key.split(",").map(Number);
+    const place = normalizePlace(await throttled(() => geocoder.reverse({ lat, lng })));
+    await store.geocodes.put(key, { ...place, provider: geocoder.name });
+    return place;
+  }
+
+  // Point → { street, neighbourhood, locality, address } (fields may be null), or null when
+  // geocoding is off, failed or took longer than timeoutMs. Never throws.
+  async function resolve(point) {
+    if (!geocoder) return null;
+    const key = keyFor(point);
+    if (!inFlight.has(key)) {
+      const pending = lookup(key)
+        .catch((err) => {
+          console.error("Reverse geocoding failed:", err.message);
+          return null; // not cached: the next review here tries again
+        })
+        .finally(() => inFlight.delete(key));
+      inFlight.set(key, pending);
+    }
+
+    // A slow lookup keeps going after the timeout and still fills the cache
+    let timer;
+    const timeout = new Promise((done) => { timer = setTimeout(() => done(null), config.timeoutMs); });
+    const place = await Promise.race([inFlight.get(key), timeout]);
+    clearTimeout(timer);
+    return place;
+  }
+
+  // Point → the cached place or null, never asking the provider: for bulk imports, which would
+  // otherwise fill the provider queue that POST /reviews waits on. Never throws.
+  async function resolveCached(point) {
+    if (!geocoder) return null;
+    try {
+      return await fromCache(keyFor(point));
+    } catch (err) {
+      console.error("Reverse geocoding cache lookup failed:", err.message);
+      return null;
+    }
+  }
+
+  return { config, resolve, resolveCached };
+}
+
+module.exports = { geocoderConfigFromEnv, normalizePlace, placeFields, GEOCODERS, createReverseGeocoding };
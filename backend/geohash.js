@@ -0,0 +1,45 @@
+// backend-api/geohash.js
+// Geohash encoding for the aggregated grid (GET /reviews/grid). A review's hash is
+// stored at full precision; a prefix of length p is its cell at precision p.
+
+const BASE32 = "0123456789bcdefghjkmnpqrstuvwxyz";
+const STORED_PRECISION = 9; // ~5 m cells
+
+function encode(lat, lng, precision = STORED_PRECISION) {
+  let [minLat, maxLat, minLng, maxLng] = [-90, 90, -180, 180];
+  let hash = "";
+  let bits = 0;
+  let ch = 0;
+  let even = true; // even bits split longitude, odd bits latitude
+
+  while (hash.length < precision) {
+    if (even) {
+      const mid = (minLng + maxLng) / 2;
+      if (lng >= mid) { ch = (ch << 1) | 1; minLng = mid; } else { ch <<= 1; maxLng = mid; }
+    } else {
+      const mid = (minLat + maxLat) / 2;
+      if (lat >= mid) { ch = (ch << 1) | 1; minLat = mid; } else { ch <<= 1; maxLat = mid; }
+    }
+    even = !even;
+    if (++bits === 5) {
+      hash += BASE32[ch];
+      bits = 0;
+      ch = 0;
+    }
+  }
+  return hash;
+}
+
+// Map zoom → geohash precision, so a cell stays roughly 20-80 px wide on screen
+const ZOOM_PRECISION = [
+  [3, 2],   // ~630 km
+  [5, 3],   // ~78 km
+  [8, 4],   // ~20 km
+  [10, 5],  // ~2.4 km
+  [13, 6],  // ~610 m
+  [15, 7],  // ~76 m
+  [Infinity, 8]
+];
+const precisionForZoom = (zoom) => ZOOM_PRECISION.find(([maxZoom]) => zoom <= maxZoom)[1];
+
+module.exports = { encode, precisionForZoom, STORED_PRECISION };
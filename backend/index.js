@@ -1,121 +1,375 @@
 // backend-api/index.js
 const express = require("express");
-const { Pool } = require("pg");
 const cors = require("cors");
 require("dotenv").config();
+const { createStore } = require("./store");
+const { status: migrationStatus } = require("./migrator");
+const {
+  QueryError, parseReviewQuery, parseGridQuery, parseNeighbourhoodQuery, summarizeGrid
+} = require("./reviewQuery");
+const { createAlertsEngine } = require("./alerts");
+const { createAuth, canModifyReview } = require("./auth");
+const { createModeration } = require("./moderation");
+const { createLiveFeed } = require("./liveFeed");
+const { CATEGORIES, parseCategories } = require("./categories");
+const { parseObservedHours, parseReviewPatch } = require("./reviewFields");
+const { EXPORT_FORMATS, ImportError, readImport, importReviews } = require("./reviewExchange");
+const { createPhotoStorage, PhotoError } = require("./photos");
+const { createWatches } = require("./watches");
+const { createReverseGeocoding, placeFields } = require("./geocoder");
+const { parseSearchQuery } = require("./reviewSearch");
+const { createAbuseProtection } = require("./abuse");
+const { document: openapi } = require("./openapi");
+const { createValidation, queryErrorBody, fieldErrorBody } = require("./validation");
 
 const app = express();
-app.use(cors()); // if you want, restrict to your frontend origin
+// Behind a reverse proxy: TRUST_PROXY=1 (hops) or its address, so req.ip is the client for rate limits
+if (process.env.TRUST_PROXY) {
+  const hops = Number(process.env.TRUST_PROXY);
+  app.set("trust proxy", Number.isInteger(hops) ? hops : process.env.TRUST_PROXY);
+}
+app.use(cors({ exposedHeaders: ["X-Next-Cursor", "Retry-After"] })); // if you want, restrict to your frontend origin
 app.use(express.json());
 
-const pool = new Pool({
-  connectionString: process.env.DATABASE_URL,
-  ssl: { rejectUnauthorized: false }
-});
+// ---- API contract (GET /openapi.json): requests and responses are checked against it ----
+const validation = createValidation();
+app.use(validation.validateResponses);
 
-// ---- Alerts sidecar wiring (NEW) ----
-const ALERTS_URL = process.env.ALERTS_URL || "http://localhost:5001/review";
+// ---- Storage (STORE=postgres | file; see store/index.js) ----
+const store = createStore();
 
-// Use global fetch if Node >= 18; otherwise lazy-load node-fetch
-let fetchFn = global.fetch;
-if (!fetchFn) {
-  fetchFn = (...args) => import("node-fetch").then(({ default: f }) => f(...args));
-}
+// ---- Safety alerts (in-process; see alerts.js for ALERT_* / SMTP_* settings) ----
+const alerts = createAlertsEngine({ store });
 
-function notifyAlertsService(payload) {
-  // Fire-and-forget; don't block user response
-  if (!ALERTS_URL) return;
-  try {
-    fetchFn(ALERTS_URL, {
-      method: "POST",
-      headers: { "Content-Type": "application/json" },
-      body: JSON.stringify(payload)
-    }).catch(err => console.error("Alert service post failed:", err.message));
-  } catch (e) {
-    console.error("Alert service call error:", e.message || e);
+// ---- Reverse geocoding of new reviews (GEOCODER=off | local | nominatim; see geocoder.js) ----
+const geocoding = createReverseGeocoding({ store });
+
+// ---- Abuse protection on new reviews (rate limit, duplicates, spam; see abuse.js) ----
+const abuse = createAbuseProtection({ store });
+// Why a review was held is for moderators: telling the submitter would show a spammer what to change
+const withoutQuarantineReasons = (review, user) =>
+  user && user.role === "moderator" ? review : { ...review, quarantineReasons: [] };
+
+// ---- Accounts (register/login/logout/me under /auth) ----
+const auth = createAuth({ store });
+app.use(auth.authenticate);
+app.use(validation.validateRequests);
+app.use("/auth", auth.router);
+
+// ---- Live review feed (SSE at GET /reviews/stream) ----
+const liveFeed = createLiveFeed();
+
+// ---- Photo attachments (local disk under PHOTO_DIR, served at /photos; see photos.js) ----
+const photos = createPhotoStorage();
+app.use("/photos", photos.serve);
+
+// ---- Watched places + email digests under /watches (see watches.js for WATCH_* settings) ----
+const watches = createWatches({ store, auth });
+app.use("/watches", watches.router);
+
+// ---- Reports + moderation queue (auto-hides after REPORT_HIDE_THRESHOLD open reports) ----
+// Approving a quarantined review publishes it as if it were just posted
+const moderation = createModeration({
+  store, auth, liveFeed,
+  onReviewReleased: (review) => {
+    alerts.onReviewCreated(review);
+    watches.onReviewCreated(review);
   }
-}
+});
+app.use("/moderation", moderation.router);
 
 // Health
 app.get("/", (_req, res) => res.send("API is working 🚀"));
 
-// Normalize DB row -> frontend shape
-const toReviewDTO = (row) => ({
-  id: String(row.id),
-  lat: row.lat,
-  lng: row.lng,
-  safetyRating: row.safety_rating,
-  infrastructureRating: row.infrastructure_rating,
-  description: row.description,
-  address: row.address,
-  timestamp: row.timestamp?.toISOString?.() ?? row.timestamp
-});
+// GET the OpenAPI 3.1 description of every route (see openapi.js)
+app.get("/openapi.json", (_req, res) => res.json(openapi));
+
+// GET the incident category taxonomy ({ id, label, group }) used to tag reviews
+app.get("/categories", (_req, res) => res.json(CATEGORIES));
 
-// GET all reviews (newest first)
-app.get("/reviews", async (_req, res) => {
+// GET reviews (newest first)
+// Optional query: bbox=minLng,minLat,maxLng,maxLat | near=lat,lng&radius=meters |
+// minSafety, minInfra | categories=id,id (any of) | since, until (ISO) |
+// locality, neighbourhood (exact names) | limit, cursor (next page in X-Next-Cursor)
+// Hidden (moderated) reviews are never returned here.
+app.get("/reviews", async (req, res) => {
+  let filters;
   try {
-    const { rows } = await pool.query(
-      `SELECT id, lat, lng, safety_rating, infrastructure_rating, description, address, timestamp
-       FROM reviews
-       ORDER BY timestamp DESC`
-    );
-    res.json(rows.map(toReviewDTO));
+    filters = parseReviewQuery(req.query);
+  } catch (err) {
+    if (err instanceof QueryError) return res.status(400).json(queryErrorBody(err));
+    throw err;
+  }
+
+  try {
+    const { reviews, nextCursor } = await store.reviews.list({ ...filters, status: "visible" });
+    if (nextCursor) res.set("X-Next-Cursor", nextCursor);
+    res.json(reviews);
   } catch (err) {
     console.error("GET /reviews error:", err);
     res.status(500).json({ error: "Server error" });
   }
 });
 
-// POST a new review
-app.post("/reviews", async (req, res) => {
+// GET aggregated statistics for the heatmap and dashboard: one cell per geohash prefix
+// Required: bbox=minLng,minLat,maxLng,maxLat and zoom (0-22, picks the cell size);
+// the other GET /reviews filters apply. Cells carry count, mean ratings, the number of
+// reviews from the last 7 days and a 30-day safety trend; totals cover the whole viewport.
+app.get("/reviews/grid", async (req, res) => {
+  let grid;
+  try {
+    grid = parseGridQuery(req.query);
+  } catch (err) {
+    if (err instanceof QueryError) return res.status(400).json(queryErrorBody(err));
+    throw err;
+  }
+
+  try {
+    const cells = await store.reviews.grid({ ...grid.filters, status: "visible" }, grid.precision);
+    res.json({ precision: grid.precision, cells, totals: summarizeGrid(cells) });
+  } catch (err) {
+    console.error("GET /reviews/grid error:", err);
+    res.status(500).json({ error: "Server error" });
+  }
+});
+
+// GET review count and mean ratings per neighbourhood, most reviewed first:
+// [{ locality, neighbourhood, count, avgSafety, avgInfra }]. The GET /reviews filters apply;
+// reviews without a geocoded neighbourhood are left out.
+app.get("/reviews/neighbourhoods", async (req, res) => {
+  let filters;
+  try {
+    filters = parseNeighbourhoodQuery(req.query);
+  } catch (err) {
+    if (err instanceof QueryError) return res.status(400).json(queryErrorBody(err));
+    throw err;
+  }
+
+  try {
+    res.json(await store.reviews.neighbourhoods({ ...filters, status: "visible" }));
+  } catch (err) {
+    console.error("GET /reviews/neighbourhoods error:", err);
+    res.status(500).json({ error: "Server error" });
+  }
+});
+
+// GET full-text search over descriptions and addresses, best match first
+// ?q= (web-search syntax: words, "a phrase", -exclude, or) plus any GET /reviews filter;
+// limit (default 20, max 100), cursor (next page in X-Next-Cursor). Each review gets
+// search: { rank, snippets: { description, address } } with matches wrapped in <mark>.
+app.get("/reviews/search", async (req, res) => {
+  let search;
+  try {
+    search = parseSearchQuery(req.query);
+  } catch (err) {
+    if (err instanceof QueryError) return res.status(400).json(queryErrorBody(err));
+    throw err;
+  }
+
+  try {
+    const { results, nextCursor } = await store.reviews.search({
+      ...search,
+      filters: { ...search.filters, status: "visible" }
+    });
+    if (nextCursor) res.set("X-Next-Cursor", nextCursor);
+    res.json(results);
+  } catch (err) {
+    console.error("GET /reviews/search error:", err);
+    res.status(500).json({ error: "Server error" });
+  }
+});
+
+// GET live review events (text/event-stream); see liveFeed.js
+app.get("/reviews/stream", liveFeed.stream);
+
+// GET every review matching the GET /reviews filters as a download
+// ?format=geojson|csv|kml (limit/cursor are ignored: the export is never paged)
+app.get("/reviews/export", async (req, res) => {
+  const format = EXPORT_FORMATS[req.query.format || "geojson"];
+  if (!format) return res.status(400).json({ error: `format must be one of: ${Object.keys(EXPORT_FORMATS).join(", ")}` });
+
+  let filters;
+  try {
+    filters = parseReviewQuery(req.query);
+  } catch (err) {
+    if (err instanceof QueryError) return res.status(400).json(queryErrorBody(err));
+    throw err;
+  }
+  delete filters.limit;
+  delete filters.cursor;
+
+  try {
+    const { reviews } = await store.reviews.list({ ...filters, status: "visible" });
+    const date = new Date().toISOString().slice(0, 10);
+    res.set({
+      "Content-Type": format.contentType,
+      "Content-Disposition": `attachment; filename="safetymap-reviews-${date}.${format.extension}"`
+    });
+    res.send(format.serialize(reviews, `${req.protocol}://${req.get("host")}`));
+  } catch (err) {
+    console.error("GET /reviews/export error:", err);
+    res.status(500).json({ error: "Server error" });
+  }
+});
+
+// POST a bulk import (moderators): CSV (text/csv) or GeoJSON (application/geo+json) body.
+// ?dryRun=true validates and reports without saving. Rows that fail validation or
+// duplicate an existing review (or an earlier row) are skipped and listed in the report.
+const IMPORT_TYPES = { "text/csv": "csv", "application/geo+json": "geojson" };
+app.post(
+  "/reviews/import",
+  auth.requireModerator,
+  express.text({ type: Object.keys(IMPORT_TYPES), limit: process.env.IMPORT_MAX_BYTES || "10mb" }),
+  async (req, res) => {
+    const format = req.query.format || IMPORT_TYPES[req.get("Content-Type")?.split(";")[0].trim()];
+    const dryRun = req.query.dryRun === "true";
+
+    let items;
+    try {
+      items = readImport(typeof req.body === "string" ? req.body : "", format);
+    } catch (err) {
+      if (err instanceof ImportError) return res.status(400).json({ error: err.message });
+      throw err;
+    }
+
+    try {
+      const report = await importReviews(store, items, { dryRun, authorId: req.user.id, geocoding });
+      // Historical data: no alerts, and open maps reload once instead of per review
+      if (report.imported) liveFeed.publish("resync", {});
+      res.status(dryRun ? 200 : 201).json(report);
+    } catch (err) {
+      console.error("POST /reviews/import error:", err);
+      res.status(500).json({ error: "Server error; no reviews were imported" });
+    }
+  }
+);
+
+// POST a new review (anonymous allowed; signed-in users become its author)
+// JSON body, or multipart/form-data with the same JSON in a "review" field plus "photos" files
+// Rate-limited per client; suspicious reviews are saved as "quarantined" (201 all the same)
+// and only appear once a moderator approves them
+app.post("/reviews", abuse.rateLimit, photos.upload, async (req, res) => {
+  // JSON bodies were checked against ReviewInput before the route; a multipart one is checked here
+  let body = req.body;
+  if (req.is("multipart/form-data")) {
+    try {
+      body = JSON.parse(req.body.review);
+    } catch {
+      return res.status(400).json(fieldErrorBody("body", "review", 'Multipart reviews need a JSON "review" field'));
+    }
+    const invalid = validation.checkSchema("ReviewInput", body);
+    if (invalid) return res.status(400).json(invalid);
+  }
+
   const {
     lat, lng,
     safetyRating,
     infrastructureRating,
     description,
     address,
-    timestamp // optional; backend will default if missing
-  } = req.body || {};
+    categories, // optional array of ids from GET /categories
+    observedHours, // optional { start, end } hours the ratings apply to; null = any time
+    timestamp // optional (not in the future); backend will default if missing
+  } = body;
 
-  if (
-    typeof lat !== "number" || typeof lng !== "number" ||
-    typeof safetyRating !== "number" || typeof infrastructureRating !== "number" ||
-    typeof description !== "string"
-  ) {
-    return res.status(400).json({ error: "Invalid payload" });
-  }
+  const tags = parseCategories(categories);
+  if (tags.error) return res.status(400).json(fieldErrorBody("body", "categories", tags.error));
+  const hours = parseObservedHours(observedHours);
+  if (hours.error) return res.status(400).json(fieldErrorBody("body", "observedHours", hours.error));
 
+  let attached;
   try {
-    const { rows } = await pool.query(
-      `INSERT INTO reviews (lat, lng, safety_rating, infrastructure_rating, description, address, timestamp)
-       VALUES ($1,$2,$3,$4,$5,$6, COALESCE($7, now()))
-       RETURNING id, lat, lng, safety_rating, infrastructure_rating, description, address, timestamp`,
-      [lat, lng, safetyRating, infrastructureRating, description, address || null, timestamp || null]
-    );
+    attached = await photos.save(req.files);
+  } catch (err) {
+    if (err instanceof PhotoError) return res.status(err.status).json({ error: err.message });
+    console.error("POST /reviews photo error:", err);
+    return res.status(500).json({ error: "Server error" });
+  }
 
-    const saved = toReviewDTO(rows[0]);
+  // Server-side address: normalized from the (cached) reverse geocoder. The typed
+  // address is kept only when there is no geocoded one (geocoding off, failed or too slow).
+  const place = await geocoding.resolve({ lat, lng });
 
-    // ---- NEW: ping alerts sidecar (counts ~1km tiles; emails when > threshold) ----
-    // Safe payload: do not expose auth details; this is a one-way notify.
-    notifyAlertsService({
-      lat: saved.lat,
-      lng: saved.lng,
-      location: saved.address,          // optional; alerts service will use lat/lng to bucket
-      description: saved.description || ""
+  try {
+    const quarantineReasons = await abuse.screen({ lat, lng, description }, req.user);
+    const saved = await store.reviews.create({
+      lat, lng, safetyRating, infrastructureRating, description, timestamp,
+      ...placeFields(place, address),
+      categories: tags.categories,
+      observedHours: hours.observedHours,
+      photos: attached,
+      authorId: req.user ? req.user.id : null,
+      status: quarantineReasons.length ? "quarantined" : "visible",
+      quarantineReasons
     });
 
-    res.status(201).json(saved);
+    // Tile counting, watch matching + email run in the background; don't block the user response
+    if (saved.status === "visible") {
+      alerts.onReviewCreated(saved);
+      watches.onReviewCreated(saved);
+      liveFeed.publish("review.created", { review: saved });
+    }
+
+    res.status(201).json(withoutQuarantineReasons(saved, req.user));
   } catch (err) {
+    await photos.remove(attached);
     console.error("POST /reviews error:", err);
     res.status(500).json({ error: "Server error" });
   }
 });
 
-// DELETE a review
-app.delete("/reviews/:id", async (req, res) => {
+// POST a report/flag against a review (signed-in users, one open report each)
+app.post("/reviews/:id/reports", auth.requireAuth, moderation.reportReview);
+
+// PATCH a review (author or moderator only); the replaced version is kept as a revision
+app.patch("/reviews/:id", auth.requireAuth, async (req, res) => {
+  const { changes, error } = parseReviewPatch(req.body);
+  if (error) return res.status(400).json({ error });
+
   try {
-    const { rowCount } = await pool.query(`DELETE FROM reviews WHERE id = $1`, [req.params.id]);
-    if (rowCount === 0) return res.status(404).json({ error: "Not found" });
+    const review = await store.reviews.get(req.params.id);
+    if (!review || review.status !== "visible") return res.status(404).json({ error: "Not found" });
+    if (!canModifyReview(req.user, review)) return res.status(403).json({ error: "Forbidden" });
+
+    // An edit can't sneak in what a new review would be held for; the edit and the hold are one write
+    const flags = changes.description === undefined ? [] : abuse.screenEdit(changes.description, req.user);
+    const updated = await store.reviews.update(review.id, changes, req.user.id, { quarantineReasons: flags });
+    if (!updated) return res.status(404).json({ error: "Not found" });
+
+    if (flags.length) {
+      liveFeed.publish("review.deleted", { id: review.id });
+    } else {
+      liveFeed.publish("review.updated", { review: updated });
+    }
+    res.json(withoutQuarantineReasons(updated, req.user));
+  } catch (err) {
+    console.error("PATCH /reviews/:id error:", err);
+    res.status(500).json({ error: "Server error" });
+  }
+});
+
+// GET previous versions of a review (newest first)
+app.get("/reviews/:id/revisions", async (req, res) => {
+  try {
+    const review = await store.reviews.get(req.params.id);
+    if (!review || review.status !== "visible") return res.status(404).json({ error: "Not found" });
+    res.json(await store.reviews.revisions(review.id));
+  } catch (err) {
+    console.error("GET /reviews/:id/revisions error:", err);
+    res.status(500).json({ error: "Server error" });
+  }
+});
+
+// DELETE a review (author or moderator only)
+app.delete("/reviews/:id", auth.requireAuth, async (req, res) => {
+  try {
+    const review = await store.reviews.get(req.params.id);
+    if (!review) return res.status(404).json({ error: "Not found" });
+    if (!canModifyReview(req.user, review)) return res.status(403).json({ error: "Forbidden" });
+
+    if (!(await store.reviews.remove(review.id))) return res.status(404).json({ error: "Not found" });
+    await photos.remove(review.photos);
+    liveFeed.publish("review.deleted", { id: review.id });
     res.status(204).send();
   } catch (err) {
     console.error("DELETE /reviews/:id error:", err);
@@ -123,5 +377,46 @@ app.delete("/reviews/:id", async (req, res) => {
   }
 });
 
-const PORT = process.env.PORT || 5000;
-app.listen(PORT, () => console.log(`Server running on ${PORT}`));
+// GET alert history (newest first; moderators only, alerts carry the recipient addresses)
+// Optional ?tile=row:col&since=ISO&limit=N
+app.get("/alerts", auth.requireModerator, async (req, res) => {
+  const { tile, since } = req.query;
+  const limit = req.query.limit === undefined ? 50 : Number(req.query.limit);
+  if (
+    (tile !== undefined && !/^-?\d+:-?\d+$/.test(tile)) ||
+    (since !== undefined && Number.isNaN(new Date(since).getTime())) ||
+    !Number.isInteger(limit) || limit < 1 || limit > 500
+  ) {
+    return res.status(400).json({ error: "Invalid query" });
+  }
+
+  try {
+    res.json(await alerts.listAlerts({ tile, since: since && new Date(since), limit }));
+  } catch (err) {
+    console.error("GET /alerts error:", err);
+    res.status(500).json({ error: "Server error" });
+  }
+});
+
+// Unknown routes and uncaught errors get the same JSON error body as everything else
+app.use(validation.notFound);
+app.use(validation.handleErrors);
+
+// Start listening unless required by a script/test that drives `app` itself
+if (require.main === module) {
+  const PORT = process.env.PORT || 5000;
+  app.listen(PORT, () => console.log(`Server running on ${PORT} (${store.kind} store)`));
+  watches.startScheduler();
+
+  // Postgres schema is managed by `npm run migrate`; just warn if this database is behind
+  if (store.kind === "postgres") {
+    migrationStatus(store.pool)
+      .then((list) => {
+        const pending = list.filter((m) => !m.applied);
+        if (pending.length) console.warn(`${pending.length} pending migration(s); run "npm run migrate".`);
+      })
+      .catch((err) => console.error("Migration status check failed:", err.message));
+  }
+}
+
+module.exports = { app, store };
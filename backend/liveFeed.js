@@ -0,0 +1,58 @@
+// backend-api/liveFeed.js
+// Server-Sent Events feed of review changes for open maps.
+// Events: review.created { review } · review.updated { review } · review.deleted { id }
+// A short replay buffer lets a reconnecting client (Last-Event-ID) catch up;
+// if it was gone too long it gets a "resync" event and reloads instead.
+
+const REPLAY_SIZE = Number(process.env.LIVE_FEED_REPLAY) || 500;
+const HEARTBEAT_MS = 25000; // keeps proxies from closing idle connections
+
+function createLiveFeed() {
+  const clients = new Set();
+  const recent = []; // [{ id, type, data }]
+  let lastId = 0;
+
+  const write = (res, event) => {
+    res.write(`id: ${event.id}\nevent: ${event.type}\ndata: ${JSON.stringify(event.data)}\n\n`);
+  };
+
+  function publish(type, data) {
+    const event = { id: ++lastId, type, data };
+    recent.push(event);
+    if (recent.length > REPLAY_SIZE) recent.shift();
+    for (const res of clients) write(res, event);
+  }
+
+  // GET handler: keeps the response open and streams events
+  function stream(req, res) {
+    res.set({
+      "Content-Type": "text/event-stream",
+      "Cache-Control": "no-cache",
+      Connection: "keep-alive",
+      "X-Accel-Buffering": "no"
+    });
+    res.flushHeaders();
+    res.write("retry: 3000\n\n");
+
+    const since = Number(req.get("Last-Event-ID"));
+    if (Number.isInteger(since) && since > 0 && since < lastId) {
+      const missed = recent.filter((e) => e.id > since);
+      // Buffer no longer reaches back far enough (or server restarted) → full reload
+      if (!missed.length || missed[0].id !== since + 1) write(res, { id: lastId, type: "resync", data: {} });
+      else missed.forEach((e) => write(res, e));
+    } else if (since > lastId) {
+      write(res, { id: lastId, type: "resync", data: {} }); // ids from before a restart
+    }
+
+    clients.add(res);
+    const heartbeat = setInterval(() => res.write(": ping\n\n"), HEARTBEAT_MS);
+    req.on("close", () => {
+      clearInterval(heartbeat);
+      clients.delete(res);
+    });
+  }
+
+  return { publish, stream, clientCount: () => clients.size };
+}
+
+module.exports = { createLiveFeed };
@@ -0,0 +1,27 @@
+// backend-api/mailer.js
+// SMTP settings shared by everything that sends email (alerts.js, watches.js).
+// Without SMTP_HOST mail goes to nodemailer's jsonTransport: built but not delivered.
+const nodemailer = require("nodemailer");
+
+const num = (value, fallback) => {
+  const n = Number(value);
+  return value === undefined || value === "" || !Number.isFinite(n) ? fallback : n;
+};
+
+function smtpConfigFromEnv(env = process.env) {
+  return env.SMTP_HOST
+    ? {
+        host: env.SMTP_HOST,
+        port: num(env.SMTP_PORT, 587),
+        secure: env.SMTP_SECURE === "true",
+        auth: env.SMTP_USER ? { user: env.SMTP_USER, pass: env.SMTP_PASS } : undefined
+      }
+    : null;
+}
+
+// No SMTP configured → jsonTransport, so mail can be exercised locally without a mail server
+function createTransport(smtp) {
+  return smtp ? nodemailer.createTransport(smtp) : nodemailer.createTransport({ jsonTransport: true });
+}
+
+module.exports = { smtpConfigFromEnv, createTransport };
@@ -0,0 +1,40 @@
+#!/usr/bin/env node
+// backend-api/migrate.js
+// Usage: node migrate.js [up [version] | down [steps] | status]
+const { createPool } = require("./db");
+const { status, migrateUp, migrateDown } = require("./migrator");
+
+const pool = createPool();
+
+async function main([command = "up", arg] = []) {
+  const log = (msg) => console.log(msg);
+
+  switch (command) {
+    case "up": {
+      const ran = await migrateUp(pool, { to: arg === undefined ? Infinity : Number(arg), log });
+      console.log(ran.length ? `Applied ${ran.length} migration(s).` : "Already up to date.");
+      break;
+    }
+    case "down": {
+      const steps = arg === undefined ? 1 : Number(arg);
+      if (!Number.isInteger(steps) || steps < 1) throw new Error("down expects a positive number of steps");
+      const ran = await migrateDown(pool, { steps, log });
+      console.log(ran.length ? `Rolled back ${ran.length} migration(s).` : "Nothing to roll back.");
+      break;
+    }
+    case "status":
+      for (const m of await status(pool)) {
+        console.log(`${m.applied ? "[x]" : "[ ]"} ${String(m.version).padStart(3, "0")}_${m.name}`);
+      }
+      break;
+    default:
+      throw new Error(`Unknown command "${command}". Use up, down or status.`);
+  }
+}
+
+main(process.argv.slice(2))
+  .catch((err) => {
+    console.error(err.message || err);
+    process.exitCode = 1;
+  })
+  .finally(() => pool.end());
@@ -0,0 +1,35 @@
+// Base reviews table. IF NOT EXISTS + guarded constraints so this also adopts
+// databases created before migrations existed.
+module.exports = {
+  up: `
+    CREATE TABLE IF NOT EXISTS reviews (
+      id SERIAL PRIMARY KEY,
+      lat DOUBLE PRECISION NOT NULL,
+      lng DOUBLE PRECISION NOT NULL,
+      safety_rating INTEGER NOT NULL,
+      infrastructure_rating INTEGER NOT NULL,
+      description TEXT NOT NULL,
+      address TEXT,
+      timestamp TIMESTAMPTZ NOT NULL DEFAULT now()
+    );
+
+    DO $$
+    BEGIN
+      IF NOT EXISTS (SELECT 1 FROM pg_constraint WHERE conname = 'reviews_lat_range') THEN
+        ALTER TABLE reviews ADD CONSTRAINT reviews_lat_range CHECK (lat BETWEEN -90 AND 90);
+      END IF;
+      IF NOT EXISTS (SELECT 1 FROM pg_constraint WHERE conname = 'reviews_lng_range') THEN
+        ALTER TABLE reviews ADD CONSTRAINT reviews_lng_range CHECK (lng BETWEEN -180 AND 180);
+      END IF;
+      IF NOT EXISTS (SELECT 1 FROM pg_constraint WHERE conname = 'reviews_safety_rating_range') THEN
+        ALTER TABLE reviews ADD CONSTRAINT reviews_safety_rating_range CHECK (safety_rating BETWEEN 1 AND 5);
+      END IF;
+      IF NOT EXISTS (SELECT 1 FROM pg_constraint WHERE conname = 'reviews_infrastructure_rating_range') THEN
+        ALTER TABLE reviews ADD CONSTRAINT reviews_infrastructure_rating_range CHECK (infrastructure_rating BETWEEN 1 AND 5);
+      END IF;
+    END $$;
+  `,
+  down: `
+    DROP TABLE IF EXISTS reviews;
+  `
+};
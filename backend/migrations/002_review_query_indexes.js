@@ -0,0 +1,15 @@
+// Indexes backing the GET /reviews filters (spatial box, ratings, keyset pagination)
+module.exports = {
+  up: `
+    CREATE INDEX IF NOT EXISTS reviews_lat_lng_idx ON reviews (lat, lng);
+    CREATE INDEX IF NOT EXISTS reviews_timestamp_id_idx ON reviews (timestamp DESC, id DESC);
+    CREATE INDEX IF NOT EXISTS reviews_safety_rating_idx ON reviews (safety_rating);
+    CREATE INDEX IF NOT EXISTS reviews_infrastructure_rating_idx ON reviews (infrastructure_rating);
+  `,
+  down: `
+    DROP INDEX IF EXISTS reviews_infrastructure_rating_idx;
+    DROP INDEX IF EXISTS reviews_safety_rating_idx;
+    DROP INDEX IF EXISTS reviews_timestamp_id_idx;
+    DROP INDEX IF EXISTS reviews_lat_lng_idx;
+  `
+};
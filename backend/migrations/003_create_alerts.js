@@ -0,0 +1,21 @@
+// Alert history written by alerts.js (one row per tile alert raised)
+module.exports = {
+  up: `
+    CREATE TABLE IF NOT EXISTS alerts (
+      id SERIAL PRIMARY KEY,
+      tile_key TEXT NOT NULL,
+      lat DOUBLE PRECISION NOT NULL,
+      lng DOUBLE PRECISION NOT NULL,
+      review_count INTEGER NOT NULL,
+      window_minutes INTEGER NOT NULL,
+      recipients TEXT,
+      status TEXT NOT NULL CHECK (status IN ('sent', 'logged', 'failed')),
+      error TEXT,
+      created_at TIMESTAMPTZ NOT NULL DEFAULT now()
+    );
+    CREATE INDEX IF NOT EXISTS alerts_tile_created_idx ON alerts (tile_key, created_at DESC);
+  `,
+  down: `
+    DROP TABLE IF EXISTS alerts;
+  `
+};
@@ -0,0 +1,26 @@
+// Review visibility + community reports feeding the moderation queue
+module.exports = {
+  up: `
+    ALTER TABLE reviews ADD COLUMN IF NOT EXISTS status TEXT NOT NULL DEFAULT 'visible'
+      CHECK (status IN ('visible', 'hidden'));
+    CREATE INDEX IF NOT EXISTS reviews_status_idx ON reviews (status);
+
+    CREATE TABLE IF NOT EXISTS review_reports (
+      id SERIAL PRIMARY KEY,
+      review_id INTEGER NOT NULL REFERENCES reviews(id) ON DELETE CASCADE,
+      reporter_id INTEGER REFERENCES users(id) ON DELETE SET NULL,
+      reason TEXT NOT NULL CHECK (reason IN ('abusive', 'fake', 'outdated', 'spam', 'other')),
+      details TEXT,
+      status TEXT NOT NULL DEFAULT 'open' CHECK (status IN ('open', 'resolved')),
+      created_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+      resolved_at TIMESTAMPTZ,
+      resolved_by INTEGER REFERENCES users(id) ON DELETE SET NULL
+    );
+    CREATE UNIQUE INDEX IF NOT EXISTS review_reports_open_reporter_idx
+      ON review_reports (review_id, reporter_id) WHERE status = 'open';
+  `,
+  down: `
+    DROP TABLE IF EXISTS review_reports;
+    ALTER TABLE reviews DROP COLUMN IF EXISTS status;
+  `
+};
@@ -0,0 +1,23 @@
+// Editable reviews: updated_at on the review, the replaced versions in review_revisions
+module.exports = {
+  up: `
+    ALTER TABLE reviews ADD COLUMN IF NOT EXISTS updated_at TIMESTAMPTZ;
+
+    CREATE TABLE IF NOT EXISTS review_revisions (
+      id SERIAL PRIMARY KEY,
+      review_id INTEGER NOT NULL REFERENCES reviews(id) ON DELETE CASCADE,
+      revision INTEGER NOT NULL,
+      safety_rating INTEGER NOT NULL CHECK (safety_rating BETWEEN 1 AND 5),
+      infrastructure_rating INTEGER NOT NULL CHECK (infrastructure_rating BETWEEN 1 AND 5),
+      description TEXT NOT NULL,
+      address TEXT,
+      replaced_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+      replaced_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+      UNIQUE (review_id, revision)
+    );
+  `,
+  down: `
+    DROP TABLE IF EXISTS review_revisions;
+    ALTER TABLE reviews DROP COLUMN IF EXISTS updated_at;
+  `
+};
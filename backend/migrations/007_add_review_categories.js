@@ -0,0 +1,14 @@
+// Incident category tags (ids from categories.js) on reviews and their revisions
+module.exports = {
+  up: `
+    ALTER TABLE reviews ADD COLUMN IF NOT EXISTS categories TEXT[] NOT NULL DEFAULT '{}';
+    CREATE INDEX IF NOT EXISTS reviews_categories_idx ON reviews USING GIN (categories);
+
+    ALTER TABLE review_revisions ADD COLUMN IF NOT EXISTS categories TEXT[] NOT NULL DEFAULT '{}';
+  `,
+  down: `
+    ALTER TABLE review_revisions DROP COLUMN IF EXISTS categories;
+    DROP INDEX IF EXISTS reviews_categories_idx;
+    ALTER TABLE reviews DROP COLUMN IF EXISTS categories;
+  `
+};
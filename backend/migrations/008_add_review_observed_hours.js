@@ -0,0 +1,29 @@
+// Time-of-day window a review's ratings apply to: [start, end) in local hours,
+// wrapping past midnight when start > end. Both NULL = any time.
+module.exports = {
+  up: `
+    ALTER TABLE reviews
+      ADD COLUMN IF NOT EXISTS observed_start_hour SMALLINT CHECK (observed_start_hour BETWEEN 0 AND 23),
+      ADD COLUMN IF NOT EXISTS observed_end_hour SMALLINT CHECK (observed_end_hour BETWEEN 0 AND 23);
+    DO $$
+    BEGIN
+      IF NOT EXISTS (SELECT 1 FROM pg_constraint WHERE conname = 'reviews_observed_hours_check') THEN
+        ALTER TABLE reviews ADD CONSTRAINT reviews_observed_hours_check
+          CHECK ((observed_start_hour IS NULL) = (observed_end_hour IS NULL));
+      END IF;
+    END $$;
+
+    ALTER TABLE review_revisions
+      ADD COLUMN IF NOT EXISTS observed_start_hour SMALLINT,
+      ADD COLUMN IF NOT EXISTS observed_end_hour SMALLINT;
+  `,
+  down: `
+    ALTER TABLE review_revisions
+      DROP COLUMN IF EXISTS observed_end_hour,
+      DROP COLUMN IF EXISTS observed_start_hour;
+    ALTER TABLE reviews
+      DROP CONSTRAINT IF EXISTS reviews_observed_hours_check,
+      DROP COLUMN IF EXISTS observed_end_hour,
+      DROP COLUMN IF EXISTS observed_start_hour;
+  `
+};
@@ -0,0 +1,9 @@
+// Photo attachments: [{ id, url, thumbnailUrl, width, height }] per review (files on disk, see photos.js)
+module.exports = {
+  up: `
+    ALTER TABLE reviews ADD COLUMN IF NOT EXISTS photos JSONB NOT NULL DEFAULT '[]';
+  `,
+  down: `
+    ALTER TABLE reviews DROP COLUMN IF EXISTS photos;
+  `
+};
@@ -0,0 +1,29 @@
+// Geohash of each review's location (see geohash.js), grouped by prefix for GET /reviews/grid
+const { encode } = require("../geohash");
+
+const BATCH = 1000;
+
+module.exports = {
+  up: async (client) => {
+    await client.query(`ALTER TABLE reviews ADD COLUMN IF NOT EXISTS geohash TEXT`);
+
+    // Backfill in batches; the hash is computed here rather than in SQL
+    for (;;) {
+      const { rows } = await client.query(
+        `SELECT id, lat, lng FROM reviews WHERE geohash IS NULL ORDER BY id LIMIT ${BATCH}`
+      );
+      if (rows.length === 0) break;
+      await client.query(
+        `UPDATE reviews r SET geohash = v.geohash
+         FROM unnest($1::int[], $2::text[]) AS v(id, geohash)
+         WHERE r.id = v.id`,
+        [rows.map((r) => r.id), rows.map((r) => encode(r.lat, r.lng))]
+      );
+    }
+
+    await client.query(`ALTER TABLE reviews ALTER COLUMN geohash SET NOT NULL`);
+  },
+  down: `
+    ALTER TABLE reviews DROP COLUMN IF EXISTS geohash;
+  `
+};
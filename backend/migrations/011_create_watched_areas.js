@@ -0,0 +1,37 @@
+// Watched areas (radius / polygon / route buffer) and the reviews matched to them,
+// pending until watches.js emails them in a digest
+module.exports = {
+  up: `
+    CREATE TABLE IF NOT EXISTS watched_areas (
+      id SERIAL PRIMARY KEY,
+      user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+      name TEXT NOT NULL,
+      kind TEXT NOT NULL CHECK (kind IN ('radius', 'polygon', 'route')),
+      geometry JSONB NOT NULL,
+      min_lat DOUBLE PRECISION NOT NULL,
+      max_lat DOUBLE PRECISION NOT NULL,
+      min_lng DOUBLE PRECISION NOT NULL,
+      max_lng DOUBLE PRECISION NOT NULL,
+      frequency TEXT NOT NULL DEFAULT 'daily' CHECK (frequency IN ('immediate', 'daily')),
+      max_safety SMALLINT NOT NULL DEFAULT 2 CHECK (max_safety BETWEEN 1 AND 5),
+      unsubscribe_token TEXT NOT NULL UNIQUE,
+      last_notified_at TIMESTAMPTZ,
+      created_at TIMESTAMPTZ NOT NULL DEFAULT now()
+    );
+    CREATE INDEX IF NOT EXISTS watched_areas_user_id_idx ON watched_areas (user_id);
+    CREATE INDEX IF NOT EXISTS watched_areas_bbox_idx ON watched_areas (min_lat, max_lat, min_lng, max_lng);
+
+    CREATE TABLE IF NOT EXISTS watch_matches (
+      watch_id INTEGER NOT NULL REFERENCES watched_areas(id) ON DELETE CASCADE,
+      review_id INTEGER NOT NULL REFERENCES reviews(id) ON DELETE CASCADE,
+      matched_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+      notified_at TIMESTAMPTZ,
+      PRIMARY KEY (watch_id, review_id)
+    );
+    CREATE INDEX IF NOT EXISTS watch_matches_pending_idx ON watch_matches (watch_id) WHERE notified_at IS NULL;
+  `,
+  down: `
+    DROP TABLE IF EXISTS watch_matches;
+    DROP TABLE IF EXISTS watched_areas;
+  `
+};
@@ -0,0 +1,31 @@
+// Normalized place of each review from reverse geocoding (see geocoder.js), plus the
+// geocoder cache keyed by rounded coordinate
+module.exports = {
+  up: `
+    ALTER TABLE reviews
+      ADD COLUMN IF NOT EXISTS street TEXT,
+      ADD COLUMN IF NOT EXISTS neighbourhood TEXT,
+      ADD COLUMN IF NOT EXISTS locality TEXT;
+    CREATE INDEX IF NOT EXISTS reviews_neighbourhood_idx ON reviews (neighbourhood);
+    CREATE INDEX IF NOT EXISTS reviews_locality_idx ON reviews (locality);
+
+    CREATE TABLE IF NOT EXISTS geocode_cache (
+      key TEXT PRIMARY KEY,
+      street TEXT,
+      neighbourhood TEXT,
+      locality TEXT,
+      address TEXT,
+      provider TEXT NOT NULL,
+      created_at TIMESTAMPTZ NOT NULL DEFAULT now()
+    );
+  `,
+  down: `
+    DROP TABLE IF EXISTS geocode_cache;
+    DROP INDEX IF EXISTS reviews_locality_idx;
+    DROP INDEX IF EXISTS reviews_neighbourhood_idx;
+    ALTER TABLE reviews
+      DROP COLUMN IF EXISTS street,
+      DROP COLUMN IF EXISTS neighbourhood,
+      DROP COLUMN IF EXISTS locality;
+  `
+};
@@ -0,0 +1,16 @@
+// Full-text search over description (weight A) and address (weight B) for GET /reviews/search.
+// The vector is a generated column, so edits and new reviews keep it current.
+module.exports = {
+  up: `
+    ALTER TABLE reviews
+      ADD COLUMN IF NOT EXISTS search_vector tsvector GENERATED ALWAYS AS (
+        setweight(to_tsvector('english', description), 'A') ||
+        setweight(to_tsvector('english', coalesce(address, '')), 'B')
+      ) STORED;
+    CREATE INDEX IF NOT EXISTS reviews_search_vector_idx ON reviews USING GIN (search_vector);
+  `,
+  down: `
+    DROP INDEX IF EXISTS reviews_search_vector_idx;
+    ALTER TABLE reviews DROP COLUMN IF EXISTS search_vector;
+  `
+};
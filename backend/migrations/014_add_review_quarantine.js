@@ -0,0 +1,16 @@
+// Quarantined reviews (see abuse.js): saved but kept off the map until a moderator approves
+// or hides them, with the reasons they were held
+module.exports = {
+  up: `
+    ALTER TABLE reviews DROP CONSTRAINT IF EXISTS reviews_status_check;
+    ALTER TABLE reviews ADD CONSTRAINT reviews_status_check
+      CHECK (status IN ('visible', 'hidden', 'quarantined'));
+    ALTER TABLE reviews ADD COLUMN IF NOT EXISTS quarantine_reasons TEXT[] NOT NULL DEFAULT '{}';
+  `,
+  down: `
+    UPDATE reviews SET status = 'hidden' WHERE status = 'quarantined';
+    ALTER TABLE reviews DROP COLUMN IF EXISTS quarantine_reasons;
+    ALTER TABLE reviews DROP CONSTRAINT IF EXISTS reviews_status_check;
+    ALTER TABLE reviews ADD CONSTRAINT reviews_status_check CHECK (status IN ('visible', 'hidden'));
+  `
+};
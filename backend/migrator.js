@@ -0,0 +1,91 @@
+// backend-api/migrator.js
+// Minimal versioned migrations: migrations/NNN_name.js exports { up, down } SQL.
+// Applied versions live in schema_migrations; each step runs in its own transaction.
+const fs = require("fs");
+const path = require("path");
+
+const MIGRATIONS_DIR = path.join(__dirname, "migrations");
+const FILE_RE = /^(\d+)_([\w-]+)\.js$/;
+
+function loadMigrations(dir = MIGRATIONS_DIR) {
+  return fs
+    .readdirSync(dir)
+    .filter((f) => FILE_RE.test(f))
+    .map((f) => {
+      const [, version, name] = FILE_RE.exec(f);
+      const { up, down } = require(path.join(dir, f));
+      return { version: Number(version), name, up, down };
+    })
+    .sort((a, b) => a.version - b.version);
+}
+
+async function ensureMigrationsTable(pool) {
+  await pool.query(
+    `CREATE TABLE IF NOT EXISTS schema_migrations (
+       version INTEGER PRIMARY KEY,
+       name TEXT NOT NULL,
+       applied_at TIMESTAMPTZ NOT NULL DEFAULT now()
+     )`
+  );
+}
+
+async function appliedVersions(pool) {
+  await ensureMigrationsTable(pool);
+  const { rows } = await pool.query(`SELECT version FROM schema_migrations ORDER BY version`);
+  return new Set(rows.map((r) => r.version));
+}
+
+// Migration body can be SQL text or async (client) => {}
+async function runStep(pool, migration, direction) {
+  const body = migration[direction];
+  const client = await pool.connect();
+  try {
+    await client.query("BEGIN");
+    if (typeof body === "function") await body(client);
+    else if (body) await client.query(body);
+
+    if (direction === "up") {
+      await client.query(`INSERT INTO schema_migrations (version, name) VALUES ($1, $2)`, [migration.version, migration.name]);
+    } else {
+      await client.query(`DELETE FROM schema_migrations WHERE version = $1`, [migration.version]);
+    }
+    await client.query("COMMIT");
+  } catch (err) {
+    await client.query("ROLLBACK").catch(() => {});
+    err.message = `${direction} ${migration.version}_${migration.name} failed: ${err.message}`;
+    throw err;
+  } finally {
+    client.release();
+  }
+}
+
+async function status(pool, migrations = loadMigrations()) {
+  const applied = await appliedVersions(pool);
+  return migrations.map((m) => ({ version: m.version, name: m.name, applied: applied.has(m.version) }));
+}
+
+// Apply pending migrations (optionally only up to `to`); returns what ran
+async function migrateUp(pool, { to = Infinity, migrations = loadMigrations(), log = () => {} } = {}) {
+  const applied = await appliedVersions(pool);
+  const ran = [];
+  for (const m of migrations) {
+    if (applied.has(m.version) || m.version > to) continue;
+    log(`↑ ${m.version}_${m.name}`);
+    await runStep(pool, m, "up");
+    ran.push(m);
+  }
+  return ran;
+}
+
+// Roll back the newest `steps` applied migrations; returns what ran
+async function migrateDown(pool, { steps = 1, migrations = loadMigrations(), log = () => {} } = {}) {
+  const applied = await appliedVersions(pool);
+  const targets = migrations.filter((m) => applied.has(m.version)).reverse().slice(0, steps);
+  for (const m of targets) {
+    log(`↓ ${m.version}_${m.name}`);
+    await runStep(pool, m, "down");
+  }
+  return targets;
+}
+
+module.exports = { loadMigrations, status, migrateUp, migrateDown };
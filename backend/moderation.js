@@ -0,0 +1,102 @@
+// backend-api/moderation.js
+// Community reports on reviews + the moderator queue. A review with
+// REPORT_HIDE_THRESHOLD open reports is hidden automatically until a moderator acts;
+// reviews quarantined on submission (see abuse.js) wait here for approval too.
+// Visibility changes go out on the live feed so open maps drop/re-add the review.
+const express = require("express");
+
+const REPORT_HIDE_THRESHOLD = Number(process.env.REPORT_HIDE_THRESHOLD) || 3;
+const REPORT_REASONS = ["abusive", "fake", "outdated", "spam", "other"];
+const MAX_REPORT_DETAILS = 1000;
+const QUEUES = ["flagged", "hidden", "quarantined"];
+
+// onReviewReleased(review): a quarantined review was approved (alerts/watches treat it as new)
+function createModeration({ store, auth, liveFeed, onReviewReleased = () => {} }) {
+  // POST /reviews/:id/reports { reason, details? } — mounted in index.js behind requireAuth
+  async function reportReview(req, res) {
+    const { reason, details } = req.body || {};
+    if (!REPORT_REASONS.includes(reason) || (details != null && typeof details !== "string")) {
+      return res.status(400).json({ error: `reason must be one of: ${REPORT_REASONS.join(", ")}` });
+    }
+
+    try {
+      const review = await store.reviews.get(req.params.id);
+      if (!review || review.status !== "visible") return res.status(404).json({ error: "Not found" });
+
+      const report = await store.reports.create({
+        reviewId: review.id,
+        reporterId: req.user.id,
+        reason,
+        details: details ? details.trim().slice(0, MAX_REPORT_DETAILS) : null
+      });
+      if (!report) return res.status(409).json({ error: "You already reported this review" });
+
+      // Auto-hide once enough open reports pile up
+      const count = await store.reports.countOpen(review.id);
+      let hidden = false;
+      if (count >= REPORT_HIDE_THRESHOLD) {
+        await store.reviews.setStatus(review.id, "hidden");
+        liveFeed.publish("review.deleted", { id: review.id });
+        hidden = true;
+      }
+
+      res.status(201).json({ reviewId: review.id, openReports: count, hidden });
+    } catch (err) {
+      console.error("POST /reviews/:id/reports error:", err);
+      res.status(500).json({ error: "Server error" });
+    }
+  }
+
+  const router = express.Router();
+  router.use(auth.requireModerator);
+
+  // GET /moderation/queue?status=flagged|hidden|quarantined — reviews with open reports,
+  // hidden ones, or ones held on submission (each with its quarantineReasons)
+  router.get("/queue", async (req, res) => {
+    const status = req.query.status || "flagged";
+    if (!QUEUES.includes(status)) return res.status(400).json({ error: `status must be one of: ${QUEUES.join(", ")}` });
+
+    try {
+      res.json(await store.reports.queue(status));
+    } catch (err) {
+      console.error("GET /moderation/queue error:", err);
+      res.status(500).json({ error: "Server error" });
+    }
+  });
+
+  // GET /moderation/reviews/:id/reports — full report history for one review
+  router.get("/reviews/:id/reports", async (req, res) => {
+    try {
+      res.json(await store.reports.listForReview(req.params.id));
+    } catch (err) {
+      console.error("GET /moderation/reviews/:id/reports error:", err);
+      res.status(500).json({ error: "Server error" });
+    }
+  });
+
+  // POST /moderation/reviews/:id/{approve|hide|restore}
+  //   approve: dismiss reports, keep visible (or publish a quarantined one) · hide: take down · restore: un-hide
+  const actions = { approve: "visible", hide: "hidden", restore: "visible" };
+  for (const [action, status] of Object.entries(actions)) {
+    router.post(`/reviews/:id/${action}`, async (req, res) => {
+      try {
+        const before = await store.reviews.get(req.params.id);
+        const review = before && (await store.reports.moderate(before.id, req.user.id, status));
+        if (!review) return res.status(404).json({ error: "Not found" });
+        if (before.status !== review.status) {
+          if (review.status === "visible") liveFeed.publish("review.created", { review });
+          else if (before.status === "visible") liveFeed.publish("review.deleted", { id: review.id });
+          if (before.status === "quarantined" && review.status === "visible") onReviewReleased(review);
+        }
+        res.json(review);
+      } catch (err) {
+        console.error(`POST /moderation/reviews/:id/${action} error:`, err);
+        res.status(500).json({ error: "Server error" });
+      }
+    });
+  }
+
+  return { reportReview, router };
+}
+
+module.exports = { createModeration, REPORT_REASONS, QUEUES };
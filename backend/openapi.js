@@ -0,0 +1,617 @@
+// backend-api/openapi.js
+// The API contract: an OpenAPI 3.1 document describing every route, served at GET /openapi.json.
+// validation.js checks requests and JSON responses against it, so a new route, input rule or
+// DTO field (see toReviewDTO in the stores) has to be described here as well.
+// Two custom schema keywords are enforced by validation.js: x-not-blank (a string with
+// something besides whitespace) and x-not-future (a date-time at most a few minutes ahead).
+const { CATEGORY_IDS } = require("./categories");
+const { REPORT_REASONS, QUEUES } = require("./moderation");
+const { MIN_PASSWORD_LENGTH } = require("./auth");
+const { MAX_LIMIT, MAX_RADIUS_M, MAX_ZOOM } = require("./reviewQuery");
+const { MAX_QUERY_LENGTH, MAX_SEARCH_LIMIT } = require("./reviewSearch");
+const { EXPORT_FORMATS } = require("./reviewExchange");
+const {
+  KINDS, FREQUENCIES, MAX_NAME, RADIUS_RANGE, ROUTE_BUFFER_RANGE, MAX_POINTS
+} = require("./watches");
+const { version } = require("./package.json");
+
+// Error body `code` for each status (validation.js fills it in when a handler leaves it out)
+const ERROR_CODES = {
+  400: "invalid_request",
+  401: "unauthorized",
+  403: "forbidden",
+  404: "not_found",
+  409: "conflict",
+  413: "payload_too_large",
+  415: "unsupported_media_type",
+  429: "rate_limited",
+  500: "server_error"
+};
+
+// ---- Schema helpers ----
+
+const ref = (name) => ({ $ref: `#/components/schemas/${name}` });
+const arrayOf = (items, extra) => ({ type: "array", items, ...extra });
+const orNull = (schema) => ({ ...schema, type: [schema.type, "null"] });
+
+// Closed object; every property required unless `required` says otherwise
+const object = (properties, required = Object.keys(properties), extra) =>
+  ({ type: "object", properties, required, additionalProperties: false, ...extra });
+
+const Id = { type: "string", pattern: "^[0-9]+$" };
+const DateTime = { type: "string", format: "date-time" };
+const Lat = { type: "number", minimum: -90, maximum: 90 };
+const Lng = { type: "number", minimum: -180, maximum: 180 };
+const Rating = { type: "integer", minimum: 1, maximum: 5 };
+const Hour = { type: "integer", minimum: 0, maximum: 23 };
+const Category = { type: "string", enum: CATEGORY_IDS };
+const LatLngPair = { type: "array", prefixItems: [Lat, Lng], items: false, minItems: 2 };
+
+const ObservedHours = orNull(object({ start: Hour, end: Hour }));
+
+// Fields every review-shaped response shares (toReviewDTO)
+const reviewProperties = {
+  id: Id,
+  lat: Lat,
+  lng: Lng,
+  safetyRating: Rating,
+  infrastructureRating: Rating,
+  description: { type: "string" },
+  address: orNull({ type: "string" }),
+  street: orNull({ type: "string" }),
+  neighbourhood: orNull({ type: "string" }),
+  locality: orNull({ type: "string" }),
+  categories: arrayOf(Category),
+  observedHours: ObservedHours,
+  photos: arrayOf(ref("Photo")),
+  authorId: orNull(Id),
+  status: { type: "string", enum: ["visible", "hidden", "quarantined"] },
+  quarantineReasons: arrayOf({ type: "string" }),
+  timestamp: DateTime,
+  updatedAt: orNull(DateTime)
+};
+
+// Editable review fields, as sent by clients
+const reviewInputProperties = {
+  safetyRating: Rating,
+  infrastructureRating: Rating,
+  description: { type: "string", "x-not-blank": true },
+  address: orNull({ type: "string" }),
+  categories: orNull(arrayOf(Category)),
+  observedHours: ObservedHours
+};
+
+const watchGeometries = {
+  radius: object({
+    lat: Lat,
+    lng: Lng,
+    radius: { type: "number", minimum: RADIUS_RANGE[0], maximum: RADIUS_RANGE[1] }
+  }),
+  polygon: object({ points: arrayOf(LatLngPair, { minItems: 3, maxItems: MAX_POINTS }) }),
+  route: object({
+    path: arrayOf(LatLngPair, { minItems: 2, maxItems: MAX_POINTS }),
+    buffer: { type: "number", minimum: ROUTE_BUFFER_RANGE[0], maximum: ROUTE_BUFFER_RANGE[1] }
+  }, ["path"])
+};
+
+// geometry checked against the shape for `kind`
+const geometryByKind = {
+  allOf: KINDS.map((kind) => ({
+    if: { properties: { kind: { const: kind } }, required: ["kind"] },
+    then: { properties: { geometry: watchGeometries[kind] } }
+  }))
+};
+
+const schemas = {
+  Error: object({
+    error: { type: "string", description: "Human-readable message" },
+    code: { type: "string", description: "Machine-readable reason, e.g. invalid_request, not_found" },
+    fields: arrayOf(ref("FieldError"), { description: "One entry per invalid input (400 only)" })
+  }, ["error", "code"]),
+  FieldError: object({
+    in: { type: "string", enum: ["body", "query", "path"] },
+    field: { type: "string", description: "Dotted path, e.g. observedHours.start or categories[1]" },
+    message: { type: "string" }
+  }),
+
+  Category: object({ id: Category, label: { type: "string" }, group: { type: "string" } }),
+  Photo: object({
+    id: { type: "string" },
+    url: { type: "string" },
+    thumbnailUrl: { type: "string" },
+    width: { type: "integer" },
+    height: { type: "integer" }
+  }),
+  Review: object(reviewProperties),
+  ReviewInput: object({
+    lat: Lat,
+    lng: Lng,
+    ...reviewInputProperties,
+    timestamp: { ...orNull(DateTime), "x-not-future": true, description: "Defaults to now" }
+  }, ["lat", "lng", "safetyRating", "infrastructureRating", "description"]),
+  ReviewPatch: object(reviewInputProperties, [], { minProperties: 1 }),
+  Revision: object({
+    revision: { type: "integer" },
+    safetyRating: Rating,
+    infrastructureRating: Rating,
+    description: { type: "string" },
+    address: orNull({ type: "string" }),
+    categories: arrayOf(Category),
+    observedHours: ObservedHours,
+    replacedAt: DateTime,
+    replacedBy: orNull(Id)
+  }),
+  SearchResult: object({
+    ...reviewProperties,
+    search: object({
+      rank: { type: "number" },
+      snippets: object({
+        description: orNull({ type: "string", description: "HTML-escaped, matches in <mark>" }),
+        address: orNull({ type: "string" })
+      })
+    })
+  }),
+  Grid: object({
+    precision: { type: "integer" },
+    cells: arrayOf(object({
+      key: { type: "string" },
+      lat: Lat,
+      lng: Lng,
+      count: { type: "integer" },
+      avgSafety: { type: "number" },
+      avgInfra: { type: "number" },
+      recentCount: { type: "integer" },
+      trend: orNull({ type: "number" })
+    })),
+    totals: object({
+      count: { type: "integer" },
+      avgSafety: orNull({ type: "number" }),
+      avgInfra: orNull({ type: "number" }),
+      recentCount: { type: "integer" }
+    })
+  }),
+  Neighbourhood: object({
+    locality: orNull({ type: "string" }),
+    neighbourhood: { type: "string" },
+    count: { type: "integer" },
+    avgSafety: { type: "number" },
+    avgInfra: { type: "number" }
+  }),
+  ImportReport: object({
+    dryRun: { type: "boolean" },
+    total: { type: "integer" },
+    accepted: { type: "integer" },
+    imported: { type: "integer" },
+    rejected: arrayOf(object({ row: { type: "integer" }, errors: arrayOf({ type: "string" }) })),
+    duplicates: arrayOf(object({
+      row: { type: "integer" },
+      duplicateOf: object({ row: { type: "integer" }, id: Id }, [], { minProperties: 1 })
+    }))
+  }),
+
+  User: object({
+    id: Id,
+    email: { type: "string" },
+    displayName: orNull({ type: "string" }),
+    role: { type: "string", enum: ["user", "moderator"] }
+  }),
+  Session: object({ token: { type: "string" }, user: ref("User") }),
+  RegisterInput: object({
+    email: { type: "string", minLength: 1 },
+    password: { type: "string", minLength: MIN_PASSWORD_LENGTH },
+    displayName: orNull({ type: "string" })
+  }, ["email", "password"]),
+  LoginInput: object({ email: { type: "string" }, password: { type: "string" } }),
+
+  ReportInput: object({
+    reason: { type: "string", enum: REPORT_REASONS },
+    details: orNull({ type: "string" })
+  }, ["reason"]),
+  ReportCreated: object({ reviewId: Id, openReports: { type: "integer" }, hidden: { type: "boolean" } }),
+  Report: object({
+    id: Id,
+    reviewId: Id,
+    reporterId: orNull(Id),
+    reason: { type: "string" },
+    details: orNull({ type: "string" }),
+    status: { type: "string" },
+    createdAt: DateTime
+  }),
+  ModerationItem: object({
+    ...reviewProperties,
+    openReports: { type: "integer" },
+    reasons: arrayOf({ type: "string" })
+  }),
+
+  Alert: object({
+    id: Id,
+    tile: { type: "string" },
+    lat: Lat,
+    lng: Lng,
+    reviewCount: { type: "integer" },
+    windowMinutes: { type: "integer" },
+    recipients: orNull({ type: "string" }),
+    status: { type: "string" },
+    error: orNull({ type: "string" }),
+    createdAt: DateTime
+  }),
+
+  WatchInput: {
+    ...object({
+      name: { type: "string", "x-not-blank": true, maxLength: MAX_NAME },
+      kind: { type: "string", enum: KINDS },
+      geometry: { type: "object" },
+      frequency: { type: "string", enum: FREQUENCIES, default: "daily" },
+      maxSafety: Rating
+    }, ["name", "kind", "geometry"]),
+    ...geometryByKind
+  },
+  Watch: {
+    ...object({
+      id: Id,
+      userId: Id,
+      name: { type: "string" },
+      kind: { type: "string", enum: KINDS },
+      geometry: { type: "object" },
+      bounds: object({ south: Lat, west: Lng, north: Lat, east: Lng }),
+      frequency: { type: "string", enum: FREQUENCIES },
+      maxSafety: Rating,
+      lastNotifiedAt: orNull(DateTime),
+      createdAt: DateTime
+    }),
+    ...geometryByKind
+  }
+};
+
+// ---- Parameters ----
+
+const query = (name, schema, description, required = false) => ({ name, in: "query", required, schema, description });
+
+const idParam = {
+  name: "id",
+  in: "path",
+  required: true,
+  schema: { type: "integer", minimum: 1, maximum: 2147483647 }
+};
+
+// The GET /reviews filters, shared by every route that lists reviews
+const filterParams = [
+  query("bbox", { type: "string" }, "minLng,minLat,maxLng,maxLat"),
+  query("near", { type: "string" }, "lat,lng (with radius)"),
+  query("radius", { type: "number", exclusiveMinimum: 0, maximum: MAX_RADIUS_M }, "Meters around near (default 1000)"),
+  query("minSafety", { type: "number" }, "Lowest safety rating"),
+  query("minInfra", { type: "number" }, "Lowest infrastructure rating"),
+  query("categories", { type: "string" }, "Comma-separated category ids (any of)"),
+  query("since", { type: "string" }, "ISO date"),
+  query("until", { type: "string" }, "ISO date"),
+  query("locality", { type: "string", minLength: 1 }, "Exact name from GET /reviews/neighbourhoods"),
+  query("neighbourhood", { type: "string", minLength: 1 }, "Exact name from GET /reviews/neighbourhoods")
+];
+const pageParams = (max) => [
+  query("limit", { type: "integer", minimum: 1, maximum: max }, "Page size"),
+  query("cursor", { type: "string" }, "X-Next-Cursor from the previous page")
+];
+
+// ---- Responses ----
+
+const json = (schema) => ({ content: { "application/json": { schema } } });
+const ok = (description, schema) => ({ description, ...json(schema) });
+const nextCursor = { "X-Next-Cursor": { description: "Cursor for the next page, absent on the last", schema: { type: "string" } } };
+
+// Documented error statuses; any other error status must still be an Error body
+const errors = (...statuses) => Object.fromEntries(
+  statuses.map((status) => [status, { $ref: `#/components/responses/${ERROR_CODES[status]}` }])
+);
+const responses = Object.fromEntries(
+  Object.entries(ERROR_CODES).map(([status, code]) => [code, { description: `Error (${status})`, ...json(ref("Error")) }])
+);
+
+const signedIn = [{ bearerAuth: [] }];
+const body = (schema, required = true) => ({ required, ...json(schema) });
+
+// ---- Paths ----
+
+const paths = {
+  "/": {
+    get: {
+      summary: "Health check",
+      responses: { 200: { description: "API is up", content: { "text/plain": { schema: { type: "string" } } } } }
+    }
+  },
+  "/openapi.json": {
+    get: {
+      summary: "This document",
+      responses: { 200: ok("OpenAPI 3.1 document", { type: "object" }) }
+    }
+  },
+  "/categories": {
+    get: {
+      summary: "Incident category taxonomy",
+      responses: { 200: ok("Categories", arrayOf(ref("Category"))) }
+    }
+  },
+
+  "/reviews": {
+    get: {
+      summary: "Visible reviews, newest first",
+      parameters: [...filterParams, ...pageParams(MAX_LIMIT)],
+      responses: {
+        200: { description: "One page of reviews", headers: nextCursor, ...json(arrayOf(ref("Review"))) },
+        ...errors(400, 500)
+      }
+    },
+    post: {
+      summary: "Add a review (anonymous allowed)",
+      description:
+        "Rate-limited per client. Suspicious reviews are saved with status \"quarantined\" and " +
+        "only appear once a moderator approves them; quarantineReasons is only filled in for moderators. " +
+        "With photos, send multipart/form-data: " +
+        "the ReviewInput JSON in a \"review\" field and the images in \"photos\".",
+      requestBody: {
+        required: true,
+        content: {
+          "application/json": { schema: ref("ReviewInput") },
+          "multipart/form-data": {
+            schema: {
+              type: "object",
+              properties: {
+                review: { type: "string", description: "ReviewInput as JSON" },
+                photos: arrayOf({ type: "string", format: "binary" })
+              },
+              required: ["review"]
+            }
+          }
+        }
+      },
+      responses: {
+        201: ok("The saved review", ref("Review")),
+        ...errors(400, 413, 415, 429, 500)
+      }
+    }
+  },
+  "/reviews/grid": {
+    get: {
+      summary: "Aggregated cells for the heatmap and dashboard",
+      parameters: [
+        ...filterParams,
+        query("zoom", { type: "number", minimum: 0, maximum: MAX_ZOOM }, "Map zoom; picks the cell size", true)
+      ],
+      responses: { 200: ok("Cells and viewport totals", ref("Grid")), ...errors(400, 500) }
+    }
+  },
+  "/reviews/neighbourhoods": {
+    get: {
+      summary: "Review count and mean ratings per neighbourhood, most reviewed first",
+      parameters: filterParams,
+      responses: { 200: ok("Neighbourhoods", arrayOf(ref("Neighbourhood"))), ...errors(400, 500) }
+    }
+  },
+  "/reviews/search": {
+    get: {
+      summary: "Full-text search over descriptions and addresses, best match first",
+      parameters: [
+        query("q", { type: "string", minLength: 1, maxLength: MAX_QUERY_LENGTH }, "Words, \"a phrase\", -exclude, or", true),
+        ...filterParams,
+        ...pageParams(MAX_SEARCH_LIMIT)
+      ],
+      responses: {
+        200: { description: "One page of results", headers: nextCursor, ...json(arrayOf(ref("SearchResult"))) },
+        ...errors(400, 500)
+      }
+    }
+  },
+  "/reviews/stream": {
+    get: {
+      summary: "Live review events (Server-Sent Events)",
+      description: "Events: review.created { review } · review.updated { review } · review.deleted { id } · resync",
+      responses: { 200: { description: "Event stream", content: { "text/event-stream": { schema: { type: "string" } } } } }
+    }
+  },
+  "/reviews/export": {
+    get: {
+      summary: "Every matching review as a download",
+      parameters: [query("format", { type: "string", enum: Object.keys(EXPORT_FORMATS), default: "geojson" }), ...filterParams],
+      responses: {
+        200: {
+          description: "The export file",
+          content: Object.fromEntries(
+            Object.values(EXPORT_FORMATS).map((f) => [f.contentType.split(";")[0], { schema: { type: "string" } }])
+          )
+        },
+        ...errors(400, 500)
+      }
+    }
+  },
+  "/reviews/import": {
+    post: {
+      summary: "Bulk import (moderators)",
+      security: signedIn,
+      parameters: [
+        query("dryRun", { type: "string", enum: ["true", "false"] }, "Validate and report without saving"),
+        query("format", { type: "string", enum: ["csv", "geojson"] }, "Overrides the Content-Type")
+      ],
+      requestBody: {
+        required: true,
+        content: {
+          "text/csv": { schema: { type: "string" } },
+          "application/geo+json": { schema: { type: "string" } }
+        }
+      },
+      responses: {
+        200: ok("Dry-run report", ref("ImportReport")),
+        201: ok("Import report", ref("ImportReport")),
+        ...errors(400, 401, 403, 500)
+      }
+    }
+  },
+  "/reviews/{id}": {
+    parameters: [idParam],
+    patch: {
+      summary: "Edit a review (author or moderator); the old version is kept as a revision",
+      security: signedIn,
+      requestBody: body(ref("ReviewPatch")),
+      responses: {
+        200: ok("The updated review (status \"quarantined\" if the edit is held)", ref("Review")),
+        ...errors(400, 401, 403, 404, 500)
+      }
+    },
+    delete: {
+      summary: "Delete a review (author or moderator)",
+      security: signedIn,
+      responses: { 204: { description: "Deleted" }, ...errors(400, 401, 403, 404, 500) }
+    }
+  },
+  "/reviews/{id}/revisions": {
+    parameters: [idParam],
+    get: {
+      summary: "Previous versions of a review, newest first",
+      responses: { 200: ok("Revisions", arrayOf(ref("Revision"))), ...errors(400, 404, 500) }
+    }
+  },
+  "/reviews/{id}/reports": {
+    parameters: [idParam],
+    post: {
+      summary: "Report a review (one open report per user)",
+      security: signedIn,
+      requestBody: body(ref("ReportInput")),
+      responses: { 201: ok("Report saved", ref("ReportCreated")), ...errors(400, 401, 404, 409, 500) }
+    }
+  },
+
+  "/alerts": {
+    get: {
+      summary: "Alert history, newest first (moderators)",
+      security: signedIn,
+      parameters: [
+        query("tile", { type: "string", pattern: "^-?\\d+:-?\\d+$" }, "row:col"),
+        query("since", { type: "string", format: "date-time" }, "ISO date-time"),
+        query("limit", { type: "integer", minimum: 1, maximum: 500, default: 50 })
+      ],
+      responses: { 200: ok("Alerts", arrayOf(ref("Alert"))), ...errors(400, 401, 403, 500) }
+    }
+  },
+
+  "/auth/register": {
+    post: {
+      summary: "Create an account and sign in",
+      requestBody: body(ref("RegisterInput")),
+      responses: { 201: ok("New session", ref("Session")), ...errors(400, 409, 500) }
+    }
+  },
+  "/auth/login": {
+    post: {
+      summary: "Sign in",
+      requestBody: body(ref("LoginInput")),
+      responses: { 200: ok("New session", ref("Session")), ...errors(400, 401, 500) }
+    }
+  },
+  "/auth/logout": {
+    post: {
+      summary: "Revoke the presented token",
+      security: signedIn,
+      responses: { 204: { description: "Signed out" }, ...errors(401, 500) }
+    }
+  },
+  "/auth/me": {
+    get: {
+      summary: "The signed-in user",
+      security: signedIn,
+      responses: { 200: ok("User", ref("User")), ...errors(401) }
+    }
+  },
+
+  "/watches": {
+    get: {
+      summary: "The signed-in user's watched places",
+      security: signedIn,
+      responses: { 200: ok("Watches", arrayOf(ref("Watch"))), ...errors(401, 500) }
+    },
+    post: {
+      summary: "Watch a place (radius, polygon or route) for low-rated reviews",
+      security: signedIn,
+      requestBody: body(ref("WatchInput")),
+      responses: { 201: ok("The new watch", ref("Watch")), ...errors(400, 401, 409, 500) }
+    }
+  },
+  "/watches/unsubscribe": {
+    parameters: [query("token", { type: "string" }, "Token from the email", true)],
+    get: {
+      summary: "Unsubscribe link from a digest email: a confirmation page that POSTs the token",
+      responses: { 200: { description: "Confirmation page", content: { "text/html": { schema: { type: "string" } } } } }
+    },
+    post: {
+      summary: "Unsubscribe (the confirmation page, or one-click List-Unsubscribe)",
+      responses: Object.fromEntries([200, 404, 500].map((status) => [status, {
+        description: status === 200 ? "Unsubscribed" : "Invalid link or failure",
+        content: { "text/plain": { schema: { type: "string" } } }
+      }]))
+    }
+  },
+  "/watches/{id}": {
+    parameters: [idParam],
+    delete: {
+      summary: "Stop watching a place (own watches only)",
+      security: signedIn,
+      responses: { 204: { description: "Deleted" }, ...errors(400, 401, 404, 500) }
+    }
+  },
+
+  "/moderation/queue": {
+    get: {
+      summary: "Moderation queue (moderators)",
+      security: signedIn,
+      parameters: [query("status", { type: "string", enum: QUEUES, default: "flagged" })],
+      responses: { 200: ok("Reviews to moderate", arrayOf(ref("ModerationItem"))), ...errors(400, 401, 403, 500) }
+    }
+  },
+  "/moderation/reviews/{id}/reports": {
+    parameters: [idParam],
+    get: {
+      summary: "Every report on a review (moderators)",
+      security: signedIn,
+      responses: { 200: ok("Reports", arrayOf(ref("Report"))), ...errors(400, 401, 403, 500) }
+    }
+  },
+  ...Object.fromEntries(
+    [
+      ["approve", "Dismiss reports and keep visible, or publish a quarantined review"],
+      ["hide", "Take a review down"],
+      ["restore", "Show a hidden review again"]
+    ].map(([action, summary]) => [`/moderation/reviews/{id}/${action}`, {
+      parameters: [idParam],
+      post: {
+        summary: `${summary} (moderators)`,
+        security: signedIn,
+        responses: { 200: ok("The review", ref("Review")), ...errors(400, 401, 403, 404, 500) }
+      }
+    }])
+  ),
+
+  "/photos/{file}": {
+    get: {
+      summary: "A review photo or thumbnail",
+      parameters: [{ name: "file", in: "path", required: true, schema: { type: "string" } }],
+      responses: {
+        200: { description: "Image", content: { "image/*": { schema: { type: "string", format: "binary" } } } },
+        ...errors(404)
+      }
+    }
+  }
+};
+
+const document = {
+  openapi: "3.1.0",
+  info: {
+    title: "safe-nav API",
+    version,
+    description: "Every error response is an Error body; 400s list the invalid inputs in `fields`."
+  },
+  paths,
+  components: {
+    schemas,
+    responses,
+    securitySchemes: { bearerAuth: { type: "http", scheme: "bearer", description: "Token from /auth/login or /auth/register" } }
+  }
+};
+
+module.exports = { document, ERROR_CODES };
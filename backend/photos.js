@@ -0,0 +1,137 @@
+// backend-api/photos.js
+// Photo attachments on local disk: multipart upload with size/type/count limits,
+// re-encoded through sharp (drops EXIF/GPS and other metadata), plus a thumbnail.
+// Files live in PHOTO_DIR and are served under /photos; reviews store their URLs.
+const crypto = require("crypto");
+const fs = require("fs");
+const path = require("path");
+const express = require("express");
+const multer = require("multer");
+const sharp = require("sharp");
+
+const num = (value, fallback) => {
+  const n = Number(value);
+  return value === undefined || value === "" || !Number.isFinite(n) ? fallback : n;
+};
+
+// sharp format -> file extension; anything else is rejected even if the mimetype claims otherwise
+const FORMATS = { jpeg: "jpg", png: "png", webp: "webp" };
+const MIME_TYPES = ["image/jpeg", "image/png", "image/webp"];
+
+function photoConfigFromEnv(env = process.env) {
+  return {
+    dir: env.PHOTO_DIR || path.join(__dirname, "data", "photos"),
+    maxBytes: num(env.PHOTO_MAX_BYTES, 5 * 1024 * 1024), // per file, before re-encoding
+    maxCount: num(env.PHOTO_MAX_COUNT, 4),               // per review
+    maxDimension: num(env.PHOTO_MAX_DIMENSION, 2048),    // longest side of the stored image
+    thumbSize: num(env.PHOTO_THUMB_SIZE, 320)            // square thumbnail
+  };
+}
+
+class PhotoError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.status = status;
+  }
+}
+
+const MULTER_MESSAGES = {
+  LIMIT_FILE_SIZE: (c) => [`Each photo must be at most ${Math.round(c.maxBytes / 1024 / 1024)} MB`, 413],
+  LIMIT_FILE_COUNT: (c) => [`At most ${c.maxCount} photos per review`, 400],
+  LIMIT_UNEXPECTED_FILE: () => ['Photos must be sent in the "photos" field', 400]
+};
+
+function createPhotoStorage({ config = photoConfigFromEnv() } = {}) {
+  fs.mkdirSync(config.dir, { recursive: true });
+
+  const parser = multer({
+    storage: multer.memoryStorage(),
+    limits: { fileSize: config.maxBytes, files: config.maxCount },
+    fileFilter: (_req, file, cb) =>
+      MIME_TYPES.includes(file.mimetype)
+        ? cb(null, true)
+        : cb(new PhotoError(`Photos must be ${Object.keys(FORMATS).join(", ")}`))
+  }).array("photos", config.maxCount);
+
+  // Middleware: parses multipart bodies (JSON bodies pass through untouched)
+  function upload(req, res, next) {
+    if (!req.is("multipart/form-data")) return next();
+    parser(req, res, (err) => {
+      if (!err) return next();
+      if (err instanceof PhotoError) return res.status(err.status).json({ error: err.message });
+      if (err instanceof multer.MulterError) {
+        const [message, status] = (MULTER_MESSAGES[err.code] || (() => [err.message, 400]))(config);
+        return res.status(status).json({ error: message });
+      }
+      next(err);
+    });
+  }
+
+  const fileFor = (name) => path.join(config.dir, name);
+
+  // One uploaded file -> stored image + thumbnail. Throws PhotoError if it isn't a real image.
+  async function saveOne(file) {
+    let format;
+    try {
+      ({ format } = await sharp(file.buffer).metadata());
+    } catch {
+      throw new PhotoError(`${file.originalname || "Photo"} is not a readable image`);
+    }
+    if (!FORMATS[format]) throw new PhotoError(`Photos must be ${Object.keys(FORMATS).join(", ")}`);
+
+    const id = crypto.randomBytes(12).toString("hex");
+    const name = `${id}.${FORMATS[format]}`;
+    const thumbName = `${id}_thumb.jpg`;
+
+    // rotate() bakes in the EXIF orientation; sharp writes no metadata unless asked to
+    const image = await sharp(file.buffer)
+      .rotate()
+      .resize({ width: config.maxDimension, height: config.maxDimension, fit: "inside", withoutEnlargement: true })
+      .toFormat(format)
+      .toFile(fileFor(name));
+    await sharp(file.buffer)
+      .rotate()
+      .resize(config.thumbSize, config.thumbSize, { fit: "cover" })
+      .flatten({ background: "#ffffff" })
+      .jpeg({ quality: 75 })
+      .toFile(fileFor(thumbName));
+
+    return {
+      id,
+      url: `/photos/${name}`,
+      thumbnailUrl: `/photos/${thumbName}`,
+      width: image.width,
+      height: image.height
+    };
+  }
+
+  // All-or-nothing: if any file fails, the ones already written are removed again
+  async function save(files = []) {
+    const saved = [];
+    try {
+      for (const file of files) saved.push(await saveOne(file));
+      return saved;
+    } catch (err) {
+      await remove(saved);
+      throw err;
+    }
+  }
+
+  async function remove(photos = []) {
+    const names = photos.flatMap((p) => [p.url, p.thumbnailUrl]).map((url) => path.basename(url));
+    await Promise.all(
+      names.map((name) =>
+        fs.promises.unlink(fileFor(name)).catch((err) => {
+          if (err.code !== "ENOENT") console.error("Photo cleanup failed:", err.message);
+        })
+      )
+    );
+  }
+
+  // Names are random and never reused, so clients can cache forever
+  const serve = express.static(config.dir, { immutable: true, maxAge: "365d", index: false });
+
+  return { config, upload, save, remove, serve };
+}
+
+module.exports = { createPhotoStorage, photoConfigFromEnv, PhotoError };
@@ -0,0 +1,292 @@
+// backend-api/reviewExchange.js
+// Bulk data in and out: reviews serialized as GeoJSON / CSV / KML for export, and
+// CSV / GeoJSON parsed, validated and de-duplicated for import (with a dry-run report).
+const { parseImportedReview } = require("./reviewFields");
+const { haversineMeters } = require("./reviewQuery");
+const { placeFields } = require("./geocoder");
+const { boundsOf } = require("./watches");
+const { encode: geohash } = require("./geohash");
+
+const IMPORT_MAX_ROWS = Number(process.env.IMPORT_MAX_ROWS) || 5000;
+const DUPLICATE_RADIUS_M = 5; // same description within this distance = duplicate
+const DUPLICATE_CELL_PRECISION = 6; // geohash cells (~1.2 × 0.6 km) candidates are looked up in
+
+class ImportError extends Error {}
+
+// ---- Export ----
+
+// CSV header, shared by export and import (import ignores id/updatedAt/photos)
+const CSV_COLUMNS = [
+  "id", "lat", "lng", "safetyRating", "infrastructureRating", "description", "address",
+  "categories", "observedStart", "observedEnd", "timestamp", "updatedAt", "photos"
+];
+
+const photoUrls = (review, baseUrl) => (review.photos || []).map((p) => `${baseUrl}${p.url}`);
+
+// Flat record used by CSV rows, GeoJSON properties and KML ExtendedData
+const toRecord = (review, baseUrl) => ({
+  id: review.id,
+  lat: review.lat,
+  lng: review.lng,
+  safetyRating: review.safetyRating,
+  infrastructureRating: review.infrastructureRating,
+  description: review.description,
+  address: review.address,
+  categories: review.categories || [],
+  observedStart: review.observedHours ? review.observedHours.start : null,
+  observedEnd: review.observedHours ? review.observedHours.end : null,
+  timestamp: review.timestamp,
+  updatedAt: review.updatedAt || null,
+  photos: photoUrls(review, baseUrl)
+});
+
+// Quote when needed; text starting with = + - @ is prefixed with ' so spreadsheets don't run it
+function csvCell(value, isText) {
+  if (value == null) return "";
+  let s = Array.isArray(value) ? value.join(";") : String(value);
+  if (isText && /^[=+\-@]/.test(s)) s = `'${s}`;
+  return /[",\r\n]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+}
+
+function toCSV(reviews, baseUrl) {
+  const text = new Set(["description", "address"]);
+  const lines = reviews.map((r) => {
+    const record = toRecord(r, baseUrl);
+    return CSV_COLUMNS.map((c) => csvCell(record[c], text.has(c))).join(",");
+  });
+  return [CSV_COLUMNS.join(","), ...lines].join("\r\n") + "\r\n";
+}
+
+function toGeoJSON(reviews, baseUrl) {
+  return JSON.stringify({
+    type: "FeatureCollection",
+    features: reviews.map((r) => {
+      const { lat, lng, ...properties } = toRecord(r, baseUrl);
+      return { type: "Feature", geometry: { type: "Point", coordinates: [lng, lat] }, properties };
+    })
+  });
+}
+
+const xml = (s) =>
+  String(s ?? "").replace(/[<>&"']/g, (c) => ({ "<": "&lt;", ">": "&gt;", "&": "&amp;", '"': "&quot;", "'": "&apos;" })[c]);
+
+// KML colours are aabbggrr: red (1) → green (5), like the map markers
+const KML_COLORS = { 1: "ff3643f4", 2: "ff07c1ff", 3: "ff0098ff", 4: "ff50af4c", 5: "ff50af4c" };
+
+function toKML(reviews, baseUrl) {
+  const styles = Object.entries(KML_COLORS)
+    .map(([n, color]) => `    <Style id="safety-${n}"><IconStyle><color>${color}</color></IconStyle></Style>`)
+    .join("\n");
+  const placemarks = reviews
+    .map((r) => {
+      const record = toRecord(r, baseUrl);
+      const data = Object.entries(record)
+        .filter(([k]) => !["lat", "lng", "description"].includes(k))
+        .map(([k, v]) => `<Data name="${k}"><value>${xml(Array.isArray(v) ? v.join(";") : v)}</value></Data>`)
+        .join("");
+      return `    <Placemark>
+      <name>${xml(r.address || `Review ${r.id}`)}</name>
+      <description>${xml(r.description)}</description>
+      <TimeStamp><when>${xml(r.timestamp)}</when></TimeStamp>
+      <styleUrl>#safety-${r.safetyRating}</styleUrl>
+      <ExtendedData>${data}</ExtendedData>
+      <Point><coordinates>${r.lng},${r.lat}</coordinates></Point>
+    </Placemark>`;
+    })
+    .join("\n");
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<kml xmlns="http://www.opengis.net/kml/2.2">
+  <Document>
+    <name>SafetyMap reviews</name>
+${styles}
+${placemarks}
+  </Document>
+</kml>
+`;
+}
+
+const EXPORT_FORMATS = {
+  geojson: { contentType: "application/geo+json", extension: "geojson", serialize: toGeoJSON },
+  csv: { contentType: "text/csv; charset=utf-8", extension: "csv", serialize: toCSV },
+  kml: { contentType: "application/vnd.google-earth.kml+xml", extension: "kml", serialize: toKML }
+};
+
+// ---- Import ----
+
+// RFC 4180-ish: quoted fields, "" escapes, CRLF or LF line ends. → [{ line, cells }]
+function parseCSV(text) {
+  const rows = [];
+  let cells = [];
+  let cell = "";
+  let quoted = false;
+  let line = 1;
+  let rowLine = 1;
+
+  for (let i = 0; i < text.length; i++) {
+    const c = text[i];
+    if (quoted) {
+      if (c === '"' && text[i + 1] === '"') { cell += '"'; i++; }
+      else if (c === '"') quoted = false;
+      else { if (c === "\n") line++; cell += c; }
+    } else if (c === '"') {
+      quoted = true;
+    } else if (c === ",") {
+      cells.push(cell); cell = "";
+    } else if (c === "\n" || c === "\r") {
+      if (c === "\r" && text[i + 1] === "\n") i++;
+      cells.push(cell); cell = "";
+      if (cells.some((v) => v !== "")) rows.push({ line: rowLine, cells });
+      cells = [];
+      rowLine = ++line;
+    } else {
+      cell += c;
+    }
+  }
+  if (quoted) throw new ImportError(`Unterminated quoted field starting on line ${rowLine}`);
+  cells.push(cell);
+  if (cells.some((v) => v !== "")) rows.push({ line: rowLine, cells });
+  return rows;
+}
+
+const splitList = (v) => (v == null || v === "" ? [] : String(v).split(/[;|]/).map((s) => s.trim()).filter(Boolean));
+
+// A row's loose values → the shape parseImportedReview expects
+function toRawReview(fields) {
+  const hasHours = fields.observedStart != null && fields.observedStart !== "";
+  return {
+    ...fields,
+    categories: Array.isArray(fields.categories) ? fields.categories : splitList(fields.categories),
+    observedHours:
+      fields.observedHours !== undefined
+        ? fields.observedHours
+        : hasHours
+          ? { start: Number(fields.observedStart), end: Number(fields.observedEnd) }
+          : null
+  };
+}
+
+function readCSV(text) {
+  const [header, ...rows] = parseCSV(text.replace(/^\uFEFF/, ""));
+  if (!header) throw new ImportError("CSV is empty");
+  const columns = header.cells.map((c) => c.trim());
+  const missing = ["lat", "lng", "safetyRating", "infrastructureRating", "description"].filter((c) => !columns.includes(c));
+  if (missing.length) throw new ImportError(`CSV is missing column(s): ${missing.join(", ")}`);
+
+  return rows.map(({ line, cells }) => {
+    const fields = {};
+    columns.forEach((c, i) => { fields[c] = cells[i]; });
+    // Undo the export's formula guard
+    for (const c of ["description", "address"]) {
+      if (typeof fields[c] === "string" && /^'[=+\-@]/.test(fields[c])) fields[c] = fields[c].slice(1);
+    }
+    return { row: line, raw: toRawReview(fields) };
+  });
+}
+
+function readGeoJSON(text) {
+  let doc;
+  try {
+    doc = JSON.parse(text);
+  } catch {
+    throw new ImportError("GeoJSON is not valid JSON");
+  }
+  if (doc?.type !== "FeatureCollection" || !Array.isArray(doc.features)) {
+    throw new ImportError("GeoJSON must be a FeatureCollection");
+  }
+
+  return doc.features.map((f, i) => {
+    const coords = f?.geometry?.type === "Point" ? f.geometry.coordinates : [];
+    return { row: i + 1, raw: toRawReview({ ...(f?.properties || {}), lng: coords[0], lat: coords[1] }) };
+  });
+}
+
+const IMPORT_FORMATS = { csv: readCSV, geojson: readGeoJSON };
+
+// text → [{ row, raw }]; throws ImportError for problems with the file as a whole
+function readImport(text, format) {
+  const read = IMPORT_FORMATS[format];
+  if (!read) throw new ImportError(`format must be one of: ${Object.keys(IMPORT_FORMATS).join(", ")}`);
+  const items = read(String(text || ""));
+  if (!items.length) throw new ImportError("No rows to import");
+  if (items.length > IMPORT_MAX_ROWS) throw new ImportError(`At most ${IMPORT_MAX_ROWS} rows per import`);
+  return items;
+}
+
+const normalizeText = (s) => s.toLowerCase().replace(/\s+/g, " ").trim();
+
+// Reviews already stored near the candidates, by normalized description. Candidates are
+// grouped into small geohash cells, each looked up with one bbox query around its own rows
+// (grown by DUPLICATE_RADIUS_M), so a file spanning two cities never loads what lies between.
+async function existingByDescription(store, candidates) {
+  const cells = new Map(); // geohash → [[lat, lng]]
+  for (const { review } of candidates) {
+    const cell = geohash(review.lat, review.lng, DUPLICATE_CELL_PRECISION);
+    cells.set(cell, [...(cells.get(cell) || []), [review.lat, review.lng]]);
+  }
+
+  const byText = new Map();
+  const seen = new Set(); // review ids (neighbouring cells' boxes can overlap)
+  for (const points of cells.values()) {
+    const { south, west, north, east } = boundsOf(points, DUPLICATE_RADIUS_M);
+    const { reviews } = await store.reviews.list({ bbox: { minLng: west, minLat: south, maxLng: east, maxLat: north } });
+    for (const r of reviews) {
+      if (seen.has(r.id)) continue;
+      seen.add(r.id);
+      const key = normalizeText(r.description);
+      byText.set(key, [...(byText.get(key) || []), r]);
+    }
+  }
+  return byText;
+}
+
+// Validate + de-duplicate (within the file and against the store), then create unless dryRun.
+// The rows are created together (store.reviews.createMany), so a failure imports none of them.
+// → { total, accepted, imported, rejected: [{ row, errors }], duplicates: [{ row, duplicateOf }] }
+async function importReviews(store, items, { dryRun, authorId, geocoding }) {
+  const rejected = [];
+  const duplicates = [];
+  const candidates = [];
+
+  for (const { row, raw } of items) {
+    const { review, errors } = parseImportedReview(raw);
+    if (errors) rejected.push({ row, errors });
+    else candidates.push({ row, review });
+  }
+
+  const stored = await existingByDescription(store, candidates);
+  const seen = new Map(); // normalized description → [{ row, review }] accepted so far
+  const accepted = [];
+  for (const { row, review } of candidates) {
+    const key = normalizeText(review.description);
+    const near = (other) => haversineMeters(other, review) <= DUPLICATE_RADIUS_M;
+
+    const inFile = (seen.get(key) || []).find((a) => near(a.review));
+    if (inFile) {
+      duplicates.push({ row, duplicateOf: { row: inFile.row } });
+      continue;
+    }
+    const existing = (stored.get(key) || []).find(near);
+    if (existing) {
+      duplicates.push({ row, duplicateOf: { id: existing.id } });
+      continue;
+    }
+
+    seen.set(key, [...(seen.get(key) || []), { row, review }]);
+    accepted.push(review);
+  }
+
+  let imported = 0;
+  if (!dryRun && accepted.length) {
+    // Server-side address as for POST /reviews, but from the geocode cache only: thousands of
+    // provider lookups would break its rate limit. Uncached rows keep the file's address.
+    const places = await Promise.all(accepted.map((r) => (geocoding ? geocoding.resolveCached(r) : null)));
+    const created = await store.reviews.createMany(
+      accepted.map((review, i) => ({ ...review, ...placeFields(places[i], review.address), authorId }))
+    );
+    imported = created.length;
+  }
+
+  return { dryRun, total: items.length, accepted: accepted.length, imported, rejected, duplicates };
+}
+
+module.exports = { EXPORT_FORMATS, ImportError, readImport, importReviews };
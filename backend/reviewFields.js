@@ -0,0 +1,105 @@
+// backend-api/reviewFields.js
+// Validation of review fields shared by POST/PATCH /reviews and the bulk import.
+// Parsers return the parsed value(s) or { error } so callers can turn them into a 400.
+const { parseCategories } = require("./categories");
+
+// PATCH fields; location and timestamp are not editable
+const EDITABLE_FIELDS = ["safetyRating", "infrastructureRating", "description", "address", "categories", "observedHours"];
+const isRating = (v) => Number.isInteger(v) && v >= 1 && v <= 5;
+const isHour = (v) => Number.isInteger(v) && v >= 0 && v <= 23;
+
+// { start, end } local hours, [start, end) wrapping past midnight (21→6 is a night window)
+function parseObservedHours(value) {
+  if (value === undefined || value === null) return { observedHours: null };
+  if (typeof value !== "object" || !isHour(value.start) || !isHour(value.end)) {
+    return { error: "observedHours must be { start, end } with hours 0-23" };
+  }
+  if (value.start === value.end) return { error: "observedHours start and end must differ (use null for any time)" };
+  return { observedHours: { start: value.start, end: value.end } };
+}
+
+// PATCH body → { changes } or { error }
+function parseReviewPatch(body) {
+  const fields = Object.keys(body || {});
+  const unknown = fields.filter((f) => !EDITABLE_FIELDS.includes(f));
+  if (unknown.length) return { error: `Not editable: ${unknown.join(", ")}` };
+  if (!fields.length) return { error: `Nothing to update; send one of: ${EDITABLE_FIELDS.join(", ")}` };
+
+  const { safetyRating, infrastructureRating, description, address, categories, observedHours } = body;
+  if (safetyRating !== undefined && !isRating(safetyRating)) return { error: "safetyRating must be an integer 1-5" };
+  if (infrastructureRating !== undefined && !isRating(infrastructureRating)) {
+    return { error: "infrastructureRating must be an integer 1-5" };
+  }
+  if (description !== undefined && (typeof description !== "string" || !description.trim())) {
+    return { error: "description must be a non-empty string" };
+  }
+  if (address !== undefined && address !== null && typeof address !== "string") {
+    return { error: "address must be a string or null" };
+  }
+  const tags = categories === undefined ? {} : parseCategories(categories);
+  if (tags.error) return { error: tags.error };
+  const hours = observedHours === undefined ? {} : parseObservedHours(observedHours);
+  if (hours.error) return { error: hours.error };
+
+  return {
+    changes: {
+      safetyRating,
+      infrastructureRating,
+      description: description?.trim(),
+      address: typeof address === "string" ? address.trim() || null : address,
+      categories: tags.categories,
+      observedHours: hours.observedHours
+    }
+  };
+}
+
+// Loosely typed input (CSV cells are strings) → number, or NaN when blank/invalid
+const toNumber = (v) => (typeof v === "number" ? v : v == null || String(v).trim() === "" ? NaN : Number(v));
+const blank = (v) => v == null || String(v).trim() === "";
+
+// One imported row (CSV/GeoJSON mapped to review fields) → { review } or { errors: [...] }.
+// Stricter than POST /reviews: every problem in the row is reported, not just the first.
+function parseImportedReview(raw) {
+  const errors = [];
+
+  const lat = toNumber(raw.lat);
+  const lng = toNumber(raw.lng);
+  if (!(lat >= -90 && lat <= 90)) errors.push("lat must be a number between -90 and 90");
+  if (!(lng >= -180 && lng <= 180)) errors.push("lng must be a number between -180 and 180");
+
+  const safetyRating = toNumber(raw.safetyRating);
+  const infrastructureRating = toNumber(raw.infrastructureRating);
+  if (!isRating(safetyRating)) errors.push("safetyRating must be an integer 1-5");
+  if (!isRating(infrastructureRating)) errors.push("infrastructureRating must be an integer 1-5");
+
+  const description = typeof raw.description === "string" ? raw.description.trim() : "";
+  if (!description) errors.push("description is required");
+
+  const address = blank(raw.address) ? null : String(raw.address).trim();
+
+  const tags = parseCategories(raw.categories);
+  if (tags.error) errors.push(tags.error);
+
+  const hours = parseObservedHours(raw.observedHours);
+  if (hours.error) errors.push(hours.error);
+
+  let timestamp = null;
+  if (!blank(raw.timestamp)) {
+    const t = new Date(raw.timestamp);
+    if (Number.isNaN(t.getTime())) errors.push("timestamp must be an ISO date");
+    else if (t.getTime() > Date.now()) errors.push("timestamp is in the future");
+    else timestamp = t.toISOString();
+  }
+
+  if (errors.length) return { errors };
+  return {
+    review: {
+      lat, lng, safetyRating, infrastructureRating, description, address,
+      categories: tags.categories,
+      observedHours: hours.observedHours,
+      timestamp
+    }
+  };
+}
+
+module.exports = { EDITABLE_FIELDS, isRating, isHour, parseObservedHours, parseReviewPatch, parseImportedReview };
@@ -0,0 +1,406 @@
+// backend-api/reviewQuery.js
+// Parse GET /reviews query params and evaluate them in the store: as SQL for
+// Postgres, or as an in-memory predicate for the file store (same semantics).
+const { unknownCategories } = require("./categories");
+const { encode: geohash, precisionForZoom } = require("./geohash");
+
+const MAX_LIMIT = 500;
+const DEFAULT_LIMIT = 100;
+const DEFAULT_RADIUS_M = 1000;
+const MAX_RADIUS_M = 50000;
+const EARTH_RADIUS_M = 6371000;
+const MAX_ZOOM = 22;
+const DAY_MS = 24 * 60 * 60 * 1000;
+const RECENT_DAYS = 7;  // grid recentCount window, same as the dashboard's "recent" tile
+const TREND_DAYS = 30;  // grid trend: mean safety of the last 30 days minus the mean before
+
+// Bad query input; `field` is the query param to blame (for field-level error bodies)
+class QueryError extends Error {
+  constructor(message, field) {
+    super(message);
+    this.field = field;
+  }
+}
+
+const parseNumber = (value, name) => {
+  const n = Number(value);
+  if (value === "" || !Number.isFinite(n)) throw new QueryError(`${name} must be a number`, name);
+  return n;
+};
+
+const parseNumberList = (value, count, name) => {
+  const parts = String(value).split(",");
+  if (parts.length !== count) throw new QueryError(`${name} must have ${count} comma-separated numbers`, name);
+  return parts.map((p) => parseNumber(p.trim(), name));
+};
+
+const parseDate = (value, name) => {
+  const d = new Date(value);
+  if (Number.isNaN(d.getTime())) throw new QueryError(`${name} must be an ISO date`, name);
+  return d;
+};
+
+const checkLat = (lat, name) => {
+  if (lat < -90 || lat > 90) throw new QueryError(`${name} latitude out of range`, name);
+};
+const checkLng = (lng, name) => {
+  if (lng < -180 || lng > 180) throw new QueryError(`${name} longitude out of range`, name);
+};
+
+// Opaque keyset cursor: last row's (timestamp, id). Postgres rows carry
+// cursor_ts (microsecond text) so the cursor isn't truncated to JS's ms.
+const encodeCursor = (row) =>
+  Buffer.from(JSON.stringify({
+    t: row.cursor_ts || new Date(row.timestamp).toISOString(),
+    id: String(row.id)
+  })).toString("base64url");
+
+const decodeCursor = (cursor) => {
+  try {
+    const { t, id } = JSON.parse(Buffer.from(String(cursor), "base64url").toString("utf8"));
+    if (typeof t !== "string" || typeof id !== "string" || Number.isNaN(new Date(t).getTime())) throw new Error();
+    return { timestamp: t, id };
+  } catch {
+    throw new QueryError("cursor is invalid", "cursor");
+  }
+};
+
+// req.query -> normalized filter object (throws QueryError on bad input)
+function parseReviewQuery(query = {}) {
+  const filters = {};
+
+  if (query.bbox !== undefined) {
+    const [minLng, minLat, maxLng, maxLat] = parseNumberList(query.bbox, 4, "bbox");
+    checkLng(minLng, "bbox"); checkLng(maxLng, "bbox");
+    checkLat(minLat, "bbox"); checkLat(maxLat, "bbox");
+    if (minLat > maxLat) throw new QueryError("bbox minLat must be <= maxLat", "bbox");
+    filters.bbox = { minLng, minLat, maxLng, maxLat };
+  }
+
+  if (query.near !== undefined) {
+    const [lat, lng] = parseNumberList(query.near, 2, "near");
+    checkLat(lat, "near"); checkLng(lng, "near");
+    const radius = query.radius === undefined ? DEFAULT_RADIUS_M : parseNumber(query.radius, "radius");
+    if (radius <= 0 || radius > MAX_RADIUS_M) throw new QueryError(`radius must be between 0 and ${MAX_RADIUS_M} meters`, "radius");
+    filters.near = { lat, lng, radius };
+  } else if (query.radius !== undefined) {
+    throw new QueryError("radius requires near=lat,lng", "radius");
+  }
+
+  if (query.minSafety !== undefined) filters.minSafety = parseNumber(query.minSafety, "minSafety");
+  if (query.minInfra !== undefined) filters.minInfra = parseNumber(query.minInfra, "minInfra");
+
+  // categories=a,b → reviews tagged with any of them
+  if (query.categories !== undefined) {
+    const categories = String(query.categories).split(",").map((c) => c.trim()).filter(Boolean);
+    const unknown = unknownCategories(categories);
+    if (unknown.length) throw new QueryError(`Unknown categories: ${unknown.join(", ")}`, "categories");
+    if (categories.length) filters.categories = categories;
+  }
+
+  if (query.since !== undefined) filters.since = parseDate(query.since, "since");
+  if (query.until !== undefined) filters.until = parseDate(query.until, "until");
+
+  // Exact names as stored by reverse geocoding (GET /reviews/neighbourhoods lists them)
+  for (const field of ["locality", "neighbourhood"]) {
+    if (query[field] === undefined) continue;
+    const name = String(query[field]).trim();
+    if (!name) throw new QueryError(`${field} must not be empty`, field);
+    filters[field] = name;
+  }
+
+  if (query.limit !== undefined) {
+    const limit = parseNumber(query.limit, "limit");
+    if (!Number.isInteger(limit) || limit < 1 || limit > MAX_LIMIT) throw new QueryError(`limit must be an integer 1-${MAX_LIMIT}`, "limit");
+    filters.limit = limit;
+  }
+  if (query.cursor !== undefined) {
+    filters.cursor = decodeCursor(query.cursor);
+    if (!filters.limit) filters.limit = DEFAULT_LIMIT;
+  }
+
+  return filters;
+}
+
+// GET /reviews/grid query → { filters, precision }; bbox and zoom are required
+function parseGridQuery(query = {}) {
+  const { limit, cursor, ...rest } = query;
+  const filters = parseReviewQuery(rest);
+  if (!filters.bbox) throw new QueryError("bbox is required", "bbox");
+  if (query.zoom === undefined) throw new QueryError("zoom is required", "zoom");
+  const zoom = parseNumber(query.zoom, "zoom");
+  if (zoom < 0 || zoom > MAX_ZOOM) throw new QueryError(`zoom must be between 0 and ${MAX_ZOOM}`, "zoom");
+  return { filters, precision: precisionForZoom(zoom) };
+}
+
+// GET /reviews/neighbourhoods query → filters; every group is returned, so no paging
+function parseNeighbourhoodQuery(query = {}) {
+  const { limit, cursor, ...rest } = query;
+  return parseReviewQuery(rest);
+}
+
+// Bounding box around a point, used as an index-friendly prefilter for radius queries
+const radiusBox = ({ lat, lng, radius }) => {
+  const dLat = (radius / EARTH_RADIUS_M) * (180 / Math.PI);
+  const dLng = dLat / Math.max(Math.cos((lat * Math.PI) / 180), 1e-6);
+  return { minLat: lat - dLat, maxLat: lat + dLat, minLng: lng - dLng, maxLng: lng + dLng };
+};
+
+// filters -> WHERE conditions; `param` appends a value and returns its placeholder
+function reviewConditions(filters, param) {
+  const where = [];
+
+  if (filters.bbox) {
+    const { minLng, minLat, maxLng, maxLat } = filters.bbox;
+    where.push(`lat BETWEEN ${param(minLat)} AND ${param(maxLat)}`);
+    // A box crossing the antimeridian has minLng > maxLng
+    if (minLng <= maxLng) where.push(`lng BETWEEN ${param(minLng)} AND ${param(maxLng)}`);
+    else where.push(`(lng >= ${param(minLng)} OR lng <= ${param(maxLng)})`);
+  }
+
+  if (filters.near) {
+    const box = radiusBox(filters.near);
+    where.push(`lat BETWEEN ${param(box.minLat)} AND ${param(box.maxLat)}`);
+    where.push(`lng BETWEEN ${param(box.minLng)} AND ${param(box.maxLng)}`);
+    const lat = param(filters.near.lat);
+    const lng = param(filters.near.lng);
+    where.push(
+      `${EARTH_RADIUS_M} * 2 * asin(sqrt(
+         power(sin(radians(lat - ${lat}) / 2), 2) +
+         cos(radians(${lat})) * cos(radians(lat)) * power(sin(radians(lng - ${lng}) / 2), 2)
+       )) <= ${param(filters.near.radius)}`
+    );
+  }
+
+  if (filters.status) where.push(`status = ${param(filters.status)}`);
+  if (filters.minSafety !== undefined) where.push(`safety_rating >= ${param(filters.minSafety)}`);
+  if (filters.minInfra !== undefined) where.push(`infrastructure_rating >= ${param(filters.minInfra)}`);
+  if (filters.categories) where.push(`categories && ${param(filters.categories)}::text[]`);
+  if (filters.since) where.push(`timestamp >= ${param(filters.since)}`);
+  if (filters.until) where.push(`timestamp <= ${param(filters.until)}`);
+  if (filters.locality) where.push(`locality = ${param(filters.locality)}`);
+  if (filters.neighbourhood) where.push(`neighbourhood = ${param(filters.neighbourhood)}`);
+
+  if (filters.cursor) {
+    where.push(`(timestamp, id) < (${param(filters.cursor.timestamp)}::timestamptz, ${param(filters.cursor.id)})`);
+  }
+  return where;
+}
+
+const whereClause = (where) => (where.length ? `WHERE ${where.join("\n         AND ")}` : "");
+
+// filters -> { text, values } for pool.query; selects one extra row to detect a next page
+function buildReviewQuery(filters, columns) {
+  const values = [];
+  const param = (v) => { values.push(v); return `$${values.length}`; };
+  const where = reviewConditions(filters, param);
+
+  let text = `SELECT ${columns},
+              to_char(timestamp AT TIME ZONE 'UTC', 'YYYY-MM-DD"T"HH24:MI:SS.US"Z"') AS cursor_ts
+       FROM reviews
+       ${whereClause(where)}
+       ORDER BY timestamp DESC, id DESC`;
+  if (filters.limit) text += `\n       LIMIT ${param(filters.limit + 1)}`;
+
+  return { text, values };
+}
+
+// Cut-off dates for the grid's recentCount / trend, relative to `now`
+const gridWindows = (now = Date.now()) => ({
+  recentSince: new Date(now - RECENT_DAYS * DAY_MS),
+  trendSince: new Date(now - TREND_DAYS * DAY_MS)
+});
+
+// filters + geohash precision -> { text, values } returning one row per cell
+function buildGridQuery(filters, precision, { recentSince, trendSince } = gridWindows()) {
+  const values = [];
+  const param = (v) => { values.push(v); return `$${values.length}`; };
+  const where = reviewConditions(filters, param);
+  const recent = param(recentSince);
+  const trend = param(trendSince);
+
+  const text = `SELECT left(geohash, ${param(precision)}) AS key,
+              count(*)::int AS count,
+              avg(lat) AS lat, avg(lng) AS lng,
+              avg(safety_rating)::float AS avg_safety,
+              avg(infrastructure_rating)::float AS avg_infra,
+              count(*) FILTER (WHERE timestamp > ${recent})::int AS recent_count,
+              avg(safety_rating) FILTER (WHERE timestamp > ${trend})::float AS trend_recent,
+              avg(safety_rating) FILTER (WHERE timestamp <= ${trend})::float AS trend_earlier
+       FROM reviews
+       ${whereClause(where)}
+       GROUP BY 1`;
+  return { text, values };
+}
+
+// filters -> { text, values } returning one row per (locality, neighbourhood), most reviewed first
+function buildNeighbourhoodQuery(filters) {
+  const values = [];
+  const param = (v) => { values.push(v); return `$${values.length}`; };
+  const where = [...reviewConditions(filters, param), "neighbourhood IS NOT NULL"];
+
+  const text = `SELECT locality, neighbourhood,
+              count(*)::int AS count,
+              avg(safety_rating)::float AS avg_safety,
+              avg(infrastructure_rating)::float AS avg_infra
+       FROM reviews
+       ${whereClause(where)}
+       GROUP BY locality, neighbourhood
+       ORDER BY count DESC, neighbourhood`;
+  return { text, values };
+}
+
+const round2 = (n) => Math.round(n * 100) / 100;
+
+const toNeighbourhood = ({ locality, neighbourhood, count, avgSafety, avgInfra }) => ({
+  locality,
+  neighbourhood,
+  count,
+  avgSafety: round2(avgSafety),
+  avgInfra: round2(avgInfra)
+});
+
+// In-memory equivalent of buildNeighbourhoodQuery over already-filtered review DTOs
+function aggregateNeighbourhoods(reviews) {
+  const groups = new Map();
+  for (const r of reviews) {
+    if (!r.neighbourhood) continue;
+    const key = JSON.stringify([r.locality, r.neighbourhood]);
+    const g = groups.get(key) || { locality: r.locality, neighbourhood: r.neighbourhood, count: 0, safety: 0, infra: 0 };
+    g.count++;
+    g.safety += r.safetyRating;
+    g.infra += r.infrastructureRating;
+    groups.set(key, g);
+  }
+  return [...groups.values()]
+    .sort((a, b) => b.count - a.count || a.neighbourhood.localeCompare(b.neighbourhood))
+    .map((g) => toNeighbourhood({ ...g, avgSafety: g.safety / g.count, avgInfra: g.infra / g.count }));
+}
+
+// One aggregated cell in the API shape (shared by both stores)
+const toGridCell = ({ key, count, lat, lng, avgSafety, avgInfra, recentCount, trendRecent, trendEarlier }) => ({
+  key,
+  lat,
+  lng,
+  count,
+  avgSafety: round2(avgSafety),
+  avgInfra: round2(avgInfra),
+  recentCount,
+  // Mean safety over the last TREND_DAYS minus the mean before; null without both sides
+  trend: trendRecent == null || trendEarlier == null ? null : round2(trendRecent - trendEarlier)
+});
+
+// In-memory equivalent of buildGridQuery over already-filtered review DTOs
+function aggregateGrid(reviews, precision, { recentSince, trendSince } = gridWindows()) {
+  const cells = new Map();
+  for (const r of reviews) {
+    const key = geohash(r.lat, r.lng, precision);
+    const c = cells.get(key) || { key, count: 0, lat: 0, lng: 0, safety: 0, infra: 0, recentCount: 0, tr: [0, 0], te: [0, 0] };
+    const t = new Date(r.timestamp).getTime();
+    c.count++;
+    c.lat += r.lat;
+    c.lng += r.lng;
+    c.safety += r.safetyRating;
+    c.infra += r.infrastructureRating;
+    if (t > recentSince.getTime()) c.recentCount++;
+    const side = t > trendSince.getTime() ? c.tr : c.te;
+    side[0] += r.safetyRating;
+    side[1]++;
+    cells.set(key, c);
+  }
+  return [...cells.values()].map((c) =>
+    toGridCell({
+      key: c.key,
+      count: c.count,
+      lat: c.lat / c.count,
+      lng: c.lng / c.count,
+      avgSafety: c.safety / c.count,
+      avgInfra: c.infra / c.count,
+      recentCount: c.recentCount,
+      trendRecent: c.tr[1] ? c.tr[0] / c.tr[1] : null,
+      trendEarlier: c.te[1] ? c.te[0] / c.te[1] : null
+    })
+  );
+}
+
+// Viewport totals for the stats tiles, weighted by cell counts
+function summarizeGrid(cells) {
+  const count = cells.reduce((s, c) => s + c.count, 0);
+  const weighted = (field) => (count ? round2(cells.reduce((s, c) => s + c[field] * c.count, 0) / count) : null);
+  return {
+    count,
+    avgSafety: weighted("avgSafety"),
+    avgInfra: weighted("avgInfra"),
+    recentCount: cells.reduce((s, c) => s + c.recentCount, 0)
+  };
+}
+
+const toRad = (x) => (x * Math.PI) / 180;
+
+// Great-circle distance (meters), same formula as the SQL above
+const haversineMeters = (a, b) => {
+  const dLat = toRad(b.lat - a.lat);
+  const dLng = toRad(b.lng - a.lng);
+  const h = Math.sin(dLat / 2) ** 2 + Math.cos(toRad(a.lat)) * Math.cos(toRad(b.lat)) * Math.sin(dLng / 2) ** 2;
+  return EARTH_RADIUS_M * 2 * Math.asin(Math.sqrt(h));
+};
+
+// ORDER BY timestamp DESC, id DESC for review DTOs
+const compareNewestFirst = (a, b) =>
+  new Date(b.timestamp) - new Date(a.timestamp) || Number(b.id) - Number(a.id);
+
+// filters -> predicate over review DTOs, mirroring buildReviewQuery
+function reviewFilterPredicate(filters) {
+  const cursorTime = filters.cursor ? new Date(filters.cursor.timestamp).getTime() : null;
+  return (r) => {
+    if (filters.bbox) {
+      const { minLng, minLat, maxLng, maxLat } = filters.bbox;
+      if (r.lat < minLat || r.lat > maxLat) return false;
+      if (minLng <= maxLng ? r.lng < minLng || r.lng > maxLng : r.lng < minLng && r.lng > maxLng) return false;
+    }
+    if (filters.near && haversineMeters(filters.near, r) > filters.near.radius) return false;
+    if (filters.status && r.status !== filters.status) return false;
+    if (filters.minSafety !== undefined && r.safetyRating < filters.minSafety) return false;
+    if (filters.minInfra !== undefined && r.infrastructureRating < filters.minInfra) return false;
+    if (filters.categories && !filters.categories.some((c) => r.categories.includes(c))) return false;
+    const t = new Date(r.timestamp).getTime();
+    if (filters.since && t < filters.since.getTime()) return false;
+    if (filters.until && t > filters.until.getTime()) return false;
+    if (filters.locality && r.locality !== filters.locality) return false;
+    if (filters.neighbourhood && r.neighbourhood !== filters.neighbourhood) return false;
+    if (filters.cursor && !(t < cursorTime || (t === cursorTime && Number(r.id) < Number(filters.cursor.id)))) return false;
+    return true;
+  };
+}
+
+// Trim the look-ahead row and produce the cursor for the next page (or null)
+function paginate(rows, filters) {
+  if (!filters.limit || rows.length <= filters.limit) return { rows, nextCursor: null };
+  const page = rows.slice(0, filters.limit);
+  return { rows: page, nextCursor: encodeCursor(page[page.length - 1]) };
+}
+
+module.exports = {
+  MAX_LIMIT,
+  MAX_RADIUS_M,
+  MAX_ZOOM,
+  QueryError,
+  parseReviewQuery,
+  parseGridQuery,
+  parseNeighbourhoodQuery,
+  reviewConditions,
+  whereClause,
+  buildReviewQuery,
+  buildGridQuery,
+  buildNeighbourhoodQuery,
+  toNeighbourhood,
+  aggregateNeighbourhoods,
+  gridWindows,
+  toGridCell,
+  aggregateGrid,
+  summarizeGrid,
+  reviewFilterPredicate,
+  compareNewestFirst,
+  haversineMeters,
+  paginate
+};
@@ -0,0 +1,238 @@
+// backend-api/reviewSearch.js
+// GET /reviews/search: full-text search over review descriptions and addresses, ranked and
+// with highlighted snippets, combinable with every GET /reviews filter. Postgres uses the
+// search_vector column (migration 013); the file store runs the in-memory approximation below.
+const { QueryError, parseReviewQuery, reviewConditions, whereClause } = require("./reviewQuery");
+
+const SEARCH_CONFIG = "english"; // text search configuration; must match migration 013
+const MAX_QUERY_LENGTH = 200;
+const DEFAULT_SEARCH_LIMIT = 20;
+const MAX_SEARCH_LIMIT = 100;
+const SNIPPET_WORDS = 24;
+
+// Highlight markers (private-use characters) until the snippet is HTML-escaped
+const START = "\uE000";
+const STOP = "\uE001";
+
+// Ranked results can't use the (timestamp, id) keyset cursor, so this one wraps an offset
+const encodeSearchCursor = (offset) => Buffer.from(JSON.stringify({ o: offset })).toString("base64url");
+
+const decodeSearchCursor = (cursor) => {
+  try {
+    const { o } = JSON.parse(Buffer.from(String(cursor), "base64url").toString("utf8"));
+    if (!Number.isInteger(o) || o < 0) throw new Error();
+    return o;
+  } catch {
+    throw new QueryError("cursor is invalid", "cursor");
+  }
+};
+
+// req.query → { q, filters, limit, offset } (throws QueryError on bad input)
+function parseSearchQuery(query = {}) {
+  const { q, limit, cursor, ...rest } = query;
+  if (q === undefined) throw new QueryError("q is required", "q");
+  const text = String(q).replace(/\s+/g, " ").trim();
+  if (!text) throw new QueryError("q must not be empty", "q");
+  if (text.length > MAX_QUERY_LENGTH) throw new QueryError(`q must be at most ${MAX_QUERY_LENGTH} characters`, "q");
+
+  let pageSize = DEFAULT_SEARCH_LIMIT;
+  if (limit !== undefined) {
+    pageSize = Number(limit);
+    if (!Number.isInteger(pageSize) || pageSize < 1 || pageSize > MAX_SEARCH_LIMIT) {
+      throw new QueryError(`limit must be an integer 1-${MAX_SEARCH_LIMIT}`, "limit");
+    }
+  }
+
+  return {
+    q: text,
+    filters: parseReviewQuery(rest),
+    limit: pageSize,
+    offset: cursor === undefined ? 0 : decodeSearchCursor(cursor)
+  };
+}
+
+// ---- Postgres ----
+
+const headlineOptions = (extra) =>
+  `StartSel="${START}", StopSel="${STOP}", ${extra}`;
+
+// search → { text, values }: one page (plus a look-ahead row) ordered by rank, newest first
+// on ties. Snippets are built after the LIMIT so ts_headline only runs on the page.
+function buildSearchQuery({ q, filters, limit, offset }, columns) {
+  const values = [];
+  const param = (v) => { values.push(v); return `$${values.length}`; };
+  const tsquery = `websearch_to_tsquery('${SEARCH_CONFIG}', ${param(q)})`;
+  const where = ["search_vector @@ query", ...reviewConditions(filters, param)];
+
+  const text = `WITH matches AS (
+         SELECT ${columns}, query, ts_rank_cd(search_vector, query, 32) AS rank
+         FROM reviews, ${tsquery} AS query
+         ${whereClause(where)}
+         ORDER BY rank DESC, timestamp DESC, id DESC
+         LIMIT ${param(limit + 1)} OFFSET ${param(offset)}
+       )
+       SELECT ${columns}, rank,
+              ts_headline('${SEARCH_CONFIG}', description, query,
+                          ${param(headlineOptions(`MaxWords=${SNIPPET_WORDS}, MinWords=8, MaxFragments=2, FragmentDelimiter=" … "`))})
+                AS description_snippet,
+              ts_headline('${SEARCH_CONFIG}', coalesce(address, ''), query, ${param(headlineOptions("HighlightAll=true"))})
+                AS address_snippet
+       FROM matches
+       ORDER BY rank DESC, timestamp DESC, id DESC`;
+  return { text, values };
+}
+
+// ---- In-memory (file store) ----
+// An approximation of websearch_to_tsquery + the english configuration: words are lowercased
+// and crudely stemmed, stop words are dropped, "quoted phrases" must be adjacent, -word
+// excludes and `or` separates alternatives (each an AND of its terms).
+
+const STOP_WORDS = new Set(
+  ("a an and are as at be but by for from has have in into is it its no not of on or " +
+   "over so than that the their there these this to under was were with").split(" ")
+);
+
+const WORD_RE = /[\p{L}\p{N}]+(?:'[\p{L}]+)?/gu;
+
+const stem = (word) => {
+  let w = word.toLowerCase().replace(/'s$/, "");
+  if (w.length > 4 && w.endsWith("ies")) return `${w.slice(0, -3)}y`;
+  if (w.length > 5 && w.endsWith("ing")) w = w.slice(0, -3);
+  else if (w.length > 4 && w.endsWith("ed")) w = w.slice(0, -2);
+  else if (w.length > 4 && /(ss|sh|ch|x|z)es$/.test(w)) w = w.slice(0, -2);
+  else if (w.length > 3 && w.endsWith("s") && !w.endsWith("ss")) w = w.slice(0, -1);
+  return w;
+};
+
+// Text → [{ stem, start, end }]; stop words get no stem, so they never match
+const tokenize = (text) =>
+  [...String(text || "").matchAll(WORD_RE)].map((m) => ({
+    stem: STOP_WORDS.has(m[0].toLowerCase()) ? null : stem(m[0]),
+    start: m.index,
+    end: m.index + m[0].length
+  }));
+
+// q → [[{ stems, negated }]]: alternatives of AND-ed terms (a term is one word or a phrase)
+function parseTerms(q) {
+  const groups = [[]];
+  for (const m of q.matchAll(/(-?)"([^"]*)"?|(-?)(\S+)/g)) {
+    const negated = !!(m[1] || m[3]);
+    const raw = m[2] !== undefined ? m[2] : m[4];
+    if (m[2] === undefined && !negated && raw.toLowerCase() === "or") {
+      if (groups[groups.length - 1].length) groups.push([]);
+      continue;
+    }
+    const stems = tokenize(raw).map((t) => t.stem).filter(Boolean);
+    if (stems.length) groups[groups.length - 1].push({ stems, negated });
+  }
+  return groups.filter((g) => g.some((t) => !t.negated));
+}
+
+// Each place `term` occurs in tokens, as the run of tokens it covers (stop words skipped)
+const occurrences = (tokens, { stems }) => {
+  const words = tokens.filter((t) => t.stem);
+  const found = [];
+  for (let i = 0; i + stems.length <= words.length; i++) {
+    if (stems.every((s, j) => words[i + j].stem === s)) found.push(words.slice(i, i + stems.length));
+  }
+  return found;
+};
+
+// Text with every occurrence wrapped in the markers; unless `whole`, only a SNIPPET_WORDS
+// window around the first one (or the start, like ts_headline when nothing matched)
+function highlight(text, hits, whole) {
+  if (!text) return "";
+  const marks = hits.flat().sort((a, b) => a.start - b.start);
+  let from = 0;
+  let to = text.length;
+  let lead = "";
+  let tail = "";
+  const words = whole ? [] : tokenize(text);
+  if (words.length) {
+    const first = marks.length ? words.findIndex((w) => w.start === marks[0].start) : 0;
+    const startWord = Math.max(0, first - Math.floor(SNIPPET_WORDS / 3));
+    const endWord = Math.min(words.length, startWord + SNIPPET_WORDS);
+    from = words[startWord].start;
+    to = words[endWord - 1].end;
+    if (startWord > 0) lead = "… ";
+    if (endWord < words.length) tail = " …";
+  }
+
+  let out = lead;
+  let pos = from;
+  for (const m of marks) {
+    if (m.start < pos || m.end > to) continue;
+    out += text.slice(pos, m.start) + START + text.slice(m.start, m.end) + STOP;
+    pos = m.end;
+  }
+  return out + text.slice(pos, to) + tail;
+}
+
+// Review DTOs already filtered by reviewFilterPredicate → one page of
+// { review, rank, descriptionSnippet, addressSnippet }, ranked like ts_rank_cd's weights
+// (description A = 1.0, address B = 0.4) squashed into 0-1
+function searchReviews(reviews, { q, limit, offset }) {
+  const groups = parseTerms(q);
+  const matches = [];
+  for (const review of reviews) {
+    const fields = { description: tokenize(review.description), address: tokenize(review.address) };
+    const hitsIn = (term) => [...occurrences(fields.description, term), ...occurrences(fields.address, term)];
+
+    const group = groups.find((g) => g.every((term) => (hitsIn(term).length > 0) !== term.negated));
+    if (!group) continue;
+
+    const positive = group.filter((t) => !t.negated);
+    const descHits = positive.flatMap((t) => occurrences(fields.description, t));
+    const addrHits = positive.flatMap((t) => occurrences(fields.address, t));
+    const score = descHits.length + 0.4 * addrHits.length;
+    matches.push({
+      review,
+      rank: score / (score + 1),
+      descriptionSnippet: highlight(review.description, descHits, false),
+      addressSnippet: highlight(review.address, addrHits, true)
+    });
+  }
+  matches.sort((a, b) =>
+    b.rank - a.rank ||
+    new Date(b.review.timestamp) - new Date(a.review.timestamp) ||
+    Number(b.review.id) - Number(a.review.id)
+  );
+  return matches.slice(offset, offset + limit + 1);
+}
+
+// ---- Results ----
+
+const escapeHtml = (s) =>
+  s.replace(/[&<>"']/g, (c) => ({ "&": "&amp;", "<": "&lt;", ">": "&gt;", '"': "&quot;", "'": "&#39;" }[c]));
+
+// Marked-up snippet → HTML-escaped text with <mark> around the matches; "" → null
+const toSnippetHtml = (raw) =>
+  raw ? escapeHtml(raw).replaceAll(START, "<mark>").replaceAll(STOP, "</mark>") : null;
+
+// One result in the API shape (shared by both stores): the review plus its search fields
+const toSearchResult = ({ review, rank, descriptionSnippet, addressSnippet }) => ({
+  ...review,
+  search: {
+    rank: Math.round(rank * 10000) / 10000,
+    snippets: {
+      description: toSnippetHtml(descriptionSnippet),
+      address: toSnippetHtml(addressSnippet)
+    }
+  }
+});
+
+// Trim the look-ahead row and produce the cursor for the next page (or null)
+function paginateSearch(rows, { limit, offset }) {
+  if (rows.length <= limit) return { rows, nextCursor: null };
+  return { rows: rows.slice(0, limit), nextCursor: encodeSearchCursor(offset + limit) };
+}
+
+module.exports = {
+  MAX_QUERY_LENGTH,
+  MAX_SEARCH_LIMIT,
+  parseSearchQuery,
+  buildSearchQuery,
+  searchReviews,
+  toSearchResult,
+  paginateSearch
+};
@@ -0,0 +1,128 @@
+#!/usr/bin/env node
+// backend-api/seed.js
+// Loads sample reviews around the frontend's defaultLocation (Hyderabad).
+// Usage: node seed.js [--count 60] [--reset]   (postgres: run migrations first)
+// Writes through the configured STORE, so it also fills the local file store.
+const { createStore } = require("./store");
+
+// Neighbourhoods with a rough "typical" safety level so the sample data has shape
+const PLACES = [
+  { name: "Ameerpet", lat: 17.4375, lng: 78.4483, safety: 3 },
+  { name: "Banjara Hills", lat: 17.4156, lng: 78.4347, safety: 4 },
+  { name: "Jubilee Hills", lat: 17.4326, lng: 78.4071, safety: 4 },
+  { name: "Charminar", lat: 17.3616, lng: 78.4747, safety: 2 },
+  { name: "Secunderabad", lat: 17.4399, lng: 78.4983, safety: 3 },
+  { name: "HITEC City", lat: 17.4435, lng: 78.3772, safety: 4 },
+  { name: "Gachibowli", lat: 17.4401, lng: 78.3489, safety: 4 },
+  { name: "Kukatpally", lat: 17.4849, lng: 78.4138, safety: 3 },
+  { name: "Dilsukhnagar", lat: 17.3688, lng: 78.5247, safety: 2 },
+  { name: "Begumpet", lat: 17.4447, lng: 78.4664, safety: 3 },
+  { name: "Abids", lat: 17.3930, lng: 78.4760, safety: 3 },
+  { name: "Mehdipatnam", lat: 17.3950, lng: 78.4400, safety: 2 },
+  { name: "Madhapur", lat: 17.4483, lng: 78.3915, safety: 4 },
+  { name: "Koti", lat: 17.3850, lng: 78.4867, safety: 3 },
+  { name: "Tarnaka", lat: 17.4260, lng: 78.5400, safety: 3 }
+];
+
+const DAY = { start: 7, end: 19 };
+const NIGHT = { start: 20, end: 6 };
+
+// [text, categories, observedHours?]
+const DESCRIPTIONS = {
+  low: [
+    ["Streetlights out along most of this stretch, very dark after 8pm.", ["broken_streetlight", "poor_lighting"], NIGHT],
+    ["Footpath broken and blocked by parked bikes, had to walk on the road.", ["no_footpath"]],
+    ["Groups loitering near the bus stop at night, felt unsafe walking alone.", ["harassment", "isolated"], NIGHT],
+    ["Underpass has no lighting and smells bad, avoid after dark.", ["poor_lighting", "isolated"], NIGHT],
+    ["Large potholes and open drain next to the road, no barricade.", ["pothole", "open_drain"]]
+  ],
+  mid: [
+    ["Busy during the day, lighting is patchy near the side lanes.", ["poor_lighting"]],
+    ["Footpath exists but is uneven; traffic is heavy at peak hours.", ["no_footpath", "reckless_traffic"], DAY],
+    ["Okay till about 9pm, shops close and it gets quiet after that.", ["isolated"], NIGHT],
+    ["Some streetlights working, a few dark patches near the junction.", ["broken_streetlight"]],
+    ["Crossing is difficult, no signal for pedestrians.", ["unsafe_crossing"]]
+  ],
+  high: [
+    ["Well lit, wide footpaths and plenty of people around even late.", []],
+    ["Police patrol visible, CCTV at the junction, felt safe at night.", [], NIGHT],
+    ["Good pedestrian crossing with signals, clean and well maintained.", []],
+    ["Metro station nearby with security, area stays active till late.", [], NIGHT],
+    ["New LED streetlights installed, footpath recently repaved.", []]
+  ]
+};
+
+// Small deterministic PRNG so every run of the seed produces the same data
+function mulberry32(seed) {
+  return () => {
+    seed |= 0;
+    seed = (seed + 0x6d2b79f5) | 0;
+    let t = Math.imul(seed ^ (seed >>> 15), 1 | seed);
+    t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+const clampRating = (n) => Math.max(1, Math.min(5, Math.round(n)));
+
+function buildReviews(count, random = mulberry32(42)) {
+  const pick = (list) => list[Math.floor(random() * list.length)];
+  const reviews = [];
+  for (let i = 0; i < count; i++) {
+    const place = pick(PLACES);
+    const safety = clampRating(place.safety + (random() - 0.5) * 2.5);
+    const infrastructure = clampRating(safety + (random() - 0.5) * 2);
+    const band = safety <= 2 ? "low" : safety >= 4 ? "high" : "mid";
+    const daysAgo = random() * 90;
+    const [description, categories, observedHours = null] = pick(DESCRIPTIONS[band]);
+
+    reviews.push({
+      // ~±500 m jitter around the neighbourhood centre
+      lat: +(place.lat + (random() - 0.5) * 0.009).toFixed(6),
+      lng: +(place.lng + (random() - 0.5) * 0.009).toFixed(6),
+      safetyRating: safety,
+      infrastructureRating: infrastructure,
+      description,
+      address: `${place.name}, Hyderabad, Telangana, India`,
+      categories,
+      observedHours,
+      timestamp: new Date(Date.now() - daysAgo * 24 * 60 * 60 * 1000).toISOString()
+    });
+  }
+  return reviews;
+}
+
+function parseArgs(argv) {
+  const opts = { count: 60, reset: false };
+  for (let i = 0; i < argv.length; i++) {
+    if (argv[i] === "--reset") opts.reset = true;
+    else if (argv[i] === "--count") opts.count = Number(argv[++i]);
+    else throw new Error(`Unknown option ${argv[i]}`);
+  }
+  if (!Number.isInteger(opts.count) || opts.count < 1) throw new Error("--count must be a positive integer");
+  return opts;
+}
+
+async function main(argv) {
+  const { count, reset } = parseArgs(argv);
+  const reviews = buildReviews(count);
+
+  const store = createStore();
+  try {
+    if (reset) await store.reviews.removeAll();
+    for (const r of reviews) await store.reviews.create(r);
+    console.log(`Seeded ${reviews.length} review(s) into the ${store.kind} store${reset ? " (reset first)" : ""}.`);
+  } finally {
+    await store.close();
+  }
+}
+
+if (require.main === module) {
+  main(process.argv.slice(2))
+    .catch((err) => {
+      console.error(err.message || err);
+      process.exitCode = 1;
+    });
+}
+
+module.exports = { buildReviews };
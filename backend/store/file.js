@@ -0,0 +1,450 @@
+// backend-api/store/file.js
+// File-backed store for local development and tests: the whole dataset lives in
+// memory and is written to one JSON file after every change (":memory:" skips the file).
+// Same interface and semantics as ./postgres.js, no database server needed.
+const fs = require("fs");
+const path = require("path");
+const {
+  reviewFilterPredicate, compareNewestFirst, paginate, aggregateGrid, aggregateNeighbourhoods
+} = require("../reviewQuery");
+const { searchReviews, toSearchResult, paginateSearch } = require("../reviewSearch");
+
+const EMPTY = () => ({
+  seq: { reviews: 0, users: 0, reports: 0, alerts: 0, revisions: 0, watches: 0 },
+  reviews: [],
+  revisions: [],
+  users: [],
+  sessions: [],
+  reports: [],
+  alerts: [],
+  watches: [],
+  watchMatches: [],
+  geocodes: {} // rounded-coordinate key → place
+});
+
+const EDITABLE_FIELDS = ["safetyRating", "infrastructureRating", "description", "address", "categories", "observedHours"];
+
+const byNewest = (field) => (a, b) => new Date(b[field]) - new Date(a[field]);
+
+function createFileStore({ file }) {
+  const inMemory = !file || file === ":memory:";
+  let data = EMPTY();
+  if (!inMemory && fs.existsSync(file)) {
+    const saved = JSON.parse(fs.readFileSync(file, "utf8"));
+    data = { ...EMPTY(), ...saved, seq: { ...EMPTY().seq, ...saved.seq } };
+    // Reviews saved before categories / observed hours / photos / places / quarantine existed
+    for (const r of data.reviews) {
+      r.categories = r.categories || [];
+      r.observedHours = r.observedHours || null;
+      r.photos = r.photos || [];
+      r.street = r.street || null;
+      r.neighbourhood = r.neighbourhood || null;
+      r.locality = r.locality || null;
+      r.quarantineReasons = r.quarantineReasons || [];
+    }
+  }
+
+  // Writes are chained so snapshots land in order; tmp + rename keeps the file whole
+  let writing = Promise.resolve();
+  const persist = () => {
+    if (inMemory) return writing;
+    const snapshot = JSON.stringify(data, null, 2);
+    const tmp = `${file}.tmp`;
+    writing = writing
+      .then(async () => {
+        await fs.promises.mkdir(path.dirname(file), { recursive: true });
+        await fs.promises.writeFile(tmp, snapshot);
+        await fs.promises.rename(tmp, file);
+      })
+      .catch((err) => console.error("File store write failed:", err.message));
+    return writing;
+  };
+
+  const nextId = (kind) => String(++data.seq[kind]);
+  const now = () => new Date().toISOString();
+  const copy = (obj) => (obj ? { ...obj } : null);
+  const publicUser = ({ passwordHash, createdAt, ...user }) => user;
+  const findReview = (id) => data.reviews.find((r) => r.id === String(id));
+
+  // create() fields → a stored review (takes the next id)
+  const newReview = ({
+    lat, lng, safetyRating, infrastructureRating, description, address, street, neighbourhood, locality,
+    categories, observedHours, photos, timestamp, authorId, status, quarantineReasons
+  }) => ({
+    id: nextId("reviews"),
+    lat,
+    lng,
+    safetyRating,
+    infrastructureRating,
+    description,
+    address: address || null,
+    street: street || null,
+    neighbourhood: neighbourhood || null,
+    locality: locality || null,
+    categories: categories || [],
+    observedHours: observedHours || null,
+    photos: photos || [],
+    authorId: authorId || null,
+    status: status || "visible",
+    quarantineReasons: quarantineReasons || [],
+    timestamp: timestamp ? new Date(timestamp).toISOString() : now(),
+    updatedAt: null
+  });
+
+  const reviews = {
+    async list(filters) {
+      let rows = data.reviews.filter(reviewFilterPredicate(filters)).sort(compareNewestFirst);
+      if (filters.limit) rows = rows.slice(0, filters.limit + 1);
+      const { rows: page, nextCursor } = paginate(rows, filters);
+      return { reviews: page.map(copy), nextCursor };
+    },
+
+    async get(id) {
+      return copy(findReview(id));
+    },
+
+    async create(fields) {
+      const review = newReview(fields);
+      data.reviews.push(review);
+      await persist();
+      return copy(review);
+    },
+
+    // All or none, like the Postgres transaction: every row is built before any is stored
+    async createMany(list) {
+      const created = list.map(newReview);
+      data.reviews.push(...created);
+      await persist();
+      return created.map(copy);
+    },
+
+    async update(id, changes, editorId, { quarantineReasons = [] } = {}) {
+      const review = findReview(id);
+      if (!review) return null;
+
+      const previous = data.revisions.filter((r) => r.reviewId === review.id);
+      data.revisions.push({
+        id: nextId("revisions"),
+        reviewId: review.id,
+        revision: previous.length + 1,
+        safetyRating: review.safetyRating,
+        infrastructureRating: review.infrastructureRating,
+        description: review.description,
+        address: review.address,
+        categories: review.categories,
+        observedHours: review.observedHours,
+        replacedAt: now(),
+        replacedBy: editorId ? String(editorId) : null
+      });
+
+      for (const field of EDITABLE_FIELDS) {
+        if (changes[field] !== undefined) review[field] = changes[field];
+      }
+      if (quarantineReasons.length) Object.assign(review, { status: "quarantined", quarantineReasons });
+      review.updatedAt = now();
+      await persist();
+      return copy(review);
+    },
+
+    async revisions(id) {
+      return data.revisions
+        .filter((r) => r.reviewId === String(id))
+        .sort((a, b) => b.revision - a.revision)
+        .map(({ id: _id, reviewId, ...r }) => r);
+    },
+
+    async remove(id) {
+      const before = data.reviews.length;
+      data.reviews = data.reviews.filter((r) => r.id !== String(id));
+      if (data.reviews.length === before) return false;
+      // ON DELETE CASCADE
+      data.reports = data.reports.filter((r) => r.reviewId !== String(id));
+      data.revisions = data.revisions.filter((r) => r.reviewId !== String(id));
+      data.watchMatches = data.watchMatches.filter((m) => m.reviewId !== String(id));
+      await persist();
+      return true;
+    },
+
+    async removeAll() {
+      data.reviews = [];
+      data.reports = [];
+      data.revisions = [];
+      data.watchMatches = [];
+      data.seq.reviews = 0;
+      await persist();
+    },
+
+    async setStatus(id, status, quarantineReasons = []) {
+      const review = findReview(id);
+      if (!review) return null;
+      review.status = status;
+      review.quarantineReasons = status === "quarantined" ? quarantineReasons : [];
+      await persist();
+      return copy(review);
+    },
+
+    async grid(filters, precision, windows) {
+      return aggregateGrid(data.reviews.filter(reviewFilterPredicate(filters)), precision, windows);
+    },
+
+    async neighbourhoods(filters) {
+      return aggregateNeighbourhoods(data.reviews.filter(reviewFilterPredicate(filters)));
+    },
+
+    async search(search) {
+      const matches = searchReviews(data.reviews.filter(reviewFilterPredicate(search.filters)), search);
+      const { rows, nextCursor } = paginateSearch(matches, search);
+      return { results: rows.map(toSearchResult), nextCursor };
+    },
+
+    async countInBox({ minLat, maxLat, minLng, maxLng }, { maxSafety = 5, since }) {
+      const after = new Date(since).getTime();
+      return data.reviews.filter(
+        (r) =>
+          r.lat >= minLat && r.lat < maxLat && r.lng >= minLng && r.lng < maxLng &&
+          r.safetyRating <= maxSafety && r.status === "visible" &&
+          new Date(r.timestamp).getTime() > after
+      ).length;
+    }
+  };
+
+  const users = {
+    async create({ email, passwordHash, displayName, role }) {
+      if (data.users.some((u) => u.email === email)) return null;
+      const user = { id: nextId("users"), email, displayName: displayName || null, role, passwordHash, createdAt: now() };
+      data.users.push(user);
+      await persist();
+      return publicUser(user);
+    },
+
+    async findByEmail(email) {
+      const user = data.users.find((u) => u.email === email);
+      return user ? { ...publicUser(user), passwordHash: user.passwordHash } : null;
+    },
+
+    async setRole(id, role) {
+      const user = data.users.find((u) => u.id === String(id));
+      if (user) {
+        user.role = role;
+        await persist();
+      }
+    }
+  };
+
+  const sessions = {
+    async create({ tokenHash, userId, expiresAt }) {
+      data.sessions.push({ tokenHash, userId: String(userId), createdAt: now(), expiresAt: new Date(expiresAt).toISOString() });
+      await persist();
+    },
+
+    async findUser(tokenHash) {
+      const session = data.sessions.find((s) => s.tokenHash === tokenHash && new Date(s.expiresAt) > new Date());
+      const user = session && data.users.find((u) => u.id === session.userId);
+      return user ? publicUser(user) : null;
+    },
+
+    async remove(tokenHash) {
+      data.sessions = data.sessions.filter((s) => s.tokenHash !== tokenHash);
+      await persist();
+    }
+  };
+
+  const reports = {
+    async create({ reviewId, reporterId, reason, details }) {
+      const duplicate = data.reports.some(
+        (r) => r.reviewId === String(reviewId) && r.reporterId === String(reporterId) && r.status === "open"
+      );
+      if (duplicate) return null;
+      const report = {
+        id: nextId("reports"),
+        reviewId: String(reviewId),
+        reporterId: String(reporterId),
+        reason,
+        details: details || null,
+        status: "open",
+        createdAt: now()
+      };
+      data.reports.push(report);
+      await persist();
+      return copy(report);
+    },
+
+    async countOpen(reviewId) {
+      return data.reports.filter((r) => r.reviewId === String(reviewId) && r.status === "open").length;
+    },
+
+    async listForReview(reviewId) {
+      return data.reports
+        .filter((r) => r.reviewId === String(reviewId))
+        .sort(byNewest("createdAt"))
+        .map(({ resolvedAt, resolvedBy, ...r }) => r);
+    },
+
+    async queue(kind) {
+      return data.reviews
+        .map((review) => {
+          const open = data.reports.filter((r) => r.reviewId === review.id && r.status === "open");
+          return { ...review, openReports: open.length, reasons: [...new Set(open.map((r) => r.reason))].sort() };
+        })
+        .filter((r) => (kind === "flagged" ? r.openReports > 0 : r.status === kind))
+        .sort((a, b) => b.openReports - a.openReports || new Date(b.timestamp) - new Date(a.timestamp));
+    },
+
+    async moderate(reviewId, moderatorId, status) {
+      const review = findReview(reviewId);
+      if (!review) return null;
+      review.status = status;
+      review.quarantineReasons = [];
+      for (const r of data.reports) {
+        if (r.reviewId === review.id && r.status === "open") {
+          Object.assign(r, { status: "resolved", resolvedAt: now(), resolvedBy: String(moderatorId) });
+        }
+      }
+      await persist();
+      return copy(review);
+    }
+  };
+
+  const alerts = {
+    async latestForTile(tileKey, since) {
+      const after = new Date(since).getTime();
+      const match = data.alerts
+        .filter((a) => a.tile === tileKey && new Date(a.createdAt).getTime() > after)
+        .sort(byNewest("createdAt"))[0];
+      return copy(match);
+    },
+
+    async create(fields) {
+      const alert = { id: nextId("alerts"), ...fields, createdAt: now() };
+      data.alerts.push(alert);
+      await persist();
+      return copy(alert);
+    },
+
+    async list({ tile, since, limit = 50 } = {}) {
+      return data.alerts
+        .filter((a) => (!tile || a.tile === tile) && (!since || new Date(a.createdAt) >= new Date(since)))
+        .sort(byNewest("createdAt"))
+        .slice(0, limit)
+        .map(copy);
+    }
+  };
+
+  const geocodes = {
+    async get(key, since) {
+      const place = data.geocodes[key];
+      if (!place || new Date(place.createdAt) < since) return null;
+      const { provider, createdAt, ...fields } = place;
+      return fields;
+    },
+
+    async put(key, { street, neighbourhood, locality, address, provider }) {
+      data.geocodes[key] = { street, neighbourhood, locality, address, provider, createdAt: now() };
+      await persist();
+    }
+  };
+
+  const watches = {
+    async create({ userId, name, kind, geometry, bounds, frequency, maxSafety, unsubscribeToken }) {
+      const watch = {
+        id: nextId("watches"),
+        userId: String(userId),
+        name,
+        kind,
+        geometry,
+        bounds,
+        frequency,
+        maxSafety,
+        unsubscribeToken,
+        lastNotifiedAt: null,
+        createdAt: now()
+      };
+      data.watches.push(watch);
+      await persist();
+      return copy(watch);
+    },
+
+    async listForUser(userId) {
+      return data.watches.filter((w) => w.userId === String(userId)).sort(byNewest("createdAt")).map(copy);
+    },
+
+    async remove(id, userId) {
+      const watch = data.watches.find((w) => w.id === String(id) && w.userId === String(userId));
+      if (!watch) return false;
+      dropWatch(watch);
+      await persist();
+      return true;
+    },
+
+    async unsubscribe(token) {
+      const watch = data.watches.find((w) => w.unsubscribeToken === token);
+      if (!watch) return null;
+      dropWatch(watch);
+      await persist();
+      return copy(watch);
+    },
+
+    async candidates({ lat, lng }, safetyRating) {
+      return data.watches
+        .filter(
+          (w) =>
+            lat >= w.bounds.south && lat <= w.bounds.north && lng >= w.bounds.west && lng <= w.bounds.east &&
+            w.maxSafety >= safetyRating
+        )
+        .map(copy);
+    },
+
+    async addMatch(watchId, reviewId) {
+      const exists = data.watchMatches.some((m) => m.watchId === String(watchId) && m.reviewId === String(reviewId));
+      if (exists) return;
+      data.watchMatches.push({ watchId: String(watchId), reviewId: String(reviewId), matchedAt: now(), notifiedAt: null });
+      await persist();
+    },
+
+    async pending() {
+      const groups = new Map();
+      for (const m of data.watchMatches) {
+        const review = findReview(m.reviewId);
+        if (m.notifiedAt || !review || review.status !== "visible") continue;
+        if (!groups.has(m.watchId)) groups.set(m.watchId, []);
+        groups.get(m.watchId).push(copy(review));
+      }
+      return [...groups].map(([watchId, reviews]) => {
+        const watch = data.watches.find((w) => w.id === watchId);
+        const user = data.users.find((u) => u.id === watch.userId);
+        return { watch: copy(watch), email: user.email, displayName: user.displayName, reviews };
+      });
+    },
+
+    async markNotified(watchId, reviewIds) {
+      const at = now();
+      const ids = reviewIds.map(String);
+      for (const m of data.watchMatches) {
+        if (m.watchId === String(watchId) && ids.includes(m.reviewId)) m.notifiedAt = at;
+      }
+      const watch = data.watches.find((w) => w.id === String(watchId));
+      if (watch) watch.lastNotifiedAt = at;
+      await persist();
+    }
+  };
+
+  // ON DELETE CASCADE
+  const dropWatch = (watch) => {
+    data.watches = data.watches.filter((w) => w !== watch);
+    data.watchMatches = data.watchMatches.filter((m) => m.watchId !== watch.id);
+  };
+
+  return {
+    kind: "file",
+    reviews,
+    users,
+    sessions,
+    reports,
+    alerts,
+    geocodes,
+    watches,
+    close: () => writing
+  };
+}
+
+module.exports = { createFileStore };
@@ -0,0 +1,31 @@
+// backend-api/store/index.js
+// Picks the storage backend from STORE (postgres | file). Every store exposes:
+//   reviews:  list(filters) · get · create · createMany · update · revisions · remove · removeAll · setStatus · grid ·
+//             neighbourhoods · search · countInBox
+//   users:    create · findByEmail · setRole
+//   sessions: create · findUser · remove
+//   reports:  create · countOpen · listForReview · queue · moderate
+//   alerts:   latestForTile · create · list
+//   geocodes: get · put (reverse-geocoding cache)
+//   watches:  create · listForUser · remove · unsubscribe · candidates · addMatch · pending · markNotified
+// and close(). Records use the API (camelCase, string id) shape.
+const path = require("path");
+const { createPool } = require("../db");
+const { createPostgresStore } = require("./postgres");
+const { createFileStore } = require("./file");
+
+const DEFAULT_STORE_FILE = path.join(__dirname, "..", "data", "store.json");
+
+function createStore(env = process.env) {
+  const kind = env.STORE || "postgres";
+  switch (kind) {
+    case "postgres":
+      return createPostgresStore({ pool: createPool(env) });
+    case "file":
+      return createFileStore({ file: env.STORE_FILE || DEFAULT_STORE_FILE });
+    default:
+      throw new Error(`Unknown STORE "${kind}" (expected postgres or file)`);
+  }
+}
+
+module.exports = { createStore };
@@ -0,0 +1,591 @@
+// backend-api/store/postgres.js
+// Postgres-backed store (production). Schema comes from ../migrations.
+const {
+  buildReviewQuery, buildGridQuery, buildNeighbourhoodQuery, toGridCell, toNeighbourhood, paginate
+} = require("../reviewQuery");
+const { buildSearchQuery, toSearchResult, paginateSearch } = require("../reviewSearch");
+const { encode: geohash } = require("../geohash");
+
+const REVIEW_COLUMNS =
+  "id, lat, lng, safety_rating, infrastructure_rating, description, address, street, neighbourhood, locality, " +
+  "categories, observed_start_hour, observed_end_hour, photos, author_id, status, quarantine_reasons, timestamp, updated_at";
+
+// PATCH fields -> { column: value }
+const toEditedColumns = (changes) => {
+  const columns = {
+    safety_rating: changes.safetyRating,
+    infrastructure_rating: changes.infrastructureRating,
+    description: changes.description,
+    address: changes.address,
+    categories: changes.categories
+  };
+  if (changes.observedHours !== undefined) {
+    columns.observed_start_hour = changes.observedHours ? changes.observedHours.start : null;
+    columns.observed_end_hour = changes.observedHours ? changes.observedHours.end : null;
+  }
+  return columns;
+};
+
+const toObservedHours = (row) =>
+  row.observed_start_hour == null ? null : { start: row.observed_start_hour, end: row.observed_end_hour };
+
+const iso = (v) => v?.toISOString?.() ?? v;
+const idOrNull = (v) => (v == null ? null : String(v));
+
+// Normalize DB row -> frontend shape
+const toReviewDTO = (row) => ({
+  id: String(row.id),
+  lat: row.lat,
+  lng: row.lng,
+  safetyRating: row.safety_rating,
+  infrastructureRating: row.infrastructure_rating,
+  description: row.description,
+  address: row.address,
+  street: row.street,
+  neighbourhood: row.neighbourhood,
+  locality: row.locality,
+  categories: row.categories || [],
+  observedHours: toObservedHours(row),
+  photos: row.photos || [],
+  authorId: idOrNull(row.author_id),
+  status: row.status,
+  quarantineReasons: row.quarantine_reasons || [],
+  timestamp: iso(row.timestamp),
+  updatedAt: row.updated_at ? iso(row.updated_at) : null
+});
+
+const toRevisionDTO = (row) => ({
+  revision: row.revision,
+  safetyRating: row.safety_rating,
+  infrastructureRating: row.infrastructure_rating,
+  description: row.description,
+  address: row.address,
+  categories: row.categories,
+  observedHours: toObservedHours(row),
+  replacedAt: iso(row.replaced_at),
+  replacedBy: idOrNull(row.replaced_by)
+});
+
+const toUserDTO = (row) => ({
+  id: String(row.id),
+  email: row.email,
+  displayName: row.display_name,
+  role: row.role
+});
+
+const toReportDTO = (row) => ({
+  id: String(row.id),
+  reviewId: String(row.review_id),
+  reporterId: idOrNull(row.reporter_id),
+  reason: row.reason,
+  details: row.details,
+  status: row.status,
+  createdAt: iso(row.created_at)
+});
+
+const toAlertDTO = (row) => ({
+  id: String(row.id),
+  tile: row.tile_key,
+  lat: row.lat,
+  lng: row.lng,
+  reviewCount: row.review_count,
+  windowMinutes: row.window_minutes,
+  recipients: row.recipients,
+  status: row.status,
+  error: row.error,
+  createdAt: iso(row.created_at)
+});
+
+const toWatchDTO = (row) => ({
+  id: String(row.id),
+  userId: String(row.user_id),
+  name: row.name,
+  kind: row.kind,
+  geometry: row.geometry,
+  bounds: { south: row.min_lat, west: row.min_lng, north: row.max_lat, east: row.max_lng },
+  frequency: row.frequency,
+  maxSafety: row.max_safety,
+  unsubscribeToken: row.unsubscribe_token,
+  lastNotifiedAt: iso(row.last_notified_at),
+  createdAt: iso(row.created_at)
+});
+
+// Run fn(client) inside BEGIN/COMMIT, rolling back on error
+async function transaction(pool, fn) {
+  const client = await pool.connect();
+  try {
+    await client.query("BEGIN");
+    const result = await fn(client);
+    await client.query("COMMIT");
+    return result;
+  } catch (err) {
+    await client.query("ROLLBACK").catch(() => {});
+    throw err;
+  } finally {
+    client.release();
+  }
+}
+
+// INSERT one review through `db` (the pool, or a transaction's client)
+async function insertReview(db, {
+  lat, lng, safetyRating, infrastructureRating, description, address, street, neighbourhood, locality,
+  categories, observedHours, photos, timestamp, authorId, status, quarantineReasons
+}) {
+  const { rows } = await db.query(
+    `INSERT INTO reviews (lat, lng, safety_rating, infrastructure_rating, description, address, categories,
+                          observed_start_hour, observed_end_hour, photos, timestamp, author_id, geohash,
+                          street, neighbourhood, locality, status, quarantine_reasons)
+     VALUES ($1,$2,$3,$4,$5,$6,$7,$8,$9,$10, COALESCE($11, now()), $12, $13, $14, $15, $16, $17, $18)
+     RETURNING ${REVIEW_COLUMNS}`,
+    [
+      lat, lng, safetyRating, infrastructureRating, description, address || null, categories || [],
+      observedHours ? observedHours.start : null, observedHours ? observedHours.end : null,
+      JSON.stringify(photos || []), timestamp || null, authorId || null, geohash(lat, lng),
+      street || null, neighbourhood || null, locality || null,
+      status || "visible", quarantineReasons || []
+    ]
+  );
+  return toReviewDTO(rows[0]);
+}
+
+function createPostgresStore({ pool }) {
+  const reviews = {
+    async list(filters) {
+      const { text, values } = buildReviewQuery(filters, REVIEW_COLUMNS);
+      const { rows } = await pool.query(text, values);
+      const { rows: page, nextCursor } = paginate(rows, filters);
+      return { reviews: page.map(toReviewDTO), nextCursor };
+    },
+
+    async get(id) {
+      const { rows } = await pool.query(`SELECT ${REVIEW_COLUMNS} FROM reviews WHERE id = $1`, [id]);
+      return rows[0] ? toReviewDTO(rows[0]) : null;
+    },
+
+    async create(review) {
+      return insertReview(pool, review);
+    },
+
+    // Insert all or none: one transaction, so a failed row leaves no partial import behind
+    createMany(list) {
+      return transaction(pool, async (client) => {
+        const created = [];
+        for (const review of list) created.push(await insertReview(client, review));
+        return created;
+      });
+    },
+
+    // Apply `changes` (PATCH fields), keeping the replaced version as a revision; non-empty
+    // quarantineReasons hold the edited review in the same transaction
+    update(id, changes, editorId, { quarantineReasons = [] } = {}) {
+      return transaction(pool, async (client) => {
+        const { rows: current } = await client.query(
+          `SELECT ${REVIEW_COLUMNS} FROM reviews WHERE id = $1 FOR UPDATE`,
+          [id]
+        );
+        if (current.length === 0) return null;
+        const old = current[0];
+
+        await client.query(
+          `INSERT INTO review_revisions
+             (review_id, revision, safety_rating, infrastructure_rating, description, address, categories,
+              observed_start_hour, observed_end_hour, replaced_by)
+           SELECT $1, COALESCE(max(revision), 0) + 1, $2, $3, $4, $5, $6, $7, $8, $9
+           FROM review_revisions WHERE review_id = $1`,
+          [
+            old.id, old.safety_rating, old.infrastructure_rating, old.description, old.address, old.categories,
+            old.observed_start_hour, old.observed_end_hour, editorId || null
+          ]
+        );
+
+        const sets = [];
+        const values = [old.id];
+        for (const [column, value] of Object.entries(toEditedColumns(changes))) {
+          if (value === undefined) continue;
+          values.push(value);
+          sets.push(`${column} = $${values.length}`);
+        }
+        if (quarantineReasons.length) {
+          values.push(quarantineReasons);
+          sets.push(`status = 'quarantined'`, `quarantine_reasons = $${values.length}`);
+        }
+        const { rows } = await client.query(
+          `UPDATE reviews SET ${[...sets, "updated_at = now()"].join(", ")}
+           WHERE id = $1
+           RETURNING ${REVIEW_COLUMNS}`,
+          values
+        );
+        return toReviewDTO(rows[0]);
+      });
+    },
+
+    // Replaced versions, newest first
+    async revisions(id) {
+      const { rows } = await pool.query(
+        `SELECT * FROM review_revisions WHERE review_id = $1 ORDER BY revision DESC`,
+        [id]
+      );
+      return rows.map(toRevisionDTO);
+    },
+
+    async remove(id) {
+      const { rowCount } = await pool.query(`DELETE FROM reviews WHERE id = $1`, [id]);
+      return rowCount > 0;
+    },
+
+    async removeAll() {
+      await pool.query(`TRUNCATE reviews RESTART IDENTITY CASCADE`);
+    },
+
+    // quarantineReasons only go with "quarantined"; any other status clears them
+    async setStatus(id, status, quarantineReasons = []) {
+      const { rows } = await pool.query(
+        `UPDATE reviews SET status = $2, quarantine_reasons = $3 WHERE id = $1 RETURNING ${REVIEW_COLUMNS}`,
+        [id, status, status === "quarantined" ? quarantineReasons : []]
+      );
+      return rows[0] ? toReviewDTO(rows[0]) : null;
+    },
+
+    // Per-cell aggregates (geohash prefix of `precision` chars) for GET /reviews/grid
+    async grid(filters, precision, windows) {
+      const { text, values } = buildGridQuery(filters, precision, windows);
+      const { rows } = await pool.query(text, values);
+      return rows.map((r) =>
+        toGridCell({
+          key: r.key,
+          count: r.count,
+          lat: r.lat,
+          lng: r.lng,
+          avgSafety: r.avg_safety,
+          avgInfra: r.avg_infra,
+          recentCount: r.recent_count,
+          trendRecent: r.trend_recent,
+          trendEarlier: r.trend_earlier
+        })
+      );
+    },
+
+    // Review count and mean ratings per (locality, neighbourhood) for GET /reviews/neighbourhoods
+    async neighbourhoods(filters) {
+      const { text, values } = buildNeighbourhoodQuery(filters);
+      const { rows } = await pool.query(text, values);
+      return rows.map((r) =>
+        toNeighbourhood({
+          locality: r.locality,
+          neighbourhood: r.neighbourhood,
+          count: r.count,
+          avgSafety: r.avg_safety,
+          avgInfra: r.avg_infra
+        })
+      );
+    },
+
+    // Full-text matches for GET /reviews/search, best first (see reviewSearch.js)
+    async search(search) {
+      const { text, values } = buildSearchQuery(search, REVIEW_COLUMNS);
+      const { rows } = await pool.query(text, values);
+      const { rows: page, nextCursor } = paginateSearch(rows, search);
+      return {
+        results: page.map((r) =>
+          toSearchResult({
+            review: toReviewDTO(r),
+            rank: r.rank,
+            descriptionSnippet: r.description_snippet,
+            addressSnippet: r.address_snippet
+          })
+        ),
+        nextCursor
+      };
+    },
+
+    // Visible reviews inside [minLat,maxLat) x [minLng,maxLng) since a time, rated <= maxSafety
+    async countInBox({ minLat, maxLat, minLng, maxLng }, { maxSafety = 5, since }) {
+      const { rows } = await pool.query(
+        `SELECT count(*)::int AS count FROM reviews
+         WHERE lat >= $1 AND lat < $2 AND lng >= $3 AND lng < $4
+           AND safety_rating <= $5
+           AND status = 'visible'
+           AND timestamp > $6`,
+        [minLat, maxLat, minLng, maxLng, maxSafety, since]
+      );
+      return rows[0].count;
+    }
+  };
+
+  const users = {
+    // null when the email is already registered
+    async create({ email, passwordHash, displayName, role }) {
+      const { rows } = await pool.query(
+        `INSERT INTO users (email, password_hash, display_name, role)
+         VALUES ($1, $2, $3, $4)
+         ON CONFLICT (email) DO NOTHING
+         RETURNING id, email, display_name, role`,
+        [email, passwordHash, displayName, role]
+      );
+      return rows[0] ? toUserDTO(rows[0]) : null;
+    },
+
+    async findByEmail(email) {
+      const { rows } = await pool.query(
+        `SELECT id, email, display_name, role, password_hash FROM users WHERE email = $1`,
+        [email]
+      );
+      return rows[0] ? { ...toUserDTO(rows[0]), passwordHash: rows[0].password_hash } : null;
+    },
+
+    async setRole(id, role) {
+      await pool.query(`UPDATE users SET role = $1 WHERE id = $2`, [role, id]);
+    }
+  };
+
+  const sessions = {
+    async create({ tokenHash, userId, expiresAt }) {
+      await pool.query(
+        `INSERT INTO sessions (token_hash, user_id, expires_at) VALUES ($1, $2, $3)`,
+        [tokenHash, userId, expiresAt]
+      );
+    },
+
+    // User behind an unexpired session, or null
+    async findUser(tokenHash) {
+      const { rows } = await pool.query(
+        `SELECT u.id, u.email, u.display_name, u.role
+         FROM sessions s JOIN users u ON u.id = s.user_id
+         WHERE s.token_hash = $1 AND s.expires_at > now()`,
+        [tokenHash]
+      );
+      return rows[0] ? toUserDTO(rows[0]) : null;
+    },
+
+    async remove(tokenHash) {
+      await pool.query(`DELETE FROM sessions WHERE token_hash = $1`, [tokenHash]);
+    }
+  };
+
+  const reports = {
+    // null when this reporter already has an open report on the review
+    async create({ reviewId, reporterId, reason, details }) {
+      const { rows } = await pool.query(
+        `INSERT INTO review_reports (review_id, reporter_id, reason, details)
+         VALUES ($1, $2, $3, $4)
+         ON CONFLICT (review_id, reporter_id) WHERE status = 'open' DO NOTHING
+         RETURNING *`,
+        [reviewId, reporterId, reason, details]
+      );
+      return rows[0] ? toReportDTO(rows[0]) : null;
+    },
+
+    async countOpen(reviewId) {
+      const { rows } = await pool.query(
+        `SELECT count(*)::int AS count FROM review_reports WHERE review_id = $1 AND status = 'open'`,
+        [reviewId]
+      );
+      return rows[0].count;
+    },
+
+    async listForReview(reviewId) {
+      const { rows } = await pool.query(
+        `SELECT * FROM review_reports WHERE review_id = $1 ORDER BY created_at DESC`,
+        [reviewId]
+      );
+      return rows.map(toReportDTO);
+    },
+
+    // "flagged": reviews with open reports · "hidden": hidden reviews
+    async queue(kind) {
+      const { rows } = await pool.query(
+        `SELECT ${REVIEW_COLUMNS.split(", ").map((c) => `r.${c}`).join(", ")},
+                count(rr.id) FILTER (WHERE rr.status = 'open')::int AS open_reports,
+                COALESCE(array_agg(DISTINCT rr.reason) FILTER (WHERE rr.status = 'open'), '{}') AS reasons
+         FROM reviews r
+         LEFT JOIN review_reports rr ON rr.review_id = r.id
+         WHERE ${kind === "flagged" ? "rr.status = 'open'" : "r.status = $1"}
+         GROUP BY r.id
+         ORDER BY open_reports DESC, r.timestamp DESC`,
+        kind === "flagged" ? [] : [kind]
+      );
+      return rows.map((row) => ({ ...toReviewDTO(row), openReports: row.open_reports, reasons: row.reasons }));
+    },
+
+    // Set the review's visibility and resolve its open reports atomically
+    moderate(reviewId, moderatorId, status) {
+      return transaction(pool, async (client) => {
+        const { rows } = await client.query(
+          `UPDATE reviews SET status = $2, quarantine_reasons = '{}' WHERE id = $1 RETURNING ${REVIEW_COLUMNS}`,
+          [reviewId, status]
+        );
+        if (rows.length === 0) return null;
+        await client.query(
+          `UPDATE review_reports SET status = 'resolved', resolved_at = now(), resolved_by = $2
+           WHERE review_id = $1 AND status = 'open'`,
+          [reviewId, moderatorId]
+        );
+        return toReviewDTO(rows[0]);
+      });
+    }
+  };
+
+  const alerts = {
+    async latestForTile(tileKey, since) {
+      const { rows } = await pool.query(
+        `SELECT * FROM alerts WHERE tile_key = $1 AND created_at > $2 ORDER BY created_at DESC LIMIT 1`,
+        [tileKey, since]
+      );
+      return rows[0] ? toAlertDTO(rows[0]) : null;
+    },
+
+    async create({ tile, lat, lng, reviewCount, windowMinutes, recipients, status, error }) {
+      const { rows } = await pool.query(
+        `INSERT INTO alerts (tile_key, lat, lng, review_count, window_minutes, recipients, status, error)
+         VALUES ($1,$2,$3,$4,$5,$6,$7,$8)
+         RETURNING *`,
+        [tile, lat, lng, reviewCount, windowMinutes, recipients, status, error]
+      );
+      return toAlertDTO(rows[0]);
+    },
+
+    async list({ tile, since, limit = 50 } = {}) {
+      const where = [];
+      const values = [];
+      if (tile) { values.push(tile); where.push(`tile_key = $${values.length}`); }
+      if (since) { values.push(since); where.push(`created_at >= $${values.length}`); }
+      values.push(limit);
+      const { rows } = await pool.query(
+        `SELECT * FROM alerts
+         ${where.length ? `WHERE ${where.join(" AND ")}` : ""}
+         ORDER BY created_at DESC
+         LIMIT $${values.length}`,
+        values
+      );
+      return rows.map(toAlertDTO);
+    }
+  };
+
+  const geocodes = {
+    // Cached place for a rounded-coordinate key, unless it was stored before `since`
+    async get(key, since) {
+      const { rows } = await pool.query(
+        `SELECT street, neighbourhood, locality, address FROM geocode_cache WHERE key = $1 AND created_at >= $2`,
+        [key, since]
+      );
+      return rows[0] || null;
+    },
+
+    async put(key, { street, neighbourhood, locality, address, provider }) {
+      await pool.query(
+        `INSERT INTO geocode_cache (key, street, neighbourhood, locality, address, provider)
+         VALUES ($1, $2, $3, $4, $5, $6)
+         ON CONFLICT (key) DO UPDATE
+           SET street = EXCLUDED.street, neighbourhood = EXCLUDED.neighbourhood, locality = EXCLUDED.locality,
+               address = EXCLUDED.address, provider = EXCLUDED.provider, created_at = now()`,
+        [key, street, neighbourhood, locality, address, provider]
+      );
+    }
+  };
+
+  const watches = {
+    async create({ userId, name, kind, geometry, bounds, frequency, maxSafety, unsubscribeToken }) {
+      const { rows } = await pool.query(
+        `INSERT INTO watched_areas (user_id, name, kind, geometry, min_lat, max_lat, min_lng, max_lng,
+                                    frequency, max_safety, unsubscribe_token)
+         VALUES ($1,$2,$3,$4,$5,$6,$7,$8,$9,$10,$11)
+         RETURNING *`,
+        [
+          userId, name, kind, JSON.stringify(geometry), bounds.south, bounds.north, bounds.west, bounds.east,
+          frequency, maxSafety, unsubscribeToken
+        ]
+      );
+      return toWatchDTO(rows[0]);
+    },
+
+    async listForUser(userId) {
+      const { rows } = await pool.query(
+        `SELECT * FROM watched_areas WHERE user_id = $1 ORDER BY created_at DESC, id DESC`,
+        [userId]
+      );
+      return rows.map(toWatchDTO);
+    },
+
+    async remove(id, userId) {
+      const { rowCount } = await pool.query(`DELETE FROM watched_areas WHERE id = $1 AND user_id = $2`, [id, userId]);
+      return rowCount > 0;
+    },
+
+    // Unsubscribe link: deletes the watch, returns it (null for an unknown token)
+    async unsubscribe(token) {
+      const { rows } = await pool.query(`DELETE FROM watched_areas WHERE unsubscribe_token = $1 RETURNING *`, [token]);
+      return rows[0] ? toWatchDTO(rows[0]) : null;
+    },
+
+    // Watches whose bounding box holds the point and that care about this rating;
+    // the exact shape test is up to the caller (watches.js)
+    async candidates({ lat, lng }, safetyRating) {
+      const { rows } = await pool.query(
+        `SELECT * FROM watched_areas
+         WHERE $1 BETWEEN min_lat AND max_lat
+           AND $2 BETWEEN min_lng AND max_lng
+           AND max_safety >= $3`,
+        [lat, lng, safetyRating]
+      );
+      return rows.map(toWatchDTO);
+    },
+
+    async addMatch(watchId, reviewId) {
+      await pool.query(
+        `INSERT INTO watch_matches (watch_id, review_id) VALUES ($1, $2) ON CONFLICT DO NOTHING`,
+        [watchId, reviewId]
+      );
+    },
+
+    // Not-yet-emailed matches of visible reviews → [{ watch, email, displayName, reviews }]
+    async pending() {
+      const { rows } = await pool.query(
+        `SELECT w.*, u.email, u.display_name, array_agg(m.review_id ORDER BY m.review_id) AS review_ids
+         FROM watch_matches m
+         JOIN watched_areas w ON w.id = m.watch_id
+         JOIN users u ON u.id = w.user_id
+         JOIN reviews r ON r.id = m.review_id
+         WHERE m.notified_at IS NULL AND r.status = 'visible'
+         GROUP BY w.id, u.id`
+      );
+      if (!rows.length) return [];
+
+      const { rows: reviewRows } = await pool.query(
+        `SELECT ${REVIEW_COLUMNS} FROM reviews WHERE id = ANY($1::int[]) ORDER BY timestamp DESC`,
+        [[...new Set(rows.flatMap((r) => r.review_ids))]]
+      );
+      const byId = new Map(reviewRows.map((r) => [r.id, toReviewDTO(r)]));
+      return rows.map((row) => ({
+        watch: toWatchDTO(row),
+        email: row.email,
+        displayName: row.display_name,
+        reviews: row.review_ids.map((id) => byId.get(id)).filter(Boolean)
+      }));
+    },
+
+    async markNotified(watchId, reviewIds) {
+      await transaction(pool, async (client) => {
+        await client.query(
+          `UPDATE watch_matches SET notified_at = now() WHERE watch_id = $1 AND review_id = ANY($2::int[])`,
+          [watchId, reviewIds]
+        );
+        await client.query(`UPDATE watched_areas SET last_notified_at = now() WHERE id = $1`, [watchId]);
+      });
+    }
+  };
+
+  return {
+    kind: "postgres",
+    pool,
+    reviews,
+    users,
+    sessions,
+    reports,
+    alerts,
+    geocodes,
+    watches,
+    close: () => pool.end()
+  };
+}
+
+module.exports = { createPostgresStore, transaction };
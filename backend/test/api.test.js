@@ -0,0 +1,142 @@
+// backend-api/test/api.test.js
+// The real app and route handlers against an in-memory file store (no database server,
+// no mail, no geocoder): `npm test`.
+const { test, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+
+const photoDir = fs.mkdtempSync(path.join(os.tmpdir(), "safetymap-test-"));
+Object.assign(process.env, {
+  STORE: "file",
+  STORE_FILE: ":memory:",
+  PHOTO_DIR: photoDir,
+  GEOCODER: "off",
+  ALERTS_ENABLED: "false",
+  WATCHES_ENABLED: "false",
+  MODERATOR_EMAILS: "mod@example.org",
+  RESPONSE_VALIDATION: "strict"
+});
+const { app, store } = require("../index");
+
+let server;
+let base;
+
+before(async () => {
+  server = app.listen(0);
+  await new Promise((resolve) => server.once("listening", resolve));
+  base = `http://localhost:${server.address().port}`;
+});
+
+after(async () => {
+  await new Promise((resolve) => server.close(resolve));
+  await store.close();
+  fs.rmSync(photoDir, { recursive: true, force: true });
+});
+
+// → { status, headers, body } (body parsed when JSON)
+async function request(method, url, { body, token } = {}) {
+  const headers = {};
+  if (body !== undefined) headers["Content-Type"] = "application/json";
+  if (token) headers.Authorization = `Bearer ${token}`;
+  const res = await fetch(`${base}${url}`, { method, headers, body: body === undefined ? undefined : JSON.stringify(body) });
+  const text = await res.text();
+  const json = (res.headers.get("content-type") || "").includes("json");
+  return { status: res.status, headers: res.headers, body: json && text ? JSON.parse(text) : text };
+}
+
+async function signIn(email) {
+  await request("POST", "/auth/register", { body: { email, password: "password123" } });
+  const { body } = await request("POST", "/auth/login", { body: { email, password: "password123" } });
+  return body.token;
+}
+
+const review = (fields = {}) => ({
+  lat: 17.385,
+  lng: 78.4867,
+  safetyRating: 4,
+  infrastructureRating: 3,
+  description: "Well lit street with shops open late",
+  ...fields
+});
+
+test("health check answers", async () => {
+  const res = await request("GET", "/");
+  assert.equal(res.status, 200);
+});
+
+test("a posted review is listed inside its bbox only", async () => {
+  const created = await request("POST", "/reviews", { body: review() });
+  assert.equal(created.status, 201);
+  assert.equal(created.body.status, "visible");
+
+  const list = await request("GET", "/reviews?bbox=78.4,17.3,78.5,17.4");
+  assert.equal(list.status, 200);
+  assert.ok(list.body.some((r) => r.id === created.body.id));
+
+  const outside = await request("GET", "/reviews?bbox=0,0,1,1");
+  assert.deepEqual(outside.body, []);
+});
+
+test("reviews are paged with X-Next-Cursor", async () => {
+  for (let i = 0; i < 3; i++) {
+    await request("POST", "/reviews", { body: review({ lat: 10 + i / 1000, lng: 10, description: `Paged review ${i}` }) });
+  }
+  const seen = [];
+  let cursor = null;
+  do {
+    const res = await request("GET", `/reviews?bbox=9.9,9.9,10.1,10.1&limit=2${cursor ? `&cursor=${cursor}` : ""}`);
+    assert.equal(res.status, 200);
+    seen.push(...res.body.map((r) => r.id));
+    cursor = res.headers.get("X-Next-Cursor");
+  } while (cursor);
+  assert.equal(seen.length, 3);
+  assert.equal(new Set(seen).size, 3);
+});
+
+test("invalid reviews are rejected with the field errors", async () => {
+  const res = await request("POST", "/reviews", { body: review({ safetyRating: 9, lat: 200 }) });
+  assert.equal(res.status, 400);
+  assert.equal(res.body.code, "invalid_request");
+  assert.ok(res.body.fields.some((f) => f.field === "safetyRating"));
+  assert.ok(res.body.fields.some((f) => f.field === "lat"));
+});
+
+test("only the author edits a review, and edits keep revisions", async () => {
+  const author = await signIn("author@example.org");
+  const other = await signIn("other@example.org");
+  const created = await request("POST", "/reviews", { body: review({ lat: 20, lng: 20 }), token: author });
+
+  assert.equal((await request("PATCH", `/reviews/${created.body.id}`, { body: { safetyRating: 2 } })).status, 401);
+  assert.equal((await request("PATCH", `/reviews/${created.body.id}`, { body: { safetyRating: 2 }, token: other })).status, 403);
+
+  const edited = await request("PATCH", `/reviews/${created.body.id}`, { body: { safetyRating: 2 }, token: author });
+  assert.equal(edited.status, 200);
+  assert.equal(edited.body.safetyRating, 2);
+
+  const revisions = await request("GET", `/reviews/${created.body.id}/revisions`);
+  assert.equal(revisions.body.length, 1);
+  assert.equal(revisions.body[0].safetyRating, 4);
+});
+
+test("an edit with filtered content is quarantined without telling the author why", async () => {
+  const author = await signIn("editor@example.org");
+  const created = await request("POST", "/reviews", { body: review({ lat: 30, lng: 30 }), token: author });
+
+  const edited = await request("PATCH", `/reviews/${created.body.id}`, {
+    body: { description: "Cheap bitcoin, visit http://spam.example and www.spam.example" },
+    token: author
+  });
+  assert.equal(edited.status, 200);
+  assert.equal(edited.body.status, "quarantined");
+  assert.deepEqual(edited.body.quarantineReasons, []);
+  const list = await request("GET", "/reviews?bbox=29.9,29.9,30.1,30.1");
+  assert.deepEqual(list.body, []);
+});
+
+test("alert history is for moderators only", async () => {
+  assert.equal((await request("GET", "/alerts")).status, 401);
+  assert.equal((await request("GET", "/alerts", { token: await signIn("user@example.org") })).status, 403);
+  assert.equal((await request("GET", "/alerts", { token: await signIn("mod@example.org") })).status, 200);
+});
@@ -0,0 +1,311 @@
+// backend-api/validation.js
+// Requests and responses checked against the OpenAPI contract (openapi.js), and one error body
+// for the whole API: { error, code, fields? }, where fields lists [{ in, field, message }].
+// Path/query parameters and JSON bodies are validated before any route runs, so handlers only
+// check what a schema can't say (e.g. observedHours start != end). JSON responses are checked
+// on the way out: RESPONSE_VALIDATION=log (the default) reports a mismatch, "strict" (opt-in, for
+// development and CI) turns it into a 500 so drift can't be missed, "off" skips the check.
+const Ajv = require("ajv/dist/2020");
+const addFormats = require("ajv-formats");
+const { document, ERROR_CODES } = require("./openapi");
+
+const FUTURE_SKEW_MS = 5 * 60 * 1000; // client clocks may run a little ahead
+const METHODS = ["get", "post", "put", "patch", "delete"];
+const RESPONSE_MODES = ["strict", "log", "off"];
+
+function validationConfigFromEnv(env = process.env) {
+  const responses = env.RESPONSE_VALIDATION || "log";
+  if (!RESPONSE_MODES.includes(responses)) {
+    throw new Error(`Unknown RESPONSE_VALIDATION "${responses}" (expected ${RESPONSE_MODES.join(", ")})`);
+  }
+  return { responses };
+}
+
+const codeFor = (status) => ERROR_CODES[status] || (status >= 500 ? ERROR_CODES[500] : ERROR_CODES[400]);
+
+// ---- Error bodies ----
+
+// "/observedHours/start" → "observedHours.start", "/categories/1" → "categories[1]"
+const fieldName = (pointer, extra) =>
+  [...pointer.split("/").slice(1), ...(extra === undefined ? [] : [extra])]
+    .map((s) => s.replace(/~1/g, "/").replace(/~0/g, "~"))
+    .reduce((name, s) => (/^\d+$/.test(s) ? `${name}[${s}]` : name ? `${name}.${s}` : s), "");
+
+const TYPE_NAMES = { integer: "an integer", number: "a number", string: "a string", object: "an object", array: "an array", boolean: "true or false" };
+
+// Ajv error → { in, field, message } worded for API clients
+function toFieldError(err, where) {
+  let field = fieldName(err.instancePath);
+  let message = err.message;
+  switch (err.keyword) {
+    case "required":
+      field = fieldName(err.instancePath, err.params.missingProperty);
+      message = "is required";
+      break;
+    case "additionalProperties":
+      field = fieldName(err.instancePath, err.params.additionalProperty);
+      message = "is not allowed here";
+      break;
+    case "type":
+      message = `must be ${String(err.params.type).split(",").map((t) => TYPE_NAMES[t] || t).join(" or ")}`;
+      break;
+    case "minLength":
+      message = err.params.limit === 1 ? "must not be empty" : `must be at least ${err.params.limit} characters`;
+      break;
+    case "maxLength":
+      message = `must be at most ${err.params.limit} characters`;
+      break;
+    case "minItems":
+      message = `must have at least ${err.params.limit} items`;
+      break;
+    case "maxItems":
+      message = `must have at most ${err.params.limit} items`;
+      break;
+    case "enum":
+      message = `must be one of: ${err.params.allowedValues.join(", ")}`;
+      break;
+    case "format":
+      message = err.params.format === "date-time" ? "must be an ISO 8601 date-time" : `must be a valid ${err.params.format}`;
+      break;
+    case "minProperties":
+      message = "must include at least one field";
+      break;
+  }
+  return { in: where, field, message };
+}
+
+// Field errors → 400 body; `error` repeats them as one readable line
+function invalidRequest(fields) {
+  return {
+    error: fields.map((f) => `${f.field || f.in} ${f.message}`).join("; "),
+    code: ERROR_CODES[400],
+    fields
+  };
+}
+
+// One field's problem as a 400 body; `message` may start with the field name (QueryError's do)
+function fieldErrorBody(where, field, message) {
+  if (!field) return { error: message, code: ERROR_CODES[400] };
+  const short = message.startsWith(`${field} `) ? message.slice(field.length + 1) : message;
+  return { error: message, code: ERROR_CODES[400], fields: [{ in: where, field, message: short }] };
+}
+
+// QueryError (reviewQuery.js) → 400 body
+const queryErrorBody = (err) => fieldErrorBody("query", err.field, err.message);
+
+// ---- Schemas ----
+
+// "#/components/schemas/Review" → that node of the document
+const lookup = (ref) => ref.slice(2).split("/").reduce((node, key) => node[key], document);
+
+// Copy of a document node with every $ref inlined (the contract has no recursive schemas)
+function resolveRefs(node) {
+  if (Array.isArray(node)) return node.map(resolveRefs);
+  if (!node || typeof node !== "object") return node;
+  if (node.$ref) return resolveRefs(lookup(node.$ref));
+  return Object.fromEntries(Object.entries(node).map(([key, value]) => [key, resolveRefs(value)]));
+}
+
+function notBlank(enabled, data) {
+  notBlank.errors = [{ keyword: "x-not-blank", message: "must not be blank", params: {} }];
+  return !enabled || /\S/.test(data);
+}
+
+function notFuture(enabled, data) {
+  notFuture.errors = [{ keyword: "x-not-future", message: "must not be in the future", params: {} }];
+  const t = Date.parse(data);
+  return !enabled || Number.isNaN(t) || t <= Date.now() + FUTURE_SKEW_MS; // unparseable: `format` reports it
+}
+
+// Parameters arrive as strings, so those are coerced to the schema's types; bodies aren't
+function createAjv(options) {
+  const ajv = new Ajv({ allErrors: true, strictTypes: false, ...options });
+  addFormats(ajv);
+  ajv.addKeyword({ keyword: "x-not-blank", type: "string", schemaType: "boolean", errors: true, validate: notBlank });
+  ajv.addKeyword({ keyword: "x-not-future", type: "string", schemaType: "boolean", errors: true, validate: notFuture });
+  return ajv;
+}
+
+// ---- Operations ----
+
+// "/reviews/{id}/revisions" → /^\/reviews\/([^/]+)\/revisions\/?$/ and ["id"]
+function compilePath(template) {
+  const names = [];
+  const source = template
+    .split("/")
+    .map((part) => {
+      const param = /^\{(.+)\}$/.exec(part);
+      if (!param) return part.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+      names.push(param[1]);
+      return "([^/]+)";
+    })
+    .join("\\/");
+  return { regex: new RegExp(`^${source}\\/?$`), names };
+}
+
+const decodeSegment = (s) => {
+  try {
+    return decodeURIComponent(s);
+  } catch {
+    return s; // malformed %-escape: validated (and rejected) as is
+  }
+};
+
+// Parameters in one location → an object schema over them (null when there are none)
+function parameterSchema(parameters, location) {
+  const list = parameters.filter((p) => p.in === location);
+  if (!list.length) return null;
+  return {
+    type: "object",
+    properties: Object.fromEntries(list.map((p) => [p.name, p.schema])),
+    required: list.filter((p) => p.required).map((p) => p.name)
+  };
+}
+
+function compileOperations(paramsAjv, bodyAjv) {
+  const operations = [];
+  for (const [template, item] of Object.entries(document.paths)) {
+    const { regex, names } = compilePath(template);
+    for (const method of METHODS.filter((m) => item[m])) {
+      const op = resolveRefs(item[method]);
+      const parameters = [...resolveRefs(item.parameters || []), ...(op.parameters || [])];
+      const compile = (ajv, schema) => (schema ? ajv.compile(schema) : null);
+      const content = op.requestBody && op.requestBody.content;
+
+      operations.push({
+        method: method.toUpperCase(),
+        template,
+        regex,
+        names,
+        path: compile(paramsAjv, parameterSchema(parameters, "path")),
+        query: compile(paramsAjv, parameterSchema(parameters, "query")),
+        body: content && {
+          types: Object.keys(content),
+          json: compile(bodyAjv, content["application/json"] && content["application/json"].schema)
+        },
+        // status → validator for its JSON body (null: documented, but not JSON)
+        responses: Object.fromEntries(
+          Object.entries(op.responses).map(([status, response]) => [
+            status,
+            compile(bodyAjv, response.content && response.content["application/json"] && response.content["application/json"].schema)
+          ])
+        )
+      });
+    }
+  }
+  return operations;
+}
+
+// ---- Middleware ----
+
+function createValidation({ config = validationConfigFromEnv() } = {}) {
+  const paramsAjv = createAjv({ coerceTypes: true });
+  const bodyAjv = createAjv();
+  const operations = compileOperations(paramsAjv, bodyAjv);
+  const errorBody = bodyAjv.compile(resolveRefs(document.components.schemas.Error));
+  const named = new Map(); // components.schemas name → validator, compiled on first use
+
+  // Method + path → { op, params }; a literal segment wins over a {param} ("/reviews/search"
+  // is not a review id)
+  function matchOperation(method, path) {
+    let best = null;
+    for (const op of operations) {
+      if (op.method !== method) continue;
+      const m = op.regex.exec(path);
+      if (!m || (best && best.op.names.length <= op.names.length)) continue;
+      best = { op, params: Object.fromEntries(op.names.map((name, i) => [name, decodeSegment(m[i + 1])])) };
+    }
+    return best;
+  }
+
+  // Validator + data → field errors (the data is copied: coercion must not touch req.query)
+  const check = (validate, data, where) => {
+    if (!validate || validate(structuredClone(data))) return [];
+    const seen = new Set();
+    return validate.errors
+      .filter((err) => err.keyword !== "if") // its "then" branch already reported the details
+      .map((err) => toFieldError(err, where))
+      .filter((f) => {
+        const key = `${f.field} ${f.message}`;
+        return !seen.has(key) && seen.add(key);
+      });
+  };
+
+  // A body that didn't arrive as JSON (the "review" field of a multipart POST /reviews)
+  // against one of the contract's schemas → 400 body, or null when it's valid
+  function checkSchema(name, value) {
+    if (!named.has(name)) named.set(name, bodyAjv.compile(resolveRefs(document.components.schemas[name])));
+    const fields = check(named.get(name), value, "body");
+    return fields.length ? invalidRequest(fields) : null;
+  }
+
+  // Before the routes: 400 (or 415) for anything the contract rules out
+  function validateRequests(req, res, next) {
+    const match = matchOperation(req.method, req.path);
+    if (!match) return next();
+    const { op, params } = match;
+
+    const fields = [...check(op.path, params, "path"), ...check(op.query, { ...req.query }, "query")];
+    if (op.body) {
+      const type = req.is(op.body.types);
+      if (type === false) {
+        return res.status(415).json({ error: `Content-Type must be one of: ${op.body.types.join(", ")}` });
+      }
+      // No body at all counts as {} so the missing fields are listed
+      if (op.body.json && (type === "application/json" || type === null)) {
+        fields.push(...check(op.body.json, req.body === undefined ? {} : req.body, "body"));
+      }
+    }
+    if (fields.length) return res.status(400).json(invalidRequest(fields));
+    next();
+  }
+
+  // Problems with a JSON response body, or null when it matches the contract
+  function responseProblems(req, status, body) {
+    const match = matchOperation(req.method, req.baseUrl + req.path);
+    const documented = match && match.op.responses[status];
+    if (match && documented === undefined && status < 400) return [`${status} is not a documented response`];
+    const validate = documented || (status >= 400 ? errorBody : null);
+    if (!validate) return match ? [`${status} is not documented as JSON`] : null;
+    if (validate(body)) return null;
+    return validate.errors.map((err) => {
+      const extra = err.params.additionalProperty;
+      return `${err.instancePath || "/"} ${err.message}${extra ? ` (${extra})` : ""}`;
+    });
+  }
+
+  // Wraps res.json: fills in `code` on error bodies, then checks the body against the contract
+  function validateResponses(req, res, next) {
+    const send = res.json.bind(res);
+    res.json = (body) => {
+      const status = res.statusCode;
+      if (status >= 400 && body && typeof body.error === "string" && !body.code) body = { ...body, code: codeFor(status) };
+      if (config.responses === "off") return send(body);
+
+      const problems = responseProblems(req, status, body);
+      if (!problems) return send(body);
+      console.error(`Response contract violation: ${req.method} ${req.originalUrl} ${status}:`, problems.join("; "));
+      if (config.responses === "log") return send(body);
+      res.status(500);
+      return send({ error: "Response failed contract validation", code: ERROR_CODES[500] });
+    };
+    next();
+  }
+
+  // After the routes: unknown paths, and errors nobody caught (malformed JSON, oversized bodies, bugs)
+  function notFound(_req, res) {
+    res.status(404).json({ error: "Not found" });
+  }
+
+  function handleErrors(err, req, res, next) {
+    if (res.headersSent) return next(err);
+    if (err.type === "entity.parse.failed") return res.status(400).json(fieldErrorBody("body", "", "Request body is not valid JSON"));
+    if (err.status >= 400 && err.status < 500 && err.expose) return res.status(err.status).json({ error: err.message });
+    console.error(`${req.method} ${req.path} error:`, err);
+    res.status(500).json({ error: "Server error" });
+  }
+
+  return { config, checkSchema, validateRequests, validateResponses, notFound, handleErrors };
+}
+
+module.exports = { validationConfigFromEnv, createValidation, invalidRequest, fieldErrorBody, queryErrorBody };
@@ -0,0 +1,332 @@
+// backend-api/watches.js
+// Watched areas: signed-in users save a place (radius around a point, polygon, or a
+// commute route with a buffer) and get emailed about new low-rated reviews inside it.
+// New reviews are matched as they arrive; "immediate" watches are emailed right away,
+// "daily" ones get one digest per day at WATCH_DIGEST_HOUR. Every email carries an
+// unsubscribe link: GET /watches/unsubscribe?token=... shows a confirmation page, and only
+// POST (its button, or a one-click List-Unsubscribe) removes the watch.
+const crypto = require("crypto");
+const express = require("express");
+const { smtpConfigFromEnv, createTransport } = require("./mailer");
+const { haversineMeters } = require("./reviewQuery");
+
+const num = (value, fallback) => {
+  const n = Number(value);
+  return value === undefined || value === "" || !Number.isFinite(n) ? fallback : n;
+};
+
+function watchConfigFromEnv(env = process.env) {
+  return {
+    enabled: env.WATCHES_ENABLED !== "false",
+    maxSafety: num(env.WATCH_MAX_SAFETY, 2),          // default "low-rated": safety <= this
+    digestHour: num(env.WATCH_DIGEST_HOUR, 7),        // local server hour daily digests go out
+    pollMinutes: num(env.WATCH_POLL_MINUTES, 15),     // scheduler tick (daily digests + retries)
+    maxPerUser: num(env.WATCH_MAX_PER_USER, 20),
+    publicUrl: (env.PUBLIC_API_URL || `http://localhost:${env.PORT || 5000}`).replace(/\/$/, ""),
+    from: env.WATCH_EMAIL_FROM || env.ALERT_EMAIL_FROM || "safe-nav alerts <alerts@localhost>",
+    smtp: smtpConfigFromEnv(env)
+  };
+}
+
+const KINDS = ["radius", "polygon", "route"];
+const FREQUENCIES = ["immediate", "daily"];
+const MAX_NAME = 80;
+const RADIUS_RANGE = [50, 20000];        // meters
+const ROUTE_BUFFER_RANGE = [25, 2000];   // meters
+const MAX_POINTS = 1000;                 // polygon vertices / route points
+
+// ---- Geometry ----
+
+const isLatLng = (p) =>
+  Array.isArray(p) && p.length === 2 &&
+  typeof p[0] === "number" && p[0] >= -90 && p[0] <= 90 &&
+  typeof p[1] === "number" && p[1] >= -180 && p[1] <= 180;
+
+const inRange = (n, [min, max]) => typeof n === "number" && n >= min && n <= max;
+
+// Meters of latitude per degree; longitude shrinks with cos(lat)
+const M_PER_DEG = 111320;
+
+// Bounding box of the shape, grown by `pad` meters → { south, west, north, east }
+function boundsOf(points, pad = 0) {
+  const lats = points.map((p) => p[0]);
+  const lngs = points.map((p) => p[1]);
+  const south = Math.min(...lats);
+  const north = Math.max(...lats);
+  const padLat = pad / M_PER_DEG;
+  const padLng = pad / (M_PER_DEG * Math.max(0.01, Math.cos((Math.max(Math.abs(south), Math.abs(north)) * Math.PI) / 180)));
+  return {
+    south: Math.max(-90, south - padLat),
+    west: Math.max(-180, Math.min(...lngs) - padLng),
+    north: Math.min(90, north + padLat),
+    east: Math.min(180, Math.max(...lngs) + padLng)
+  };
+}
+
+// Point-to-segment distance on a local flat projection (fine at commute scale)
+function distanceToSegmentMeters(p, a, b) {
+  const mLng = M_PER_DEG * Math.cos((p.lat * Math.PI) / 180);
+  const ax = (a[1] - p.lng) * mLng, ay = (a[0] - p.lat) * M_PER_DEG;
+  const bx = (b[1] - p.lng) * mLng, by = (b[0] - p.lat) * M_PER_DEG;
+  const dx = bx - ax, dy = by - ay;
+  const len2 = dx * dx + dy * dy;
+  const t = len2 ? Math.max(0, Math.min(1, -(ax * dx + ay * dy) / len2)) : 0;
+  return Math.hypot(ax + t * dx, ay + t * dy);
+}
+
+// Ray casting with lng as x, lat as y
+function insidePolygon(p, ring) {
+  let inside = false;
+  for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+    const [yi, xi] = ring[i];
+    const [yj, xj] = ring[j];
+    if (yi > p.lat !== yj > p.lat && p.lng < ((xj - xi) * (p.lat - yi)) / (yj - yi) + xi) inside = !inside;
+  }
+  return inside;
+}
+
+function containsPoint(watch, point) {
+  const g = watch.geometry;
+  if (watch.kind === "radius") return haversineMeters({ lat: g.lat, lng: g.lng }, point) <= g.radius;
+  if (watch.kind === "polygon") return insidePolygon(point, g.points);
+  for (let i = 0; i < g.path.length - 1; i++) {
+    if (distanceToSegmentMeters(point, g.path[i], g.path[i + 1]) <= g.buffer) return true;
+  }
+  return false;
+}
+
+// ---- Validation ----
+
+// POST /watches body → { watch } ready for store.watches.create (minus ids), or { error }
+function parseWatch(body, config) {
+  const { name, kind, geometry: g, frequency = "daily", maxSafety = config.maxSafety } = body || {};
+  if (typeof name !== "string" || !name.trim() || name.trim().length > MAX_NAME) {
+    return { error: `name is required (at most ${MAX_NAME} characters)` };
+  }
+  if (!KINDS.includes(kind)) return { error: `kind must be one of: ${KINDS.join(", ")}` };
+  if (!FREQUENCIES.includes(frequency)) return { error: `frequency must be one of: ${FREQUENCIES.join(", ")}` };
+  if (!Number.isInteger(maxSafety) || maxSafety < 1 || maxSafety > 5) return { error: "maxSafety must be an integer from 1 to 5" };
+  if (!g || typeof g !== "object") return { error: "geometry is required" };
+
+  let geometry;
+  let bounds;
+  if (kind === "radius") {
+    if (!isLatLng([g.lat, g.lng])) return { error: "geometry needs lat (-90..90) and lng (-180..180)" };
+    if (!inRange(g.radius, RADIUS_RANGE)) return { error: `geometry.radius must be ${RADIUS_RANGE[0]}-${RADIUS_RANGE[1]} meters` };
+    geometry = { lat: g.lat, lng: g.lng, radius: g.radius };
+    bounds = boundsOf([[g.lat, g.lng]], g.radius);
+  } else if (kind === "polygon") {
+    const points = g.points;
+    if (!Array.isArray(points) || points.length < 3 || points.length > MAX_POINTS || !points.every(isLatLng)) {
+      return { error: `geometry.points must be 3-${MAX_POINTS} [lat, lng] pairs` };
+    }
+    geometry = { points };
+    bounds = boundsOf(points);
+  } else {
+    const { path, buffer = 100 } = g;
+    if (!Array.isArray(path) || path.length < 2 || path.length > MAX_POINTS || !path.every(isLatLng)) {
+      return { error: `geometry.path must be 2-${MAX_POINTS} [lat, lng] pairs` };
+    }
+    if (!inRange(buffer, ROUTE_BUFFER_RANGE)) {
+      return { error: `geometry.buffer must be ${ROUTE_BUFFER_RANGE[0]}-${ROUTE_BUFFER_RANGE[1]} meters` };
+    }
+    geometry = { path, buffer };
+    bounds = boundsOf(path, buffer);
+  }
+
+  return { watch: { name: name.trim(), kind, geometry, bounds, frequency, maxSafety } };
+}
+
+// API shape: the unsubscribe token only ever travels by email
+const publicWatch = ({ unsubscribeToken, ...watch }) => watch;
+
+const escapeHtml = (s) =>
+  String(s).replace(/[&<>"']/g, (c) => ({ "&": "&amp;", "<": "&lt;", ">": "&gt;", '"': "&quot;", "'": "&#39;" })[c]);
+
+// GET /watches/unsubscribe: a page whose button POSTs the token back. Mail scanners and
+// link prefetchers follow GET links, so opening the link alone must not unsubscribe.
+const unsubscribePage = (token) => `<!DOCTYPE html>
+<html lang="en">
+<head><meta charset="utf-8"><meta name="viewport" content="width=device-width, initial-scale=1"><title>Unsubscribe</title></head>
+<body>
+  <p>Stop getting emails about this watched place?</p>
+  <form method="post" action="?token=${escapeHtml(encodeURIComponent(token))}">
+    <button type="submit">Unsubscribe</button>
+  </form>
+</body>
+</html>
+`;
+
+// ---- Engine ----
+
+function createWatches({ store, auth, config = watchConfigFromEnv(), transport = createTransport(config.smtp) }) {
+  const unsubscribeUrl = (watch) => `${config.publicUrl}/watches/unsubscribe?token=${watch.unsubscribeToken}`;
+
+  // Most recent digest time at or before `now`
+  const lastDigestTime = (now) => {
+    const t = new Date(now);
+    t.setHours(config.digestHour, 0, 0, 0);
+    if (t > now) t.setDate(t.getDate() - 1);
+    return t;
+  };
+
+  // A daily watch waits for a digest time after its last digest, or after it was created
+  const isDue = (watch, now) =>
+    watch.frequency === "immediate" ||
+    new Date(watch.lastNotifiedAt || watch.createdAt) < lastDigestTime(now);
+
+  function sendDigest({ watch, email, displayName, reviews }) {
+    const newest = [...reviews].sort((a, b) => new Date(b.timestamp) - new Date(a.timestamp));
+    const lines = [
+      `Hi${displayName ? ` ${displayName}` : ""},`,
+      "",
+      `${reviews.length} new low-rated review${reviews.length === 1 ? "" : "s"} in "${watch.name}":`,
+      "",
+      ...newest.flatMap((r) => [
+        `- Safety ${r.safetyRating}/5, infrastructure ${r.infrastructureRating}/5 · ${new Date(r.timestamp).toUTCString()}`,
+        r.address ? `  ${r.address}` : null,
+        `  "${r.description.length > 200 ? `${r.description.slice(0, 200)}…` : r.description}"`,
+        `  Map: https://www.google.com/maps?q=${r.lat.toFixed(6)},${r.lng.toFixed(6)}`
+      ]).filter((l) => l !== null),
+      "",
+      `You get this ${watch.frequency === "daily" ? "daily digest" : "email"} because you watch "${watch.name}" on safe-nav.`,
+      `Stop watching this place: ${unsubscribeUrl(watch)}`
+    ];
+
+    return transport.sendMail({
+      from: config.from,
+      to: email,
+      subject: `${reviews.length} new low-rated review${reviews.length === 1 ? "" : "s"} in ${watch.name}`,
+      text: lines.join("\n"),
+      headers: {
+        "List-Unsubscribe": `<${unsubscribeUrl(watch)}>`,
+        "List-Unsubscribe-Post": "List-Unsubscribe=One-Click"
+      }
+    });
+  }
+
+  // Email every due watch with pending matches. A failed send leaves its matches pending,
+  // so the next tick retries. Runs one at a time; never throws. → number of emails sent
+  let delivering = Promise.resolve(0);
+  function deliverDue({ now = new Date(), only } = {}) {
+    const run = delivering.then(async () => {
+      let sent = 0;
+      for (const digest of await store.watches.pending()) {
+        if (only && !only.includes(digest.watch.id)) continue;
+        if (!digest.reviews.length || !isDue(digest.watch, now)) continue;
+        try {
+          const info = await sendDigest(digest);
+          if (!config.smtp) console.log("Watch digest (no SMTP_HOST, not delivered):", info.message);
+          await store.watches.markNotified(digest.watch.id, digest.reviews.map((r) => r.id));
+          sent++;
+        } catch (err) {
+          console.error(`Watch digest for watch ${digest.watch.id} failed:`, err.message || err);
+        }
+      }
+      return sent;
+    });
+    delivering = run.catch((err) => {
+      console.error("Watch delivery failed:", err.message || err);
+      return 0;
+    });
+    return delivering;
+  }
+
+  // Called after a review is stored. Never throws; returns the ids of the watches it matched.
+  async function onReviewCreated(review) {
+    if (!config.enabled) return [];
+    try {
+      const matched = (await store.watches.candidates(review, review.safetyRating)).filter(
+        (w) => w.userId !== review.authorId && containsPoint(w, review)
+      );
+      for (const watch of matched) await store.watches.addMatch(watch.id, review.id);
+
+      const immediate = matched.filter((w) => w.frequency === "immediate").map((w) => w.id);
+      if (immediate.length) await deliverDue({ only: immediate });
+      return matched.map((w) => w.id);
+    } catch (err) {
+      console.error("Watch matching failed:", err.message || err);
+      return [];
+    }
+  }
+
+  let timer = null;
+  function startScheduler() {
+    if (!config.enabled || timer) return;
+    timer = setInterval(() => deliverDue(), config.pollMinutes * 60 * 1000);
+    timer.unref();
+  }
+
+  function stopScheduler() {
+    clearInterval(timer);
+    timer = null;
+  }
+
+  const router = express.Router();
+
+  // GET /watches — the signed-in user's watched places
+  router.get("/", auth.requireAuth, async (req, res) => {
+    try {
+      res.json((await store.watches.listForUser(req.user.id)).map(publicWatch));
+    } catch (err) {
+      console.error("GET /watches error:", err);
+      res.status(500).json({ error: "Server error" });
+    }
+  });
+
+  // POST /watches { name, kind: radius|polygon|route, geometry, frequency?, maxSafety? }
+  //   radius: { lat, lng, radius } · polygon: { points: [[lat, lng], ...] } · route: { path: [[lat, lng], ...], buffer? }
+  router.post("/", auth.requireAuth, async (req, res) => {
+    const { watch, error } = parseWatch(req.body, config);
+    if (error) return res.status(400).json({ error });
+
+    try {
+      const existing = await store.watches.listForUser(req.user.id);
+      if (existing.length >= config.maxPerUser) {
+        return res.status(409).json({ error: `At most ${config.maxPerUser} watched places per account` });
+      }
+      const saved = await store.watches.create({
+        ...watch,
+        userId: req.user.id,
+        unsubscribeToken: crypto.randomBytes(24).toString("hex")
+      });
+      res.status(201).json(publicWatch(saved));
+    } catch (err) {
+      console.error("POST /watches error:", err);
+      res.status(500).json({ error: "Server error" });
+    }
+  });
+
+  // POST ?token=... (the confirmation page's button, or one-click List-Unsubscribe)
+  async function unsubscribe(req, res) {
+    const token = typeof req.query.token === "string" ? req.query.token : "";
+    try {
+      const watch = token && (await store.watches.unsubscribe(token));
+      if (!watch) return res.status(404).type("text").send("This unsubscribe link is invalid or was already used.");
+      res.type("text").send(`You will no longer get emails about "${watch.name}".`);
+    } catch (err) {
+      console.error("/watches/unsubscribe error:", err);
+      res.status(500).type("text").send("Server error");
+    }
+  }
+  router.get("/unsubscribe", (req, res) => res.type("html").send(unsubscribePage(String(req.query.token))));
+  router.post("/unsubscribe", unsubscribe);
+
+  // DELETE /watches/:id (own watches only)
+  router.delete("/:id", auth.requireAuth, async (req, res) => {
+    try {
+      if (!(await store.watches.remove(req.params.id, req.user.id))) return res.status(404).json({ error: "Not found" });
+      res.status(204).send();
+    } catch (err) {
+      console.error("DELETE /watches/:id error:", err);
+      res.status(500).json({ error: "Server error" });
+    }
+  });
+
+  return { config, router, onReviewCreated, deliverDue, startScheduler, stopScheduler };
+}
+
+module.exports = {
+  watchConfigFromEnv, createWatches, parseWatch, containsPoint, boundsOf,
+  KINDS, FREQUENCIES, MAX_NAME, RADIUS_RANGE, ROUTE_BUFFER_RANGE, MAX_POINTS
+};
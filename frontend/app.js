@@ -1,45 +1,328 @@
-// SafetyMap Application with Google Maps API and Server Persistence (Neon Postgres)
+// SafetyMap Application: a map provider from mapProviders.js (Google Maps or Leaflet/OSM,
+// see config.js) and Server Persistence (Neon Postgres)
 // Route search + Dashboard modes (overall / route-only / empty)
 const API_BASE = "http://localhost:5000"; // change if your backend runs elsewhere
+const REVIEWS_PAGE_SIZE = 500;              // GET /reviews page size (server max)
+const REVIEWS_MAX_PAGES = 10;               // pages followed per area; beyond that the area loads partially
+const AUTH_TOKEN_KEY = "safetymap.authToken"; // localStorage key for the session token
+const OFFLINE_RETRY_MS = 30000;             // retry queued reviews this often while any are pending
+const PHOTO_MAX_COUNT = 4;                  // mirror the backend's PHOTO_MAX_COUNT / PHOTO_MAX_BYTES defaults
+const PHOTO_MAX_BYTES = 5 * 1024 * 1024;
+const VIEWPORT_REFRESH_MS = 300;            // debounce for viewport requests (reviews, grid) after the map settles
+const VIEWPORT_PADDING = 0.25;              // load reviews this fraction of the view beyond each edge
+
+// Review fields this app reads and sends; checked against the backend's OpenAPI contract
+// (GET /openapi.json) at startup so a renamed or dropped field shows up in the console
+const REVIEW_FIELDS = [
+  "id", "lat", "lng", "safetyRating", "infrastructureRating", "description", "address", "neighbourhood",
+  "locality", "categories", "observedHours", "photos", "authorId", "status", "timestamp", "updatedAt",
+];
+const REVIEW_INPUT_FIELDS = [
+  "lat", "lng", "safetyRating", "infrastructureRating", "description", "address", "categories", "observedHours", "timestamp",
+];
+
+// Time-of-day windows: [start, end) in local hours, wrapping past midnight when start > end
+const OBSERVED_PRESETS = {
+  morning: { start: 6, end: 12 },
+  afternoon: { start: 12, end: 17 },
+  evening: { start: 17, end: 21 },
+  night: { start: 21, end: 6 },
+};
+const TRAVEL_PRESETS = {
+  day: { start: 6, end: 18 },
+  night: { start: 18, end: 6 },
+};
+
+// Route travel modes (offered when the map provider can route them): default review buffer
+// around the route, and scoring.
+// infraWeight mixes the infrastructure rating into the route average (footpaths and road
+// surface matter most on foot or on a bike); lowDensityPenalty scales the low-rated-per-km
+// penalty. Transit routes are scored on their walking legs and stops only.
+const ROUTE_MODES = {
+  walking: { label: "🚶 Walk", bufferMeters: 75, infraWeight: 0.3, lowDensityPenalty: 1 },
+  transit: { label: "🚌 Transit", bufferMeters: 100, infraWeight: 0.2, lowDensityPenalty: 1 },
+  cycling: { label: "🚲 Cycle", bufferMeters: 150, infraWeight: 0.4, lowDensityPenalty: 0.6 },
+  driving: { label: "🚗 Drive", bufferMeters: 1000, infraWeight: 0, lowDensityPenalty: 0.5 },
+};
+const ROUTE_BUFFER_RANGE = { min: 25, max: 2000, step: 25 };
+const ROUTE_PREFS_KEY = "safetymap.routePrefs"; // localStorage: { mode, buffers: { walking: 75, ... } }
+const ROUTE_SEGMENT_METERS = 250;           // safety breakdown: the selected route is scored in pieces this long
+const ROUTE_CORRIDOR_METERS = 5000;         // each route's reviews are loaded as boxes around pieces this long
+const ROUTE_HOTSPOT_LIMIT = 5;              // worst pieces listed in the side panel
+// Proximity warnings while tracking live location
+const WARNING_PREFS_KEY = "safetymap.warnings"; // localStorage: { enabled, radiusMeters, vibrate, sound }
+const WARNING_DEFAULTS = { enabled: true, radiusMeters: 150, vibrate: true, sound: false };
+const WARNING_RADII = [50, 100, 150, 250, 500];
+const WARNING_MAX_SAFETY = 2;               // reviews at or below this safety rating count as low
+const WARNING_MIN_REVIEWS = 2;              // low reviews within the radius that make a hotspot
+const WARNING_THROTTLE_MS = 60000;          // at most one warning of each kind per minute
+const WARNING_MAX_ACCURACY_M = 100;         // ignore position fixes less precise than this
+const SEGMENT_COLORS = { success: "#4CAF50", warning: "#FF9800", danger: "#F44336", none: "#9E9E9E" };
 
 class SafetyMapApp {
-  constructor() {
-    this.map = null;
-    this.heatmap = null;
+  constructor(mapProvider) {
+    this.mapProvider = mapProvider; // see mapProviders.js
+    this.map = null;                // map view from mapProvider.createMap
+    this.heatmap = null;            // null if the provider's heatmap script didn't load
     this.userLocationMarker = null;
-    this.reviewMarkers = [];
-    this.reviews = [];
+    this.reviewLayer = null;        // clustered review markers (plain markers if clustering didn't load)
+    this.reviewMarkers = new Map(); // review id → marker in reviewLayer
+    this.markerFilter = null;       // side-panel { minSafety, minInfra, since, neighbourhood } for markers; null = all
+    this.reviews = [];              // reviews in loadedArea (not the whole database)
+    this.loadedArea = null;         // { south, west, north, east } this.reviews was fetched for (in full)
+    this.truncatedArea = null;      // area of the last load when it hit REVIEWS_MAX_PAGES (newest reviews only)
+    this.reviewsRequest = 0;        // bumped per loadReviews so a slow, older response is dropped
+    this.viewportRefreshTimer = null;
     this.currentLocation = null;
     this.isReviewMode = false;
     this.isLocationTracking = false;
     this.isHeatMapVisible = false;
     this.selectedLocation = null;
     this.watchId = null;
+    this.warningSettings = this.loadWarningSettings();
+    this.lastWarningAt = {};        // warning kind ("hotspot" | "offRoute") → ms, for throttling
+    this.warnedReviewIds = new Set(); // low reviews already warned about this tracking session
+    this.isOffRoute = false;        // already warned about the current drift off the route
+    this.audioContext = null;       // created on the tracking click so warning tones may play
     this.currentReviewId = null;
+    this.editingReview = null;      // review being edited in the review modal (null = adding)
+
+    // Search
+    this.searchResults = null;      // GET /reviews/search hits, shown as the markers instead of this.reviews; null = no search
+    this.searchParams = null;       // query of the current search, for "More results"
+    this.searchCursor = null;       // X-Next-Cursor of the last page; null = no more results
+    this.searchRequest = 0;         // bumped per search so pages of an older one are dropped
+
+    // Categories
+    this.categories = [];           // taxonomy from GET /categories: [{ id, label, group }]
+    this.categoryFilter = [];       // selected ids; markers/heatmap/route show reviews with any of them
+
+    // Time of day
+    this.travelWindow = null;       // { start, end } the user plans to travel in; null = any time
+    // Review weight vs travelWindow: 1 when its window overlaps, fading to `min` at
+    // `falloffHours` away; reviews without a window count as `unspecified`
+    this.timeWeights = { unspecified: 0.6, falloffHours: 3, min: 0.1 };
+
+    // Server-side aggregates for the visible map area (GET /reviews/grid)
+    this.gridStats = null;          // { precision, cells, totals }; null until loaded or after an error
+    this.gridRefreshTimer = null;
+
+    // Auth
+    this.authToken = localStorage.getItem(AUTH_TOKEN_KEY);
+    this.currentUser = null;        // { id, email, displayName, role }
+    this.authMode = "login";        // "login" | "register"
+    this.watches = [];              // signed-in user's watched places (GET /watches)
+
+    // Live feed
+    this.liveFeed = null;           // EventSource
+    this.liveFeedLost = false;      // connection dropped, waiting for reconnect
+
+    // Offline queue
+    this.offlineQueue = window.indexedDB ? new OfflineQueue() : null;
+    this.pendingReviews = [];       // [{ localId, review, files, queuedAt }] not yet on the server
+    this.pendingMarkers = [];       // map markers for pendingReviews
+    this.offlineRetryTimer = null;
+    this.isFlushingQueue = false;
 
     // Route
-    this.directionsService = null;
-    this.directionsRenderer = null;
-    this.routePath = [];            // Array<google.maps.LatLng>
+    this.routeLine = null;          // selected route's base line, under the coloured segments
+    this.routeEndMarkers = [];      // origin + destination
+    this.routePath = [];            // selected route: [{ lat, lng }]
+    this.routeScoringPaths = [];    // parts of the selected route reviews are matched against
     this.routeActive = false;
-    this.routeBufferMeters = 1000;  // 1 km radius from route
-    this.routeOverlays = [];        // highlight circles for on-route reviews
+    const routePrefs = this.loadRoutePrefs();
+    this.routeMode = routePrefs.mode;       // key of ROUTE_MODES
+    this.routeBuffers = routePrefs.buffers; // per-mode buffer in meters, adjustable in the route bar
+    this.routeBufferMeters = this.routeBuffers[this.routeMode];
+    this.routeOverlays = [];        // colour-coded segment polylines of the selected route
+    this.routeSegments = [];        // [{ path, startMeters, lengthMeters, reviews, count, avgSafety }]
     this.routeCountBadge = null;    // small number in the route control
     this.routeFiltered = [];        // cache of on-route reviews
+    this.routeResult = null;        // { routes } from mapProvider.route (all alternatives)
+    this.routeReviews = [];         // per route index: { boxes, reviews, truncated } loaded along its corridor
+    this.routeReviewsRequest = 0;   // bumped per loadRouteReviews so a stale corridor load is dropped
+    this.routeAlternatives = [];    // scored alternatives, safest first
+    this.routeAlternativeLines = []; // grey polylines for the unselected alternatives
+    this.selectedRouteIndex = 0;    // index into routeResult.routes
+    // Route score (1–5): average safety (mixed with infrastructure per mode) pulled towards
+    // the worst spot, minus a penalty for low-rated reviews per km; see ROUTE_MODES
+    this.routeScoreWeights = { average: 0.7, worst: 0.3, maxPenalty: 1 };
 
     // Default: Hyderabad
     this.defaultLocation = { lat: 17.3850, lng: 78.4867 };
 
     this.bindEvents();
-    this.loadReviews();
+    this.setupTimeOfDayUI();
+    this.setupWarningUI();
+    this.checkApiContract();
+    this.loadCurrentUser();
+    this.loadCategories();
+    this.connectLiveFeed(); // reviews load once the map knows its viewport (see initMap)
+    this.loadPendingReviews();
+  }
+
+  // ========== Auth ==========
+  authHeaders() {
+    return this.authToken ? { "Authorization": `Bearer ${this.authToken}` } : {};
+  }
+
+  setSession(token, user) {
+    this.authToken = token;
+    this.currentUser = user;
+    if (token) localStorage.setItem(AUTH_TOKEN_KEY, token);
+    else localStorage.removeItem(AUTH_TOKEN_KEY);
+    this.updateAuthUI();
+  }
+
+  async loadCurrentUser() {
+    if (!this.authToken) return this.updateAuthUI();
+    try {
+      const res = await fetch(`${API_BASE}/auth/me`, { headers: { "Accept": "application/json", ...this.authHeaders() } });
+      if (res.status === 401) return this.setSession(null, null); // expired or revoked
+      if (!res.ok) throw new Error(`HTTP ${res.status}`);
+      this.currentUser = await res.json();
+      this.updateAuthUI();
+    } catch (err) {
+      console.error("Error loading current user:", err);
+    }
+  }
+
+  updateAuthUI() {
+    const label = document.getElementById("authLabel");
+    if (label) label.textContent = this.currentUser ? `${this.currentUser.displayName || this.currentUser.email} · Sign Out` : "Sign In";
+    this.loadModerationQueue();
+    this.loadWatches();
+  }
+
+  canModifyReview(review) {
+    const user = this.currentUser;
+    if (!user) return false;
+    return user.role === "moderator" || (review.authorId != null && String(review.authorId) === String(user.id));
+  }
+
+  toggleAuth() {
+    if (this.currentUser) this.signOut();
+    else this.openAuthModal();
+  }
+
+  openAuthModal() {
+    this.setAuthMode("login");
+    document.getElementById("authModal").classList.add("active");
+  }
+
+  closeAuthModal() {
+    document.getElementById("authModal").classList.remove("active");
+    document.getElementById("authForm").reset();
+  }
+
+  setAuthMode(mode) {
+    this.authMode = mode;
+    const register = mode === "register";
+    document.getElementById("authTitle").textContent = register ? "Create Account" : "Sign In";
+    document.getElementById("authSubmit").textContent = register ? "Register" : "Sign In";
+    document.getElementById("authSwitch").textContent = register ? "Have an account? Sign in" : "No account? Register";
+    document.getElementById("authNameGroup").style.display = register ? "block" : "none";
+    document.getElementById("authPasswordHint").style.display = register ? "block" : "none";
+    document.getElementById("authPassword").autocomplete = register ? "new-password" : "current-password";
+  }
+
+  async submitAuth(event) {
+    event.preventDefault();
+    const body = {
+      email: document.getElementById("authEmail").value,
+      password: document.getElementById("authPassword").value,
+    };
+    if (this.authMode === "register") body.displayName = document.getElementById("authDisplayName").value;
+
+    try {
+      const res = await fetch(`${API_BASE}/auth/${this.authMode}`, {
+        method: "POST",
+        headers: { "Content-Type": "application/json", "Accept": "application/json" },
+        body: JSON.stringify(body),
+      });
+      const data = await res.json().catch(() => ({}));
+      if (!res.ok) {
+        this.showNotification(data.error || `Sign in failed (HTTP ${res.status}).`, "error");
+        return;
+      }
+
+      this.setSession(data.token, data.user);
+      this.closeAuthModal();
+      this.showNotification(`Signed in as ${data.user.displayName || data.user.email}`, "success");
+    } catch (err) {
+      console.error("Error signing in:", err);
+      this.showNotification("Could not reach the server.", "error");
+    }
+  }
+
+  async signOut() {
+    try {
+      await fetch(`${API_BASE}/auth/logout`, { method: "POST", headers: this.authHeaders() });
+    } catch (err) {
+      console.error("Error signing out:", err); // token is dropped locally either way
+    }
+    this.setSession(null, null);
+    this.showNotification("Signed out", "info");
   }
 
   // ========== Data I/O ==========
-  async loadReviews() {
+  // Compare REVIEW_FIELDS / REVIEW_INPUT_FIELDS / REVIEWS_PAGE_SIZE with the server's contract;
+  // only warns, since an older or newer backend may still mostly work
+  async checkApiContract() {
+    let spec;
     try {
-      const res = await fetch(`${API_BASE}/reviews`, { headers: { "Accept": "application/json" } });
+      const res = await fetch(`${API_BASE}/openapi.json`, { headers: { "Accept": "application/json" } });
       if (!res.ok) throw new Error(`HTTP ${res.status}`);
-      this.reviews = await res.json();
+      spec = await res.json();
+    } catch (err) {
+      console.warn("Could not load the API contract:", err);
+      return;
+    }
+
+    const { Review, ReviewInput } = spec.components.schemas;
+    const problems = [
+      ...REVIEW_FIELDS.filter((f) => !(f in Review.properties)).map((f) => `reviews have no "${f}"`),
+      ...REVIEW_INPUT_FIELDS.filter((f) => !(f in ReviewInput.properties)).map((f) => `new reviews don't accept "${f}"`),
+      ...ReviewInput.required.filter((f) => !REVIEW_INPUT_FIELDS.includes(f)).map((f) => `new reviews require "${f}"`),
+    ];
+    const limit = spec.paths["/reviews"].get.parameters.find((p) => p.name === "limit");
+    if (limit && REVIEWS_PAGE_SIZE > limit.schema.maximum) problems.push(`page size above the server max (${limit.schema.maximum})`);
+    if (problems.length) console.warn(`This app is out of date with the API contract: ${problems.join("; ")}`);
+  }
+
+  // GET /reviews with server-side filters, newest first, following X-Next-Cursor for at most
+  // REVIEWS_MAX_PAGES pages → { reviews, truncated } (truncated = older reviews were left out)
+  async fetchReviews(params = {}) {
+    const reviews = [];
+    let cursor = null;
+    let pages = 0;
+    do {
+      const qs = new URLSearchParams({ ...params, limit: REVIEWS_PAGE_SIZE });
+      if (cursor) qs.set("cursor", cursor);
+      const res = await fetch(`${API_BASE}/reviews?${qs}`, { headers: { "Accept": "application/json" } });
+      if (!res.ok) throw new Error(`HTTP ${res.status}`);
+      reviews.push(...(await res.json()));
+      cursor = res.headers.get("X-Next-Cursor");
+    } while (cursor && ++pages < REVIEWS_MAX_PAGES);
+    return { reviews, truncated: !!cursor };
+  }
+
+  // Reviews for the visible map area (plus padding and any route); see reviewArea
+  async loadReviews() {
+    const area = this.reviewArea(VIEWPORT_PADDING);
+    if (!area) return; // map not laid out yet; its first "idle" loads
+    const request = ++this.reviewsRequest;
+
+    try {
+      const { reviews, truncated } = await this.fetchReviews({ bbox: [area.west, area.south, area.east, area.north].join(",") });
+      if (request !== this.reviewsRequest) return;
+      // A capped load isn't the whole area: stats and route scores say so until a smaller view loads in full
+      if (truncated && !this.truncatedArea) {
+        this.showNotification(`Only the newest ${reviews.length} reviews here are loaded. Zoom in to see them all.`, "warning");
+      }
+      this.reviews = reviews;
+      this.loadedArea = truncated ? null : area;
+      this.truncatedArea = truncated ? area : null;
 
       // Dashboard defaults to overall until a route is set
       this.updateDashboardOverall();
@@ -48,14 +331,19 @@ class SafetyMapApp {
       if (this.map) {
         this.loadMarkers();
         if (this.heatmap) this.updateHeatmap();
+        this.scheduleGridRefresh();
         if (this.routeActive && this.routePath.length) {
           this.countReviewsAlongRoute();
           this.updateDashboardRouteOnly();
+          this.rescoreRouteAlternatives();
         }
       }
     } catch (err) {
+      if (request !== this.reviewsRequest) return;
       console.error("Error loading reviews from server:", err);
       this.reviews = [];
+      this.loadedArea = null;
+      this.truncatedArea = null;
       this.updateDashboardOverall();
       this.updateRecentReviews();
       this.showNotification("Failed to load reviews from server.", "error");
@@ -64,6 +352,7 @@ class SafetyMapApp {
 
   async saveReview(event) {
     event.preventDefault();
+    if (this.editingReview) return this.updateReview();
     if (!this.selectedLocation) return;
 
     const review = {
@@ -73,41 +362,139 @@ class SafetyMapApp {
       infrastructureRating: parseInt(document.getElementById("infraRating").value),
       description: document.getElementById("reviewDescription").value,
       address: document.getElementById("reviewAddress").value,
+      categories: this.getCheckedCategories("reviewCategories"),
+      observedHours: this.readObservedHours(),
       timestamp: new Date().toISOString(),
     };
 
-    try {
-      const res = await fetch(`${API_BASE}/reviews`, {
-        method: "POST",
-        headers: { "Content-Type": "application/json", "Accept": "application/json" },
-        body: JSON.stringify(review),
-      });
-      if (!res.ok) throw new Error(`HTTP ${res.status}`);
-      const saved = await res.json();
+    const files = [...document.getElementById("reviewPhotos").files];
+    if (files.length > PHOTO_MAX_COUNT) {
+      this.showNotification(`You can attach up to ${PHOTO_MAX_COUNT} photos.`, "warning");
+      return;
+    }
+    if (files.some((f) => f.size > PHOTO_MAX_BYTES)) {
+      this.showNotification(`Each photo must be at most ${PHOTO_MAX_BYTES / 1024 / 1024} MB.`, "warning");
+      return;
+    }
 
-      this.reviews.unshift(saved);
-      if (this.map) {
-        this.addReviewMarker(saved);
-        if (this.heatmap) this.updateHeatmap();
+    let saved;
+    try {
+      saved = await this.postReview(review, files);
+    } catch (err) {
+      console.error("Error saving review:", err);
+      if (err.status === 429) {
+        const minutes = Math.max(1, Math.ceil((err.retryAfter || 60) / 60));
+        this.showNotification(`You've posted several reviews recently. Try again in ${minutes} min.`, "warning");
+        return;
       }
-      this.updateRecentReviews();
+      if (err.status === 400) {
+        this.showNotification(`Review not saved: ${err.message}`, "warning");
+        return;
+      }
+      if (!err.retryable || !this.offlineQueue) {
+        this.showNotification("Failed to save review.", "error");
+        return;
+      }
+      // Network down or server unavailable: keep it locally and retry later
+      try {
+        await this.queueReview(review, files);
+      } catch (queueErr) {
+        console.error("Error queueing review offline:", queueErr);
+        this.showNotification("Failed to save review.", "error");
+        return;
+      }
+    }
 
-      if (this.routeActive && this.routePath.length) {
-        this.countReviewsAlongRoute();
-        this.updateDashboardRouteOnly();
-      } else {
-        this.updateDashboardOverall();
+    const held = saved && saved.status === "quarantined";
+    if (saved && !held) this.addReviewLocally(saved);
+    this.closeReviewModal();
+    this.isReviewMode = false;
+    document.getElementById("reviewModeIndicator").style.display = "none";
+    document.getElementById("toggleReviewMode").classList.remove("active");
+
+    if (held) this.showNotification("Thanks! Your review will appear once a moderator has checked it.", "info");
+    else {
+      this.showNotification(
+        saved ? "Review saved successfully!" : "You're offline. Review saved on this device and will be sent automatically.",
+        saved ? "success" : "warning"
+      );
+    }
+  }
+
+  // POST /reviews → saved review (status "quarantined" when held for moderation). Errors carry
+  // `retryable` (network, 5xx or rate-limited 429, with `retryAfter` seconds) vs rejected (4xx,
+  // with the server's message and field errors).
+  // With photos the review goes as multipart: JSON in "review", files in "photos".
+  async postReview(review, files = []) {
+    let body = JSON.stringify(review);
+    const headers = { "Content-Type": "application/json", "Accept": "application/json", ...this.authHeaders() };
+    if (files.length) {
+      body = new FormData();
+      body.append("review", JSON.stringify(review));
+      files.forEach((f) => body.append("photos", f, f.name));
+      delete headers["Content-Type"]; // browser sets the multipart boundary
+    }
+
+    let res;
+    try {
+      res = await fetch(`${API_BASE}/reviews`, { method: "POST", headers, body });
+    } catch (err) {
+      err.retryable = true;
+      throw err;
+    }
+    if (!res.ok) {
+      const data = await res.json().catch(() => ({}));
+      const err = new Error(data.error || `HTTP ${res.status}`);
+      err.status = res.status;
+      err.fields = data.fields || []; // 400: [{ in, field, message }] per invalid input
+      err.retryable = res.status >= 500 || res.status === 429;
+      if (res.status === 429) err.retryAfter = Number(res.headers.get("Retry-After")) || null;
+      throw err;
+    }
+    return res.json();
+  }
+
+  // PATCH /reviews/:id with the edited form fields; the server keeps the old version
+  async updateReview() {
+    const review = this.editingReview;
+    const changes = {
+      safetyRating: parseInt(document.getElementById("safetyRating").value),
+      infrastructureRating: parseInt(document.getElementById("infraRating").value),
+      description: document.getElementById("reviewDescription").value,
+      categories: this.getCheckedCategories("reviewCategories"),
+      observedHours: this.readObservedHours(),
+    };
+
+    try {
+      const res = await fetch(`${API_BASE}/reviews/${review.id}`, {
+        method: "PATCH",
+        headers: { "Content-Type": "application/json", "Accept": "application/json", ...this.authHeaders() },
+        body: JSON.stringify(changes),
+      });
+      if (res.status === 401 || res.status === 403) {
+        this.showNotification("Only the author or a moderator can edit this review.", "warning");
+        return;
       }
+      if (res.status === 400) {
+        const { error } = await res.json();
+        this.showNotification(error || "Invalid review.", "warning");
+        return;
+      }
+      if (!res.ok) throw new Error(`HTTP ${res.status}`);
 
+      const saved = await res.json();
       this.closeReviewModal();
-      this.isReviewMode = false;
-      document.getElementById("reviewModeIndicator").style.display = "none";
-      document.getElementById("toggleReviewMode").classList.remove("active");
-
-      this.showNotification("Review saved successfully!", "success");
+      if (saved.status === "quarantined") {
+        this.removeReviewLocally(saved.id);
+        this.showNotification("Your edit will appear once a moderator has checked it.", "info");
+        return;
+      }
+      this.updateReviewLocally(saved);
+      this.showReviewDetails(saved);
+      this.showNotification("Review updated", "success");
     } catch (err) {
-      console.error("Error saving review:", err);
-      this.showNotification("Failed to save review.", "error");
+      console.error("Error updating review:", err);
+      this.showNotification("Failed to update review.", "error");
     }
   }
 
@@ -116,70 +503,867 @@ class SafetyMapApp {
     if (!confirm("Are you sure you want to delete this review?")) return;
 
     try {
-      const res = await fetch(`${API_BASE}/reviews/${this.currentReviewId}`, { method: "DELETE" });
+      const res = await fetch(`${API_BASE}/reviews/${this.currentReviewId}`, {
+        method: "DELETE",
+        headers: this.authHeaders(),
+      });
+      if (res.status === 401 || res.status === 403) {
+        this.showNotification("Only the author or a moderator can delete this review.", "warning");
+        return;
+      }
       if (res.status !== 204) throw new Error(`HTTP ${res.status}`);
 
-      this.reviews = this.reviews.filter((r) => String(r.id) !== String(this.currentReviewId));
+      this.removeReviewLocally(this.currentReviewId);
+      this.closeViewModal();
+
+      this.showNotification("Review deleted successfully", "info");
+    } catch (err) {
+      console.error("Error deleting review:", err);
+      this.showNotification("Failed to delete review.", "error");
+    }
+  }
+
+  // Add a review to every view (own save or live feed); ignores ones we already have and
+  // ones outside the loaded area (they'd skew its stats; the next load there fetches them)
+  addReviewLocally(review) {
+    const onRoute = this.addRouteReview(review);
+    if (!this.inLoadedArea(review) || this.reviews.some((r) => String(r.id) === String(review.id))) {
+      if (onRoute) this.refreshRouteStats();
+      return false;
+    }
+    this.reviews.unshift(review);
+
+    if (this.map) {
+      if (this.showsMarker(review)) this.addReviewMarker(review);
+      if (this.heatmap) this.updateHeatmap();
+      this.scheduleGridRefresh();
+    }
+    this.updateRecentReviews();
+    this.refreshRouteStats();
+    return true;
+  }
+
+  // Swap in an edited review everywhere; ignores ones we don't have
+  updateReviewLocally(review) {
+    const onRoute = this.updateRouteReview(review);
+    const index = this.reviews.findIndex((r) => String(r.id) === String(review.id));
+    if (index === -1) {
+      if (onRoute) this.refreshRouteStats();
+      return false;
+    }
+    this.reviews[index] = review;
+
+    if (this.map) {
+      this.removeReviewMarker(review.id);
+      if (this.showsMarker(review)) this.addReviewMarker(review);
+      if (this.heatmap) this.updateHeatmap();
+      this.scheduleGridRefresh();
+    }
+    this.updateRecentReviews();
+    this.refreshRouteStats();
+    return true;
+  }
+
+  // Drop a review from every view (deleted or hidden by moderation)
+  removeReviewLocally(id) {
+    if (this.searchResults && this.searchResults.some((r) => String(r.id) === String(id))) {
+      this.searchResults = this.searchResults.filter((r) => String(r.id) !== String(id));
+      this.renderSearchResults();
+      if (this.map) this.removeReviewMarker(id);
+    }
+
+    const onRoute = this.removeRouteReview(id);
+    const before = this.reviews.length;
+    this.reviews = this.reviews.filter((r) => String(r.id) !== String(id));
+    if (this.reviews.length === before) {
+      if (onRoute) this.refreshRouteStats();
+      return false;
+    }
+
+    if (this.map) {
+      this.removeReviewMarker(id);
+      if (this.heatmap) this.updateHeatmap();
+      this.scheduleGridRefresh();
+    }
+    this.updateRecentReviews();
+    this.refreshRouteStats();
+    return true;
+  }
+
+  // Route badge, halos, alternatives and dashboard after this.reviews changed
+  refreshRouteStats() {
+    if (this.routeActive && this.routePath.length) {
+      const count = this.countReviewsAlongRoute();
+      if (this.routeCountBadge) this.routeCountBadge.textContent = `Route reviews: ${count}`;
+      this.updateDashboardRouteOnly();
+      this.rescoreRouteAlternatives();
+    } else {
+      this.updateDashboardOverall();
+    }
+  }
+
+  // ========== Viewport loading ==========
+  // Map settled after a pan/zoom: refresh the grid, and reviews only once the view leaves loadedArea
+  scheduleViewportRefresh() {
+    clearTimeout(this.viewportRefreshTimer);
+    this.viewportRefreshTimer = setTimeout(() => {
+      // A truncated area would come back truncated again: only reload once the view leaves it
+      if (!this.isAreaLoaded() && !this.areaCovers(this.truncatedArea)) this.loadReviews();
+      this.loadGridStats();
+      this.loadNeighbourhoods();
+    }, VIEWPORT_REFRESH_MS);
+  }
+
+  // Visible bounds grown by `padding` (fraction of the span) on each side
+  // → { south, west, north, east } or null (routes load their own reviews: loadRouteReviews)
+  reviewArea(padding) {
+    const view = this.map && this.map.getBounds();
+    if (!view) return null;
+    // Zoomed out across the antimeridian: take every longitude
+    if (view.west > view.east) Object.assign(view, { west: -180, east: 180 });
+    const padLat = (view.north - view.south) * padding;
+    const padLng = (view.east - view.west) * padding;
+    const area = {
+      south: view.south - padLat,
+      west: view.west - padLng,
+      north: view.north + padLat,
+      east: view.east + padLng,
+    };
 
+    area.south = Math.max(-90, area.south);
+    area.north = Math.min(90, area.north);
+    area.west = Math.max(-180, area.west);
+    area.east = Math.min(180, area.east);
+    return area;
+  }
+
+  inLoadedArea({ lat, lng }) {
+    const area = this.loadedArea || this.truncatedArea;
+    return !!area && lat >= area.south && lat <= area.north && lng >= area.west && lng <= area.east;
+  }
+
+  isAreaLoaded() {
+    return this.areaCovers(this.loadedArea);
+  }
+
+  // Does `loaded` contain the area the view needs?
+  areaCovers(loaded) {
+    const needed = this.reviewArea(0);
+    return (
+      !!needed && !!loaded &&
+      needed.south >= loaded.south && needed.north <= loaded.north &&
+      needed.west >= loaded.west && needed.east <= loaded.east
+    );
+  }
+
+  // Grid only (after a review changed); debounced so bursts of live-feed events cost one request
+  scheduleGridRefresh() {
+    clearTimeout(this.gridRefreshTimer);
+    this.gridRefreshTimer = setTimeout(() => this.loadGridStats(), VIEWPORT_REFRESH_MS);
+  }
+
+  // GET /reviews/grid for the visible area, then redraw the heatmap and overall tiles
+  async loadGridStats() {
+    const bounds = this.map && this.map.getBounds();
+    if (!bounds) return;
+    // Zoomed out past the antimeridian: take every longitude
+    const [minLng, maxLng] = bounds.west <= bounds.east ? [bounds.west, bounds.east] : [-180, 180];
+    const params = { bbox: [minLng, bounds.south, maxLng, bounds.north].join(","), zoom: Math.round(this.map.getZoom()) };
+    if (this.categoryFilter.length) params.categories = this.categoryFilter.join(",");
+
+    try {
+      const res = await fetch(`${API_BASE}/reviews/grid?${new URLSearchParams(params)}`, {
+        headers: { "Accept": "application/json" },
+      });
+      if (!res.ok) throw new Error(`HTTP ${res.status}`);
+      this.gridStats = await res.json();
+    } catch (err) {
+      // Keep working from this.reviews; the next map move tries again
+      console.error("Error loading grid stats:", err);
+      this.gridStats = null;
+    }
+
+    if (this.heatmap) this.updateHeatmap();
+    if (!this.routeActive) this.updateDashboardOverall();
+  }
+
+  // GET /reviews/neighbourhoods for the visible area → the neighbourhood filter options,
+  // busiest first; the current choice stays listed even after panning away from it
+  async loadNeighbourhoods() {
+    const bounds = this.map && this.map.getBounds();
+    if (!bounds) return;
+    const [minLng, maxLng] = bounds.west <= bounds.east ? [bounds.west, bounds.east] : [-180, 180];
+    const params = { bbox: [minLng, bounds.south, maxLng, bounds.north].join(",") };
+
+    let neighbourhoods;
+    try {
+      const res = await fetch(`${API_BASE}/reviews/neighbourhoods?${new URLSearchParams(params)}`, {
+        headers: { "Accept": "application/json" },
+      });
+      if (!res.ok) throw new Error(`HTTP ${res.status}`);
+      neighbourhoods = await res.json();
+    } catch (err) {
+      console.error("Error loading neighbourhoods:", err);
+      return;
+    }
+
+    const select = document.getElementById("neighbourhoodFilter");
+    const current = select.value;
+    const esc = (v) => this.escapeHtml(v);
+    const options = neighbourhoods
+      .filter((n) => n.neighbourhood)
+      .map((n) => {
+        const label = n.locality ? `${n.neighbourhood}, ${n.locality}` : n.neighbourhood;
+        return `<option value="${esc(n.neighbourhood)}">${esc(label)} (${n.count})</option>`;
+      });
+    if (current && !neighbourhoods.some((n) => n.neighbourhood === current)) {
+      options.unshift(`<option value="${esc(current)}">${esc(current)}</option>`);
+    }
+    select.innerHTML = `<option value="">All neighbourhoods</option>${options.join("")}`;
+    select.value = current;
+  }
+
+  // Aggregates can't be re-weighted per review, so a travel time switches back to client-side data
+  useGridStats() {
+    return !!this.gridStats && !this.travelWindow;
+  }
+
+  // ========== Offline queue ==========
+  async loadPendingReviews() {
+    if (!this.offlineQueue) return;
+    try {
+      this.pendingReviews = await this.offlineQueue.all();
+    } catch (err) {
+      console.error("Error reading offline queue:", err);
+      return;
+    }
+    this.loadPendingMarkers();
+    if (this.pendingReviews.length) this.flushOfflineQueue();
+  }
+
+  async queueReview(review, files = []) {
+    const localId = await this.offlineQueue.add(review, files);
+    this.pendingReviews.push({ localId, review, files, queuedAt: new Date().toISOString() });
+    this.loadPendingMarkers();
+    this.scheduleOfflineRetry();
+  }
+
+  scheduleOfflineRetry() {
+    if (this.offlineRetryTimer || !this.pendingReviews.length) return;
+    this.offlineRetryTimer = setTimeout(() => {
+      this.offlineRetryTimer = null;
+      this.flushOfflineQueue();
+    }, OFFLINE_RETRY_MS);
+  }
+
+  // Send queued reviews oldest first; stop at the first network failure
+  async flushOfflineQueue() {
+    if (!this.offlineQueue || this.isFlushingQueue || !this.pendingReviews.length) return;
+    this.isFlushingQueue = true;
+    let sent = 0;
+
+    try {
+      for (const item of this.pendingReviews.slice()) {
+        try {
+          const saved = await this.postReview(item.review, item.files);
+          if (saved.status !== "quarantined") this.addReviewLocally(saved);
+          sent++;
+        } catch (err) {
+          if (err.retryable) break;
+          // Rejected by the server (validation etc.) — retrying won't help
+          console.error("Queued review rejected:", err);
+          this.showNotification("A review saved offline was rejected by the server and discarded.", "error");
+        }
+        await this.offlineQueue.remove(item.localId);
+        this.pendingReviews = this.pendingReviews.filter((p) => p.localId !== item.localId);
+      }
+    } finally {
+      this.isFlushingQueue = false;
+      this.loadPendingMarkers();
+      this.scheduleOfflineRetry();
+    }
+
+    if (sent) this.showNotification(`Sent ${sent} review(s) saved while offline.`, "success");
+  }
+
+  loadPendingMarkers() {
+    this.pendingMarkers.forEach((m) => m.remove());
+    this.pendingMarkers = [];
+    if (!this.map) return;
+
+    this.pendingReviews.forEach(({ review, queuedAt }) => {
+      const marker = this.map.addMarker({
+        position: { lat: review.lat, lng: review.lng },
+        title: "Pending upload",
+        color: "#9E9E9E",
+        opacity: 0.5,
+        strokeColor: "#616161",
+        onClick: () =>
+          this.showNotification(`Saved offline ${this.timeAgo(queuedAt)}. Waiting for a connection to upload.`, "info"),
+      });
+      this.pendingMarkers.push(marker);
+    });
+  }
+
+  // ========== Live feed ==========
+  // SSE from GET /reviews/stream. EventSource reconnects by itself and sends
+  // Last-Event-ID, so the server replays what we missed (or asks us to resync).
+  connectLiveFeed() {
+    if (!window.EventSource || this.liveFeed) return;
+    const source = new EventSource(`${API_BASE}/reviews/stream`);
+    this.liveFeed = source;
+
+    source.onopen = () => {
+      if (this.liveFeedLost) this.showNotification("Live updates reconnected.", "success");
+      this.liveFeedLost = false;
+    };
+    source.onerror = () => {
+      if (!this.liveFeedLost) this.showNotification("Live updates interrupted. Reconnecting…", "warning");
+      this.liveFeedLost = true;
+    };
+
+    // Only reviews inside the loaded area are added and announced, not every one posted anywhere
+    source.addEventListener("review.created", (e) => {
+      const { review } = JSON.parse(e.data);
+      if (this.addReviewLocally(review)) {
+        this.showNotification(`New review: ${review.address || "nearby location"} (safety ${review.safetyRating}/5)`, "info");
+      }
+    });
+    source.addEventListener("review.updated", (e) => {
+      const { review } = JSON.parse(e.data);
+      this.updateReviewLocally(review);
+      if (String(this.currentReviewId) === String(review.id)) this.showReviewDetails(review);
+    });
+    source.addEventListener("review.deleted", (e) => {
+      const { id } = JSON.parse(e.data);
+      if (String(this.currentReviewId) === String(id)) this.closeViewModal();
+      this.removeReviewLocally(id);
+    });
+    source.addEventListener("resync", () => this.loadReviews());
+  }
+
+  // ========== Categories ==========
+  async loadCategories() {
+    try {
+      const res = await fetch(`${API_BASE}/categories`, { headers: { "Accept": "application/json" } });
+      if (!res.ok) throw new Error(`HTTP ${res.status}`);
+      this.categories = await res.json();
+    } catch (err) {
+      console.error("Error loading categories:", err);
+      return;
+    }
+    this.renderCategoryChips("reviewCategories");
+    this.renderCategoryChips("categoryFilter");
+  }
+
+  // One checkbox chip per category, grouped like the taxonomy
+  renderCategoryChips(containerId) {
+    const groups = [...new Set(this.categories.map((c) => c.group))];
+    document.getElementById(containerId).innerHTML = groups
+      .map(
+        (group) => `
+      <div class="category-group">
+        <small>${group}</small>
+        ${this.categories
+          .filter((c) => c.group === group)
+          .map(
+            (c) => `
+        <label class="category-chip">
+          <input type="checkbox" value="${c.id}">
+          <span>${c.label}</span>
+        </label>`
+          )
+          .join("")}
+      </div>`
+      )
+      .join("");
+  }
+
+  getCheckedCategories(containerId) {
+    return [...document.querySelectorAll(`#${containerId} input:checked`)].map((el) => el.value);
+  }
+
+  setCheckedCategories(containerId, ids) {
+    document.querySelectorAll(`#${containerId} input`).forEach((el) => {
+      el.checked = ids.includes(el.value);
+    });
+  }
+
+  matchesCategoryFilter(review) {
+    if (!this.categoryFilter.length) return true;
+    return (review.categories || []).some((c) => this.categoryFilter.includes(c));
+  }
+
+  categoryTagsHtml(ids = []) {
+    return ids
+      .map((id) => this.categories.find((c) => c.id === id))
+      .filter(Boolean)
+      .map((c) => `<span class="category-tag">${c.label}</span>`)
+      .join("");
+  }
+
+  // ========== Time of day ==========
+  setupTimeOfDayUI() {
+    const options = Array.from({ length: 24 }, (_, h) => `<option value="${h}">${this.formatHour(h)}</option>`).join("");
+    ["observedStart", "observedEnd", "travelHour"].forEach((id) => {
+      document.getElementById(id).innerHTML = options;
+    });
+    document.getElementById("observedStart").value = 21;
+    document.getElementById("observedEnd").value = 6;
+    document.getElementById("travelHour").value = new Date().getHours();
+  }
+
+  formatHour(h) {
+    return `${String(h).padStart(2, "0")}:00`;
+  }
+
+  formatHours(window) {
+    return window ? `${this.formatHour(window.start)}–${this.formatHour(window.end)}` : "Any time";
+  }
+
+  // Hours covered by a window, e.g. { start: 22, end: 2 } → [22, 23, 0, 1]
+  hoursOf(window) {
+    const hours = [];
+    for (let h = window.start; h !== window.end; h = (h + 1) % 24) hours.push(h);
+    return hours;
+  }
+
+  // Hours between two windows around the clock; 0 when they overlap
+  hourGap(a, b) {
+    const bHours = this.hoursOf(b);
+    let gap = 12;
+    for (const h of this.hoursOf(a)) {
+      for (const k of bHours) {
+        const d = Math.abs(h - k);
+        gap = Math.min(gap, d, 24 - d);
+      }
+    }
+    return gap;
+  }
+
+  // How much a review counts for the selected travel time (1 = fully)
+  timeWeight(review) {
+    if (!this.travelWindow) return 1;
+    const w = this.timeWeights;
+    if (!review.observedHours) return w.unspecified;
+    const gap = this.hourGap(review.observedHours, this.travelWindow);
+    return Math.max(w.min, 1 - gap / w.falloffHours);
+  }
+
+  // Reviews at the weight floor describe a different time of day; route counts leave them out
+  isTimeRelevant(review) {
+    return this.timeWeight(review) > this.timeWeights.min;
+  }
+
+  weightedAverage(list, field) {
+    let sum = 0;
+    let weights = 0;
+    for (const r of list) {
+      const w = this.timeWeight(r);
+      sum += w * r[field];
+      weights += w;
+    }
+    return weights ? sum / weights : null;
+  }
+
+  // Side-panel selector → this.travelWindow, then redraw everything that depends on it
+  setTravelTime() {
+    const mode = document.getElementById("travelTime").value;
+    const hour = parseInt(document.getElementById("travelHour").value);
+    document.getElementById("travelHourGroup").style.display = mode === "custom" ? "" : "none";
+
+    if (mode === "custom") this.travelWindow = { start: hour, end: (hour + 1) % 24 };
+    else this.travelWindow = TRAVEL_PRESETS[mode] || null;
+
+    if (this.map) {
       this.loadMarkers();
       if (this.heatmap) this.updateHeatmap();
+    }
+    this.refreshRouteStats();
+  }
+
+  // Review form "When does this apply?" → { start, end } or null
+  readObservedHours() {
+    const preset = document.getElementById("reviewTimeOfDay").value;
+    if (preset === "custom") {
+      const start = parseInt(document.getElementById("observedStart").value);
+      const end = parseInt(document.getElementById("observedEnd").value);
+      return start === end ? null : { start, end };
+    }
+    return OBSERVED_PRESETS[preset] || null;
+  }
+
+  setObservedHoursForm(window) {
+    let preset = "any";
+    if (window) {
+      preset =
+        Object.keys(OBSERVED_PRESETS).find(
+          (k) => OBSERVED_PRESETS[k].start === window.start && OBSERVED_PRESETS[k].end === window.end
+        ) || "custom";
+    }
+    document.getElementById("reviewTimeOfDay").value = preset;
+    document.getElementById("observedCustom").style.display = preset === "custom" ? "" : "none";
+    if (preset === "custom") {
+      document.getElementById("observedStart").value = window.start;
+      document.getElementById("observedEnd").value = window.end;
+    }
+  }
 
+  // ========== Reports & moderation ==========
+  openReportForm() {
+    if (!this.currentUser) {
+      this.showNotification("Sign in to report a review.", "info");
+      this.openAuthModal();
+      return;
+    }
+    document.getElementById("reportForm").style.display = "block";
+    document.getElementById("viewActions").style.display = "none";
+  }
+
+  closeReportForm() {
+    document.getElementById("reportForm").reset();
+    document.getElementById("reportForm").style.display = "none";
+    document.getElementById("viewActions").style.display = "";
+  }
+
+  async submitReport(event) {
+    event.preventDefault();
+    if (!this.currentReviewId) return;
+
+    try {
+      const res = await fetch(`${API_BASE}/reviews/${this.currentReviewId}/reports`, {
+        method: "POST",
+        headers: { "Content-Type": "application/json", "Accept": "application/json", ...this.authHeaders() },
+        body: JSON.stringify({
+          reason: document.getElementById("reportReason").value,
+          details: document.getElementById("reportDetails").value,
+        }),
+      });
+      const data = await res.json().catch(() => ({}));
+      if (!res.ok) {
+        this.showNotification(data.error || `Report failed (HTTP ${res.status}).`, res.status === 409 ? "info" : "error");
+        return;
+      }
+
+      if (data.hidden) this.removeReviewLocally(this.currentReviewId);
       this.closeViewModal();
-      this.updateRecentReviews();
+      this.showNotification(
+        data.hidden ? "Thanks. The review has been hidden pending moderation." : "Thanks. A moderator will take a look.",
+        "success"
+      );
+    } catch (err) {
+      console.error("Error reporting review:", err);
+      this.showNotification("Failed to report review.", "error");
+    }
+  }
 
-      if (this.routeActive && this.routePath.length) {
-        this.countReviewsAlongRoute();
-        this.updateDashboardRouteOnly();
-      } else {
-        this.updateDashboardOverall();
+  async loadModerationQueue() {
+    const section = document.getElementById("moderationSection");
+    const isModerator = this.currentUser && this.currentUser.role === "moderator";
+    section.style.display = isModerator ? "block" : "none";
+    if (!isModerator) return;
+
+    const status = document.getElementById("moderationFilter").value;
+    const list = document.getElementById("moderationList");
+    try {
+      const res = await fetch(`${API_BASE}/moderation/queue?status=${status}`, {
+        headers: { "Accept": "application/json", ...this.authHeaders() },
+      });
+      if (!res.ok) throw new Error(`HTTP ${res.status}`);
+      const queue = await res.json();
+
+      if (!queue.length) {
+        list.innerHTML = `<div class="moderation-empty">Nothing to review.</div>`;
+        return;
       }
+      list.innerHTML = queue
+        .map(
+          (r) => `
+      <div class="moderation-item">
+        <div class="recent-item-header">
+          <div class="recent-item-ratings">
+            <span class="rating-badge ${this.getRatingClass(r.safetyRating)}">S: ${r.safetyRating}</span>
+            <span class="rating-badge ${this.getRatingClass(r.infrastructureRating)}">I: ${r.infrastructureRating}</span>
+          </div>
+        </div>
+        <div class="recent-item-desc">${this.escapeHtml(r.description.substring(0, 80))}</div>
+        ${r.openReports ? `<div class="moderation-item-reasons">${r.openReports} report(s): ${r.reasons.join(", ")}</div>` : ""}
+        ${r.status === "quarantined" ? `<div class="moderation-item-reasons">Held: ${r.quarantineReasons.map((q) => q.replace("_", " ")).join(", ")}</div>` : ""}
+        <div class="moderation-item-actions">
+          ${r.status === "hidden"
+            ? `<button class="btn btn--secondary btn--sm" onclick="app.moderateReview('${r.id}', 'restore')">Restore</button>`
+            : `<button class="btn btn--secondary btn--sm" onclick="app.moderateReview('${r.id}', 'approve')">Approve</button>
+               <button class="btn btn--danger btn--sm" onclick="app.moderateReview('${r.id}', 'hide')">Hide</button>`}
+        </div>
+      </div>`
+        )
+        .join("");
+    } catch (err) {
+      console.error("Error loading moderation queue:", err);
+      list.innerHTML = `<div class="moderation-empty">Could not load the queue.</div>`;
+    }
+  }
 
-      this.showNotification("Review deleted successfully", "info");
+  async moderateReview(id, action) {
+    const queue = document.getElementById("moderationFilter").value;
+    try {
+      const res = await fetch(`${API_BASE}/moderation/reviews/${id}/${action}`, {
+        method: "POST",
+        headers: { "Accept": "application/json", ...this.authHeaders() },
+      });
+      if (!res.ok) throw new Error(`HTTP ${res.status}`);
+
+      if (action === "hide") this.removeReviewLocally(id);
+      else if (action === "restore" || queue === "quarantined") this.loadReviews(); // now visible
+      this.loadModerationQueue();
+      this.showNotification(`Review ${action === "approve" ? "approved" : action === "hide" ? "hidden" : "restored"}.`, "success");
     } catch (err) {
-      console.error("Error deleting review:", err);
-      this.showNotification("Failed to delete review.", "error");
+      console.error("Error moderating review:", err);
+      this.showNotification("Moderation action failed.", "error");
+    }
+  }
+
+  // ========== Watched places ==========
+  async loadWatches() {
+    const section = document.getElementById("watchSection");
+    section.style.display = this.currentUser ? "block" : "none";
+    this.watches = [];
+    if (!this.currentUser) return;
+
+    try {
+      const res = await fetch(`${API_BASE}/watches`, { headers: { "Accept": "application/json", ...this.authHeaders() } });
+      if (!res.ok) throw new Error(`HTTP ${res.status}`);
+      this.watches = await res.json();
+    } catch (err) {
+      console.error("Error loading watched places:", err);
+    }
+    this.renderWatches();
+  }
+
+  renderWatches() {
+    const list = document.getElementById("watchList");
+    if (!this.watches.length) {
+      list.innerHTML = `<div class="moderation-empty">Not watching any places yet.</div>`;
+      return;
+    }
+    const describe = (w) =>
+      w.kind === "radius" ? `${w.geometry.radius} m around a point`
+        : w.kind === "route" ? `Route, ${w.geometry.buffer} m either side`
+          : "Area";
+    list.innerHTML = this.watches
+      .map(
+        (w) => `
+      <div class="moderation-item">
+        <div class="route-option-header">
+          <span class="route-option-title">${this.escapeHtml(w.name)}</span>
+          <span class="watch-frequency">${w.frequency === "immediate" ? "Right away" : "Daily"}</span>
+        </div>
+        <div class="route-option-meta">${describe(w)} · safety ≤ ${w.maxSafety}</div>
+        <div class="moderation-item-actions">
+          <button class="btn btn--secondary btn--sm" onclick="app.showWatch('${w.id}')">Show</button>
+          <button class="btn btn--danger btn--sm" onclick="app.removeWatch('${w.id}')">Remove</button>
+        </div>
+      </div>`
+      )
+      .join("");
+  }
+
+  // The form's "where" choice → { kind, geometry }, or null (with a notification) if unavailable
+  readWatchGeometry() {
+    const kind = document.getElementById("watchKind").value;
+    if (kind === "radius") {
+      const { lat, lng } = this.map.getCenter();
+      return { kind, geometry: { lat, lng, radius: Number(document.getElementById("watchRadius").value) } };
+    }
+    if (kind === "polygon") {
+      const { south, west, north, east } = this.map.getBounds();
+      return { kind, geometry: { points: [[south, west], [north, west], [north, east], [south, east]] } };
+    }
+    if (!this.routeActive || this.routePath.length < 2) {
+      this.showNotification("Find a route first to watch it.", "warning");
+      return null;
+    }
+    // The API takes at most 1000 points; keep the end point when thinning
+    const step = Math.ceil(this.routePath.length / 999);
+    const path = this.routePath.filter((_, i) => i % step === 0 || i === this.routePath.length - 1);
+    return { kind, geometry: { path: path.map((p) => [p.lat, p.lng]), buffer: this.routeBufferMeters } };
+  }
+
+  async addWatch() {
+    const name = document.getElementById("watchName").value.trim();
+    if (!name) {
+      this.showNotification("Give the place a name, e.g. Home.", "warning");
+      return;
+    }
+    const where = this.readWatchGeometry();
+    if (!where) return;
+
+    try {
+      const res = await fetch(`${API_BASE}/watches`, {
+        method: "POST",
+        headers: { "Content-Type": "application/json", "Accept": "application/json", ...this.authHeaders() },
+        body: JSON.stringify({ name, ...where, frequency: document.getElementById("watchFrequency").value }),
+      });
+      const body = await res.json().catch(() => ({}));
+      if (!res.ok) throw new Error(body.error || `HTTP ${res.status}`);
+
+      this.watches.unshift(body);
+      this.renderWatches();
+      document.getElementById("watchName").value = "";
+      this.showNotification(`Watching "${name}". We'll email you about new low-rated reviews there.`, "success");
+    } catch (err) {
+      console.error("Error adding watched place:", err);
+      this.showNotification(`Could not watch this place: ${err.message}`, "error");
+    }
+  }
+
+  async removeWatch(id) {
+    try {
+      const res = await fetch(`${API_BASE}/watches/${id}`, { method: "DELETE", headers: this.authHeaders() });
+      if (!res.ok && res.status !== 404) throw new Error(`HTTP ${res.status}`);
+      this.watches = this.watches.filter((w) => w.id !== id);
+      this.renderWatches();
+      this.showNotification("Stopped watching that place.", "info");
+    } catch (err) {
+      console.error("Error removing watched place:", err);
+      this.showNotification("Failed to remove the watched place.", "error");
+    }
+  }
+
+  showWatch(id) {
+    const watch = this.watches.find((w) => w.id === id);
+    if (!watch || !this.map) return;
+    this.map.fitBounds(watch.bounds);
+  }
+
+  // ========== Search ==========
+  // GET /reviews/search with the side-panel filters (and the visible area if ticked); the
+  // hits replace the viewport markers until the search is cleared
+  async searchReviews(event) {
+    if (event) event.preventDefault();
+    const q = document.getElementById("searchQuery").value.trim();
+    if (!q) return this.clearSearch();
+
+    const params = { ...this.getFilterParams(), q };
+    const bounds = this.map && this.map.getBounds();
+    if (bounds && document.getElementById("searchInView").checked) {
+      const [minLng, maxLng] = bounds.west <= bounds.east ? [bounds.west, bounds.east] : [-180, 180];
+      params.bbox = [minLng, bounds.south, maxLng, bounds.north].join(",");
+    }
+    this.searchParams = params;
+    this.searchResults = [];
+    this.searchCursor = null;
+    await this.loadSearchPage();
+
+    // Matches elsewhere: bring them into view
+    const results = this.searchResults || [];
+    if (this.map && !params.bbox && results.length) {
+      if (results.length === 1) this.map.panTo(results[0]);
+      else this.map.fitBounds(boundsOfPoints(results), 40);
+    }
+  }
+
+  async loadSearchPage() {
+    const request = ++this.searchRequest;
+    const qs = new URLSearchParams(this.searchParams);
+    if (this.searchCursor) qs.set("cursor", this.searchCursor);
+
+    try {
+      const res = await fetch(`${API_BASE}/reviews/search?${qs}`, { headers: { "Accept": "application/json" } });
+      const body = await res.json().catch(() => null);
+      if (!res.ok) throw new Error((body && body.error) || `HTTP ${res.status}`);
+      if (request !== this.searchRequest || !this.searchResults) return;
+      this.searchResults.push(...body);
+      this.searchCursor = res.headers.get("X-Next-Cursor");
+    } catch (err) {
+      if (request !== this.searchRequest) return;
+      console.error("Error searching reviews:", err);
+      this.showNotification(`Search failed: ${err.message}`, "error");
     }
+
+    this.renderSearchResults();
+    if (this.map) this.loadMarkers();
   }
 
-  // ========== Google Maps ==========
+  clearSearch() {
+    this.searchRequest++;
+    this.searchResults = null;
+    this.searchParams = null;
+    this.searchCursor = null;
+    document.getElementById("searchQuery").value = "";
+    this.renderSearchResults();
+    if (this.map) this.loadMarkers();
+  }
+
+  // Snippets come from the server already HTML-escaped, with the matches in <mark>
+  renderSearchResults() {
+    const list = document.getElementById("searchResults");
+    const status = document.getElementById("searchStatus");
+    document.getElementById("clearSearch").style.display = this.searchResults ? "" : "none";
+    document.getElementById("searchMore").style.display = this.searchResults && this.searchCursor ? "" : "none";
+    if (!this.searchResults) {
+      list.innerHTML = "";
+      status.textContent = "";
+      return;
+    }
+
+    const count = this.searchResults.length;
+    status.textContent = count
+      ? `${count}${this.searchCursor ? "+" : ""} matching review${count === 1 ? "" : "s"}`
+      : "No matching reviews.";
+    list.innerHTML = this.searchResults
+      .map(
+        (r, i) => `
+      <div class="recent-item" onclick="app.showSearchResult(${i})">
+        <div class="recent-item-header">
+          <div class="recent-item-ratings">
+            <span class="rating-badge ${this.getRatingClass(r.safetyRating)}">S: ${r.safetyRating}</span>
+            <span class="rating-badge ${this.getRatingClass(r.infrastructureRating)}">I: ${r.infrastructureRating}</span>
+          </div>
+        </div>
+        ${r.search.snippets.address ? `<div class="search-result-address">${r.search.snippets.address}</div>` : ""}
+        <div class="recent-item-desc">${r.search.snippets.description || this.escapeHtml(r.description)}</div>
+        <div class="recent-item-time">${this.timeAgo(r.timestamp)}</div>
+      </div>`
+      )
+      .join("");
+  }
+
+  showSearchResult(index) {
+    const review = this.searchResults && this.searchResults[index];
+    if (!review) return;
+    if (this.map) this.map.panTo(review);
+    this.showReviewDetails(review);
+  }
+
+  // ========== Map ==========
   initMap() {
     document.getElementById("loadingSpinner").style.display = "none";
 
-    this.map = new google.maps.Map(document.getElementById("map"), {
+    this.map = this.mapProvider.createMap(document.getElementById("map"), {
       zoom: 12,
       center: this.defaultLocation,
-      mapTypeId: google.maps.MapTypeId.ROADMAP,
-      styles: [{ featureType: "poi", elementType: "labels", stylers: [{ visibility: "off" }] }],
-      mapTypeControl: false, // avoid overlap with our route bar
-      zoomControl: true,
-      zoomControlOptions: { position: google.maps.ControlPosition.RIGHT_CENTER },
-      scaleControl: true,
-      streetViewControl: true,
-      streetViewControlOptions: { position: google.maps.ControlPosition.RIGHT_TOP },
-      fullscreenControl: false,
-    });
-
-    this.directionsService = new google.maps.DirectionsService();
-    this.directionsRenderer = new google.maps.DirectionsRenderer({
-      map: this.map,
-      suppressMarkers: false,
-      preserveViewport: false,
     });
 
     this.setupRouteSearchUI();
 
     // Map click behavior
-    this.map.addListener("click", (event) => {
+    this.map.onClick(({ lat, lng }) => {
       if (this.isReviewMode) {
-        this.openReviewModal(event.latLng.lat(), event.latLng.lng());
+        this.openReviewModal(lat, lng);
       } else {
-        this.checkNearbyReviews(event.latLng.lat(), event.latLng.lng());
+        this.checkNearbyReviews(lat, lng);
       }
     });
 
+    // Reviews and grid aggregates follow the viewport, refreshed whenever the map settles
+    this.map.onIdle(() => this.scheduleViewportRefresh());
+
     // Heatmap & markers
     this.initHeatmap();
+    this.initReviewLayer();
     this.loadMarkers();
+    this.loadPendingMarkers();
 
     // Geolocation
     this.requestLocation();
@@ -197,6 +1381,7 @@ class SafetyMapApp {
       gap: "6px",
       alignItems: "center",
       fontFamily: "system-ui, -apple-system, Segoe UI, Roboto, Arial, sans-serif",
+      flexWrap: "wrap",
       maxWidth: "92vw",
       zIndex: "9999",
     });
@@ -209,6 +1394,26 @@ class SafetyMapApp {
     Object.assign(dest, { type: "text", placeholder: "Destination", id: "routeDestination" });
     Object.assign(dest.style, { width: "220px", padding: "6px 10px", border: "1px solid #ddd", borderRadius: "8px" });
 
+    const mode = document.createElement("select");
+    mode.id = "routeMode";
+    mode.innerHTML = Object.entries(ROUTE_MODES)
+      .filter(([key]) => this.mapProvider.travelModes.includes(key))
+      .map(([key, m]) => `<option value="${key}">${m.label}</option>`)
+      .join("");
+    mode.value = this.routeMode;
+    Object.assign(mode.style, { padding: "6px 8px", border: "1px solid #ddd", borderRadius: "8px", background: "#fff" });
+
+    // Buffer: how far from the route a review still counts for it
+    const buffer = document.createElement("input");
+    Object.assign(buffer, { type: "range", id: "routeBuffer", title: "Count reviews within this distance of the route", ...ROUTE_BUFFER_RANGE });
+    buffer.value = this.routeBufferMeters;
+    Object.assign(buffer.style, { width: "90px" });
+
+    const bufferLabel = document.createElement("span");
+    bufferLabel.id = "routeBufferValue";
+    bufferLabel.textContent = this.formatBuffer(this.routeBufferMeters);
+    Object.assign(bufferLabel.style, { fontSize: "12px", color: "#444", minWidth: "52px" });
+
     const go = document.createElement("button");
     go.textContent = "Find Route";
     Object.assign(go.style, { padding: "8px 12px", border: "none", borderRadius: "8px", background: "#1a73e8", color: "#fff", cursor: "pointer" });
@@ -222,19 +1427,32 @@ class SafetyMapApp {
     Object.assign(badge.style, { marginLeft: "6px", fontSize: "12px", color: "#444" });
     this.routeCountBadge = badge;
 
+    mode.onchange = () => this.setRouteMode(mode.value);
+    buffer.oninput = () => { bufferLabel.textContent = this.formatBuffer(Number(buffer.value)); };
+    buffer.onchange = () => this.setRouteBuffer(Number(buffer.value));
     go.onclick = () => this.findRoute();
     clear.onclick = () => this.clearRoute();
 
-    div.append(origin, dest, go, clear, badge);
-    this.map.controls[google.maps.ControlPosition.TOP_LEFT].push(div);
+    div.append(origin, dest, mode, buffer, bufferLabel, go, clear, badge);
+    this.map.addControl(div);
   }
 
   // ========== Dashboard (3 modes) ==========
   updateDashboardOverall() {
+    // Visible map area from GET /reviews/grid when available
+    if (this.useGridStats()) {
+      const { count, avgSafety, avgInfra, recentCount } = this.gridStats.totals;
+      this.setStat("totalReviews", count ? String(count) : "");
+      this.setStat("avgSafety", count ? avgSafety.toFixed(1) : "");
+      this.setStat("avgInfra", count ? avgInfra.toFixed(1) : "");
+      this.setStat("recentReviews", count ? String(recentCount) : "");
+      return;
+    }
+
     const total = this.reviews.length;
-    // totals/averages from ALL reviews
-    const avgSafety = total ? (this.reviews.reduce((s, r) => s + r.safetyRating, 0) / total).toFixed(1) : "";
-    const avgInfra  = total ? (this.reviews.reduce((s, r) => s + r.infrastructureRating, 0) / total).toFixed(1) : "";
+    // totals/averages from the loaded reviews, averages weighted for the travel time
+    const avgSafety = total ? this.weightedAverage(this.reviews, "safetyRating").toFixed(1) : "";
+    const avgInfra  = total ? this.weightedAverage(this.reviews, "infrastructureRating").toFixed(1) : "";
     const weekAgo = new Date(); weekAgo.setDate(weekAgo.getDate() - 7);
     const recent = total ? this.reviews.filter(r => new Date(r.timestamp) > weekAgo).length.toString() : "";
 
@@ -253,8 +1471,8 @@ class SafetyMapApp {
     }
     const list = this.routeFiltered;
     const total = list.length;
-    const avgSafety = (list.reduce((s, r) => s + r.safetyRating, 0) / total).toFixed(1);
-    const avgInfra  = (list.reduce((s, r) => s + r.infrastructureRating, 0) / total).toFixed(1);
+    const avgSafety = this.weightedAverage(list, "safetyRating").toFixed(1);
+    const avgInfra  = this.weightedAverage(list, "infrastructureRating").toFixed(1);
     const weekAgo = new Date(); weekAgo.setDate(weekAgo.getDate() - 7);
     const recent = list.filter(r => new Date(r.timestamp) > weekAgo).length.toString();
 
@@ -278,6 +1496,48 @@ class SafetyMapApp {
   }
 
   // ========== Route actions ==========
+  loadRoutePrefs() {
+    const defaults = Object.fromEntries(Object.entries(ROUTE_MODES).map(([key, m]) => [key, m.bufferMeters]));
+    let saved = {};
+    try {
+      saved = JSON.parse(localStorage.getItem(ROUTE_PREFS_KEY)) || {};
+    } catch {
+      // unreadable → defaults
+    }
+    // Only modes the map provider can route (Leaflet/OSRM has no transit)
+    const modes = this.mapProvider.travelModes.filter((m) => ROUTE_MODES[m]);
+    const mode = modes.includes(saved.mode) ? saved.mode : modes.includes("walking") ? "walking" : modes[0] || "walking";
+    return { mode, buffers: { ...defaults, ...saved.buffers } };
+  }
+
+  saveRoutePrefs() {
+    localStorage.setItem(ROUTE_PREFS_KEY, JSON.stringify({ mode: this.routeMode, buffers: this.routeBuffers }));
+  }
+
+  formatBuffer(meters) {
+    return meters >= 1000 ? `±${(meters / 1000).toFixed(meters % 1000 ? 1 : 0)} km` : `±${meters} m`;
+  }
+
+  // Mode selector: switch to that mode's buffer and, if a route is shown, fetch it again for the new mode
+  setRouteMode(mode) {
+    this.routeMode = mode;
+    this.routeBufferMeters = this.routeBuffers[mode];
+    document.getElementById("routeBuffer").value = this.routeBufferMeters;
+    document.getElementById("routeBufferValue").textContent = this.formatBuffer(this.routeBufferMeters);
+    this.saveRoutePrefs();
+    if (this.routeResult) this.findRoute();
+  }
+
+  // Buffer slider: remembered per mode; recounts the current route without routing it again
+  setRouteBuffer(meters) {
+    this.routeBuffers[this.routeMode] = meters;
+    this.routeBufferMeters = meters;
+    this.saveRoutePrefs();
+    this.refreshRouteStats();
+    // A wider corridor needs more reviews
+    if (this.routeResult) this.loadRouteReviews().then(() => this.refreshRouteStats());
+  }
+
   async findRoute() {
     const origin = document.getElementById("routeOrigin").value.trim();
     const destination = document.getElementById("routeDestination").value.trim();
@@ -286,40 +1546,107 @@ class SafetyMapApp {
       return;
     }
 
+    let routes;
     try {
-      const request = { origin, destination, travelMode: google.maps.TravelMode.DRIVING };
-      this.directionsService.route(request, (result, status) => {
-        if (status !== "OK") {
-          this.showNotification(`Route failed: ${status}`, "error");
-          return;
-        }
-        this.directionsRenderer.setDirections(result);
-        const route = result.routes[0];
-        this.routePath = route.overview_path || [];
-        this.routeActive = true;
-
-        const count = this.countReviewsAlongRoute(); // fills this.routeFiltered, draws halos
-        if (this.routeCountBadge) this.routeCountBadge.textContent = `Route reviews: ${count}`;
-
-        // Switch dashboard to route-only (or empty)
-        this.updateDashboardRouteOnly();
-      });
+      routes = await this.mapProvider.route({ origin, destination, mode: this.routeMode });
     } catch (e) {
       console.error(e);
-      this.showNotification("Could not compute route.", "error");
+      this.showNotification(`Route failed: ${e.message}`, "error");
+      return;
+    }
+    if (!routes.length) {
+      this.showNotification(`No ${this.routeMode} route found between these places.`, "warning");
+      return;
+    }
+
+    const result = { routes };
+    this.routeResult = result;
+    this.map.fitBounds(this.boundsOfRoutes(routes), 40);
+
+    // Score from the reviews along each alternative, not from whatever the viewport holds
+    await this.loadRouteReviews();
+    if (this.routeResult !== result) return; // cleared or replaced meanwhile
+
+    // Score every alternative and preselect the safest one
+    this.routeAlternatives = this.scoreRouteAlternatives(routes);
+    this.selectRoute(this.routeAlternatives[0].index);
+
+    if (this.routeAlternatives.length > 1) {
+      this.showNotification(
+        `Found ${this.routeAlternatives.length} routes. Showing the safest; pick another in the side panel.`,
+        "info"
+      );
     }
   }
 
+  boundsOfRoutes(routes) {
+    return routes.map((r) => r.bounds).reduce((all, b) => ({
+      south: Math.min(all.south, b.south),
+      west: Math.min(all.west, b.west),
+      north: Math.max(all.north, b.north),
+      east: Math.max(all.east, b.east),
+    }));
+  }
+
+  // Blue base line under the segment colours, plus origin (green) and destination (red) dots
+  drawSelectedRoute() {
+    this.clearSelectedRoute();
+    const path = this.routePath;
+    if (path.length < 2) return;
+    this.routeLine = this.map.addPolyline({ path, color: "#1a73e8", opacity: 0.8, weight: 6, zIndex: 5 });
+    this.routeEndMarkers = [
+      this.map.addMarker({ position: path[0], title: "Origin", color: "#4CAF50", opacity: 1, scale: 7 }),
+      this.map.addMarker({ position: path[path.length - 1], title: "Destination", color: "#F44336", opacity: 1, scale: 7 }),
+    ];
+  }
+
+  clearSelectedRoute() {
+    if (this.routeLine) this.routeLine.remove();
+    this.routeLine = null;
+    this.routeEndMarkers.forEach((m) => m.remove());
+    this.routeEndMarkers = [];
+  }
+
+  selectRoute(index) {
+    if (!this.routeResult || !this.routeResult.routes[index]) return;
+
+    this.selectedRouteIndex = index;
+    this.routePath = this.routeResult.routes[index].path;
+    this.routeScoringPaths = this.routeScoringParts(this.routeResult.routes[index]).paths;
+    this.routeActive = true;
+    this.drawSelectedRoute();
+
+    const count = this.countReviewsAlongRoute(); // fills this.routeFiltered, draws halos
+    if (this.routeCountBadge) this.routeCountBadge.textContent = `Route reviews: ${count}`;
+
+    this.drawAlternativeLines();
+    this.renderRouteOptions();
+
+    // Switch dashboard to route-only (or empty)
+    this.updateDashboardRouteOnly();
+  }
+
   clearRoute() {
-    this.directionsRenderer.set("directions", null);
+    this.clearSelectedRoute();
     this.routePath = [];
+    this.routeScoringPaths = [];
     this.routeActive = false;
     this.routeFiltered = [];
+    this.routeResult = null;
+    this.routeReviews = [];
+    this.routeReviewsRequest++;
+    this.routeAlternatives = [];
+    this.selectedRouteIndex = 0;
     if (this.routeCountBadge) this.routeCountBadge.textContent = "Route reviews: 0";
 
+    this.drawAlternativeLines();
+    this.renderRouteOptions();
+
     // remove halos
-    this.routeOverlays.forEach((o) => o.setMap(null));
+    this.routeOverlays.forEach((o) => o.remove());
     this.routeOverlays = [];
+    this.routeSegments = [];
+    this.renderRouteHotspots();
 
     // Back to overall dashboard
     this.updateDashboardOverall();
@@ -328,36 +1655,465 @@ class SafetyMapApp {
   // Build cache + draw halos + return count
   countReviewsAlongRoute() {
     this.routeFiltered = [];
-    if (!this.routePath || this.routePath.length < 2) return 0;
+    this.routeSegments = [];
 
-    // clear old halos
-    this.routeOverlays.forEach((o) => o.setMap(null));
+    // clear old segment lines
+    this.routeOverlays.forEach((o) => o.remove());
     this.routeOverlays = [];
 
-    for (const r of this.reviews) {
-      const p = { lat: r.lat, lng: r.lng };
-      const dMeters = this.minDistanceToPolylineMeters(p, this.routePath);
-      if (dMeters <= this.routeBufferMeters) {
-        this.routeFiltered.push(r);
-
-        // subtle halo (visual only)
-        const circle = new google.maps.Circle({
-          map: this.map,
-          center: p,
-          radius: Math.max(30, this.routeBufferMeters / 6),
-          strokeColor: "#1a73e8",
-          strokeOpacity: 0.9,
-          strokeWeight: 1,
-          fillColor: "#1a73e8",
-          fillOpacity: 0.12,
-          clickable: false,
-        });
-        this.routeOverlays.push(circle);
+    if (this.routeScoringPaths.length) {
+      for (const r of this.reviewsForRoute(this.selectedRouteIndex)) {
+        if (!this.matchesCategoryFilter(r) || !this.isTimeRelevant(r)) continue;
+        const dMeters = this.minDistanceToPathsMeters({ lat: r.lat, lng: r.lng }, this.routeScoringPaths);
+        if (dMeters <= this.routeBufferMeters) this.routeFiltered.push(r);
       }
+      this.routeSegments = this.scoreRouteSegments();
+      this.drawRouteSegments();
     }
+    this.renderRouteHotspots();
     return this.routeFiltered.length;
   }
 
+  // ========== Route corridors ==========
+  // Each alternative's path cut into ROUTE_CORRIDOR_METERS pieces, boxed with routeBufferMeters:
+  // a long or winding route is covered by small boxes instead of one huge one
+  routeCorridorBoxes(route) {
+    const bufLat = this.routeBufferMeters / 111320;
+    return this.splitRoutePath(route.path, ROUTE_CORRIDOR_METERS).map(({ path }) => {
+      const lats = path.map((p) => p.lat);
+      const lngs = path.map((p) => p.lng);
+      const south = Math.min(...lats);
+      const north = Math.max(...lats);
+      const bufLng = bufLat / Math.max(0.01, Math.cos((((north + south) / 2) * Math.PI) / 180));
+      return {
+        south: Math.max(-90, south - bufLat),
+        west: Math.max(-180, Math.min(...lngs) - bufLng),
+        north: Math.min(90, north + bufLat),
+        east: Math.min(180, Math.max(...lngs) + bufLng),
+      };
+    });
+  }
+
+  // GET /reviews for every corridor box of every alternative (each paged; boxes shared by
+  // alternatives are asked once) → this.routeReviews. On failure routes fall back to this.reviews.
+  async loadRouteReviews() {
+    const result = this.routeResult;
+    if (!result) return;
+    const request = ++this.routeReviewsRequest;
+
+    const boxesPerRoute = result.routes.map((route) => this.routeCorridorBoxes(route));
+    const loads = new Map(); // bbox param → pending fetchReviews
+    const load = (box) => {
+      const bbox = [box.west, box.south, box.east, box.north].join(",");
+      if (!loads.has(bbox)) loads.set(bbox, this.fetchReviews({ bbox }));
+      return loads.get(bbox);
+    };
+
+    try {
+      const corridors = await Promise.all(boxesPerRoute.map(async (boxes) => {
+        const pages = await Promise.all(boxes.map(load));
+        const byId = new Map();
+        pages.forEach((page) => page.reviews.forEach((r) => byId.set(String(r.id), r)));
+        return { boxes, reviews: [...byId.values()], truncated: pages.some((page) => page.truncated) };
+      }));
+      if (request !== this.routeReviewsRequest || result !== this.routeResult) return;
+      this.routeReviews = corridors;
+    } catch (err) {
+      if (request !== this.routeReviewsRequest || result !== this.routeResult) return;
+      console.error("Error loading reviews along the route:", err);
+      this.routeReviews = [];
+      this.showNotification("Failed to load reviews along the route; scores use the reviews on the map.", "error");
+    }
+  }
+
+  // Reviews to score route `index` with: its corridor's, or the viewport's until those load
+  reviewsForRoute(index) {
+    const corridor = this.routeReviews[index];
+    return corridor ? corridor.reviews : this.reviews;
+  }
+
+  routeReviewsTruncated(index) {
+    const corridor = this.routeReviews[index];
+    return corridor ? corridor.truncated : !!this.truncatedArea;
+  }
+
+  // Live changes: a review inside a corridor box joins that route's reviews; edits and deletes
+  // follow. Each returns whether any corridor changed.
+  addRouteReview(review) {
+    let changed = false;
+    for (const corridor of this.routeReviews) {
+      if (corridor.reviews.some((r) => String(r.id) === String(review.id))) continue;
+      const inside = corridor.boxes.some(
+        (b) => review.lat >= b.south && review.lat <= b.north && review.lng >= b.west && review.lng <= b.east
+      );
+      if (inside) {
+        corridor.reviews.unshift(review);
+        changed = true;
+      }
+    }
+    return changed;
+  }
+
+  updateRouteReview(review) {
+    let changed = false;
+    for (const corridor of this.routeReviews) {
+      const index = corridor.reviews.findIndex((r) => String(r.id) === String(review.id));
+      if (index === -1) continue;
+      corridor.reviews[index] = review;
+      changed = true;
+    }
+    return changed;
+  }
+
+  removeRouteReview(id) {
+    let changed = false;
+    for (const corridor of this.routeReviews) {
+      const before = corridor.reviews.length;
+      corridor.reviews = corridor.reviews.filter((r) => String(r.id) !== String(id));
+      changed = changed || corridor.reviews.length !== before;
+    }
+    return changed;
+  }
+
+  // ========== Route alternatives ==========
+  // The parts of a route where its reviews matter → { paths, meters }. Transit: the walking
+  // legs plus each stop (as a zero-length path), not the stretches spent inside the vehicle.
+  routeScoringParts(route) {
+    if (this.routeMode !== "transit" || !route.walkingPaths) {
+      return { paths: route.path.length >= 2 ? [route.path] : [], meters: route.distanceMeters };
+    }
+    return {
+      paths: [...route.walkingPaths.map((w) => w.path), ...route.stops.map((stop) => [stop, stop])],
+      meters: route.walkingPaths.reduce((s, w) => s + w.meters, 0),
+    };
+  }
+
+  minDistanceToPathsMeters(p, paths) {
+    let min = Infinity;
+    for (const path of paths) {
+      min = Math.min(min, this.minDistanceToPolylineMeters(p, path));
+      if (min <= this.routeBufferMeters) return min;
+    }
+    return min;
+  }
+
+  reviewsNearPaths(paths, reviews) {
+    if (!paths.length) return [];
+    return reviews.filter(
+      (r) =>
+        this.matchesCategoryFilter(r) &&
+        this.isTimeRelevant(r) &&
+        this.minDistanceToPathsMeters({ lat: r.lat, lng: r.lng }, paths) <= this.routeBufferMeters
+    );
+  }
+
+  // Score one provider route from the reviews within routeBufferMeters of it, for this.routeMode
+  scoreRoute(route, index) {
+    const { distanceMeters, durationSeconds } = route;
+    const mode = ROUTE_MODES[this.routeMode];
+    const parts = this.routeScoringParts(route);
+    const km = Math.max(parts.meters / 1000, 0.1);
+
+    const reviews = this.reviewsNearPaths(parts.paths, this.reviewsForRoute(index));
+    const count = reviews.length;
+    const avgSafety = count ? this.weightedAverage(reviews, "safetyRating") : null;
+    const avgInfra = count ? this.weightedAverage(reviews, "infrastructureRating") : null;
+    const worstSafety = count ? Math.min(...reviews.map((r) => r.safetyRating)) : null;
+    const lowRated = reviews.filter((r) => r.safetyRating <= 2).length;
+
+    // No reviews → neutral midpoint, so an unreviewed route never looks safest by default
+    let score = 3;
+    if (count) {
+      const w = this.routeScoreWeights;
+      const penalty = Math.min(w.maxPenalty, (lowRated / km) * mode.lowDensityPenalty);
+      const average = (1 - mode.infraWeight) * avgSafety + mode.infraWeight * avgInfra;
+      score = w.average * average + w.worst * worstSafety - penalty;
+      score = Math.max(1, Math.min(5, score));
+    }
+
+    return {
+      index,
+      summary: route.summary || "",
+      distanceMeters,
+      durationSeconds,
+      distanceText: route.distanceText || `${(distanceMeters / 1000).toFixed(1)} km`,
+      durationText: route.durationText || `${Math.round(durationSeconds / 60)} mins`,
+      count,
+      avgSafety,
+      worstSafety,
+      density: count / km,
+      score,
+    };
+  }
+
+  // Safest first; ties go to the shorter route
+  scoreRouteAlternatives(routes) {
+    return routes
+      .map((route, i) => this.scoreRoute(route, i))
+      .sort((a, b) => b.score - a.score || a.distanceMeters - b.distanceMeters);
+  }
+
+  // Reviews changed → rescore alternatives, keep the user's selection
+  rescoreRouteAlternatives() {
+    if (!this.routeResult) return;
+    this.routeAlternatives = this.scoreRouteAlternatives(this.routeResult.routes);
+    this.renderRouteOptions();
+  }
+
+  drawAlternativeLines() {
+    this.routeAlternativeLines.forEach((l) => l.remove());
+    this.routeAlternativeLines = [];
+    if (!this.routeResult) return;
+
+    this.routeResult.routes.forEach((route, i) => {
+      if (i === this.selectedRouteIndex) return;
+      const line = this.map.addPolyline({
+        path: route.path,
+        color: "#9e9e9e",
+        opacity: 0.7,
+        weight: 5,
+        zIndex: 1,
+        onClick: () => this.selectRoute(i),
+      });
+      this.routeAlternativeLines.push(line);
+    });
+  }
+
+  renderRouteOptions() {
+    const section = document.getElementById("routeSection");
+    const list = document.getElementById("routeList");
+    if (!section || !list) return;
+
+    if (!this.routeAlternatives.length) {
+      section.style.display = "none";
+      list.innerHTML = "";
+      return;
+    }
+
+    section.style.display = "block";
+    const truncated = this.routeAlternatives.some((a) => this.routeReviewsTruncated(a.index))
+      ? `<div class="route-truncated">⚠️ Only the newest reviews along these routes are loaded, so these scores can miss older ones.</div>`
+      : "";
+    list.innerHTML = truncated + this.routeAlternatives
+      .map((a, rank) => {
+        const selected = a.index === this.selectedRouteIndex;
+        const scoreBadge = a.count
+          ? `<span class="rating-badge ${this.getRatingClass(a.score)}">${a.score.toFixed(1)}/5</span>`
+          : `<span class="rating-badge">No reviews</span>`;
+        return `
+      <div class="route-option${selected ? " selected" : ""}" onclick="app.selectRoute(${a.index})">
+        <div class="route-option-header">
+          <span class="route-option-title">${rank === 0 ? "🛡️ Safest: " : ""}${a.summary ? `via ${a.summary}` : `Route ${rank + 1}`}</span>
+          ${scoreBadge}
+        </div>
+        <div class="route-option-meta">${a.distanceText} · ${a.durationText}</div>
+        <div class="route-option-stats">
+          <span>Avg safety: ${a.count ? a.avgSafety.toFixed(1) : "–"}</span>
+          <span>Worst: ${a.count ? a.worstSafety : "–"}</span>
+          <span>${a.density.toFixed(1)} reviews/km</span>
+        </div>
+      </div>`;
+      })
+      .join("");
+  }
+
+  // ========== Route safety breakdown ==========
+  // Route path → consecutive pieces of `pieceMeters` (the last one shorter):
+  // [{ path, startMeters, lengthMeters }]. Long straight edges are cut by interpolation.
+  splitRoutePath(path, pieceMeters = pieceMeters) {
+    const segments = [];
+    if (path.length < 2) return segments;
+    let current = [path[0]];
+    let start = 0;
+    let length = 0;
+
+    for (let i = 1; i < path.length; i++) {
+      let a = path[i - 1];
+      const b = path[i];
+      let edge = this.calculateDistance(a, b) * 1000;
+      while (edge > 0 && length + edge >= pieceMeters) {
+        const t = (pieceMeters - length) / edge;
+        a = { lat: a.lat + (b.lat - a.lat) * t, lng: a.lng + (b.lng - a.lng) * t };
+        edge -= pieceMeters - length;
+        current.push(a);
+        segments.push({ path: current, startMeters: start, lengthMeters: pieceMeters });
+        start += pieceMeters;
+        current = [a];
+        length = 0;
+      }
+      current.push(b);
+      length += edge;
+    }
+    if (length > 0) segments.push({ path: current, startMeters: start, lengthMeters: length });
+    return segments;
+  }
+
+  // Each on-route review counts for the piece nearest to it; a piece's score is the
+  // travel-time weighted average safety of its reviews (null = no reviews)
+  scoreRouteSegments() {
+    const segments = this.splitRoutePath(this.routePath).map((s) => ({ ...s, reviews: [] }));
+    if (!segments.length) return segments;
+
+    for (const r of this.routeFiltered) {
+      const p = { lat: r.lat, lng: r.lng };
+      let nearest = segments[0];
+      let nearestMeters = Infinity;
+      for (const s of segments) {
+        const d = this.minDistanceToPolylineMeters(p, s.path, 0);
+        if (d < nearestMeters) {
+          nearest = s;
+          nearestMeters = d;
+        }
+      }
+      nearest.reviews.push(r);
+    }
+
+    return segments.map((s) => ({
+      ...s,
+      count: s.reviews.length,
+      avgSafety: s.reviews.length ? this.weightedAverage(s.reviews, "safetyRating") : null,
+    }));
+  }
+
+  segmentColor(avgSafety) {
+    return SEGMENT_COLORS[avgSafety == null ? "none" : this.getRatingClass(avgSafety)];
+  }
+
+  drawRouteSegments() {
+    for (const s of this.routeSegments) {
+      this.routeOverlays.push(
+        this.map.addPolyline({
+          path: s.path,
+          color: this.segmentColor(s.avgSafety),
+          opacity: 0.9,
+          weight: 7,
+          zIndex: 10, // above the selected route's base line
+        })
+      );
+    }
+  }
+
+  // Amber/red pieces, worst first (ties: more reviews first)
+  routeHotspots() {
+    return this.routeSegments
+      .map((s, index) => ({ ...s, index }))
+      .filter((s) => s.count && this.getRatingClass(s.avgSafety) !== "success")
+      .sort((a, b) => a.avgSafety - b.avgSafety || b.count - a.count)
+      .slice(0, ROUTE_HOTSPOT_LIMIT);
+  }
+
+  formatMeters(meters) {
+    return meters >= 1000 ? `${(meters / 1000).toFixed(1)} km` : `${Math.round(meters)} m`;
+  }
+
+  // Most frequent category labels among a piece's reviews
+  topCategoryLabels(reviews, limit = 3) {
+    const counts = {};
+    for (const r of reviews) for (const id of r.categories || []) counts[id] = (counts[id] || 0) + 1;
+    return Object.keys(counts)
+      .sort((a, b) => counts[b] - counts[a])
+      .slice(0, limit)
+      .map((id) => (this.categories.find((c) => c.id === id) || { label: id }).label);
+  }
+
+  renderRouteHotspots() {
+    const section = document.getElementById("hotspotSection");
+    const list = document.getElementById("hotspotList");
+    if (!section || !list) return;
+
+    if (!this.routeActive || !this.routeSegments.length) {
+      section.style.display = "none";
+      list.innerHTML = "";
+      return;
+    }
+
+    section.style.display = "block";
+    const hotspots = this.routeHotspots();
+    list.innerHTML = hotspots.length
+      ? hotspots
+          .map((h) => {
+            const labels = this.topCategoryLabels(h.reviews);
+            return `
+      <div class="hotspot-item" onclick="app.focusRouteSegment(${h.index})">
+        <div class="route-option-header">
+          <span class="route-option-title">${this.formatMeters(h.startMeters)} from start</span>
+          <span class="rating-badge ${this.getRatingClass(h.avgSafety)}">${h.avgSafety.toFixed(1)}/5</span>
+        </div>
+        <div class="route-option-meta">${h.count} review${h.count === 1 ? "" : "s"} over ${this.formatMeters(h.lengthMeters)}${labels.length ? ` · ${labels.join(", ")}` : ""}</div>
+      </div>`;
+          })
+          .join("")
+      : `<p class="hotspot-empty">No low-rated stretches on this route.</p>`;
+  }
+
+  focusRouteSegment(index) {
+    const segment = this.routeSegments[index];
+    if (!segment) return;
+    const lats = segment.path.map((p) => p.lat);
+    const lngs = segment.path.map((p) => p.lng);
+    this.map.fitBounds({ south: Math.min(...lats), west: Math.min(...lngs), north: Math.max(...lats), east: Math.max(...lngs) }, 80);
+  }
+
+  escapeHtml(value) {
+    return String(value ?? "").replace(/[&<>"']/g, (c) => ({ "&": "&amp;", "<": "&lt;", ">": "&gt;", '"': "&quot;", "'": "&#39;" })[c]);
+  }
+
+  // Printable summary of the selected route in a new window: score, hotspots, every piece
+  printRouteReport() {
+    const route = this.routeAlternatives.find((a) => a.index === this.selectedRouteIndex);
+    if (!this.routeActive || !route) return;
+    const win = window.open("", "_blank");
+    if (!win) {
+      this.showNotification("Allow pop-ups to print the route report.", "warning");
+      return;
+    }
+
+    const esc = (v) => this.escapeHtml(v);
+    const origin = document.getElementById("routeOrigin").value.trim();
+    const destination = document.getElementById("routeDestination").value.trim();
+    const rating = (avg) => (avg == null ? "No reviews" : `${avg.toFixed(1)}/5`);
+    const hotspots = this.routeHotspots();
+    const row = (s) => `
+        <tr>
+          <td>${this.formatMeters(s.startMeters)} – ${this.formatMeters(s.startMeters + s.lengthMeters)}</td>
+          <td><span class="dot" style="background:${this.segmentColor(s.avgSafety)}"></span>${rating(s.avgSafety)}</td>
+          <td>${s.count}</td>
+          <td>${esc(this.topCategoryLabels(s.reviews).join(", "))}</td>
+        </tr>`;
+    const table = (segments) => `
+      <table>
+        <thead><tr><th>Stretch from start</th><th>Safety</th><th>Reviews</th><th>Reported issues</th></tr></thead>
+        <tbody>${segments.map(row).join("")}</tbody>
+      </table>`;
+
+    win.document.title = "SafetyMap route report";
+    win.document.head.insertAdjacentHTML(
+      "beforeend",
+      `<style>
+        body { font-family: system-ui, -apple-system, Segoe UI, Roboto, Arial, sans-serif; color: #222; margin: 2rem; }
+        h1 { font-size: 1.4rem; margin-bottom: 0.25rem; }
+        h2 { font-size: 1.1rem; margin-top: 1.5rem; }
+        .meta { color: #555; margin: 0.15rem 0; }
+        table { border-collapse: collapse; width: 100%; font-size: 0.85rem; }
+        th, td { border-bottom: 1px solid #ddd; padding: 0.35rem 0.5rem; text-align: left; }
+        .dot { display: inline-block; width: 0.7rem; height: 0.7rem; border-radius: 50%; margin-right: 0.4rem; -webkit-print-color-adjust: exact; print-color-adjust: exact; }
+      </style>`
+    );
+    win.document.body.innerHTML = `
+      <h1>Route safety report</h1>
+      <p class="meta">${esc(origin)} → ${esc(destination)}${route.summary ? ` (via ${esc(route.summary)})` : ""}</p>
+      <p class="meta">${ROUTE_MODES[this.routeMode].label} · ${esc(route.distanceText)} · ${esc(route.durationText)} · reviews within ${this.formatBuffer(this.routeBufferMeters)}</p>
+      <p class="meta">Travel time: ${this.formatHours(this.travelWindow)} · generated ${new Date().toLocaleString()}</p>
+      <h2>Summary</h2>
+      <p class="meta">Route score ${route.count ? `${route.score.toFixed(1)}/5` : "– (no reviews)"} · average safety ${rating(route.avgSafety)} · worst ${route.count ? route.worstSafety : "–"} · ${route.count} reviews</p>
+      <h2>Hotspots</h2>
+      ${hotspots.length ? table(hotspots) : `<p class="meta">No low-rated stretches on this route.</p>`}
+      <h2>Whole route</h2>
+      ${table(this.routeSegments)}`;
+    win.focus();
+    win.print();
+  }
+
   // ========== Geometry helpers ==========
   toRad(x) { return x * Math.PI / 180; }
 
@@ -383,29 +2139,20 @@ class SafetyMapApp {
   }
 
   // Minimum distance from point to polyline (meters)
-  minDistanceToPolylineMeters(p, path) {
+  // Stops early once within `exitBelow` (the route buffer); pass 0 for the exact minimum
+  minDistanceToPolylineMeters(p, path, exitBelow = this.routeBufferMeters) {
     let min = Infinity;
     for (let i = 0; i < path.length - 1; i++) {
-      const vLatLng = path[i];
-      const wLatLng = path[i + 1];
-      const v = { lat: vLatLng.lat(), lng: vLatLng.lng() };
-      const w = { lat: wLatLng.lat(), lng: wLatLng.lng() };
-      const d = this.distPointToSegmentMeters(p, v, w);
+      const d = this.distPointToSegmentMeters(p, path[i], path[i + 1]);
       if (d < min) min = d;
-      if (min <= this.routeBufferMeters) return min; // quick exit
+      if (min <= exitBelow) return min; // quick exit
     }
     return min;
   }
 
   // ========== Heatmap & Markers ==========
   initHeatmap() {
-    const heatmapData = this.reviews.map((review) => {
-      const weight = (review.safetyRating + review.infrastructureRating) / 10;
-      return { location: new google.maps.LatLng(review.lat, review.lng), weight };
-    });
-
-    this.heatmap = new google.maps.visualization.HeatmapLayer({ data: heatmapData, map: null });
-    this.heatmap.setOptions({
+    this.heatmap = this.map.createHeatmap({
       radius: 50,
       opacity: 0.6,
       gradient: [
@@ -425,37 +2172,189 @@ class SafetyMapApp {
         "rgba(255, 0, 0, 1)",
       ],
     });
+    if (this.heatmap) this.updateHeatmap();
+  }
+
+  initReviewLayer() {
+    this.reviewLayer = this.map.createMarkerLayer({ clusterStyle: (ratings) => this.clusterStyle(ratings) });
   }
 
+  // Cluster badge (the provider draws the review count): coloured by the average safety
+  // rating of its reviews, which each marker carries as its value
+  clusterStyle(ratings) {
+    const avg = ratings.reduce((s, r) => s + r, 0) / ratings.length;
+    return { color: this.ratingColor(avg), title: `${ratings.length} reviews · average safety ${avg.toFixed(1)}` };
+  }
+
+  ratingColor(avg) {
+    if (avg >= 4) return "#4CAF50";
+    if (avg >= 3) return "#FF9800";
+    if (avg >= 2) return "#FFC107";
+    return "#F44336";
+  }
+
+  // Category chips always apply; the rating/date filters only once "Apply" was pressed
+  // While searching, only the search hits (already filtered by the server)
+  showsMarker(review) {
+    if (this.searchResults) return this.searchResults.some((r) => String(r.id) === String(review.id));
+    if (!this.matchesCategoryFilter(review)) return false;
+    const f = this.markerFilter;
+    if (!f) return true;
+    return (
+      review.safetyRating >= Number(f.minSafety) &&
+      review.infrastructureRating >= Number(f.minInfra) &&
+      (!f.since || new Date(review.timestamp) >= new Date(f.since)) &&
+      (!f.neighbourhood || review.neighbourhood === f.neighbourhood)
+    );
+  }
+
+  // Rebuild every marker (filters or travel time changed); the clusters redraw once
   loadMarkers() {
-    this.reviewMarkers.forEach((m) => m.setMap(null));
-    this.reviewMarkers = [];
-    this.reviews.forEach((review) => this.addReviewMarker(review));
+    this.clearMarkers();
+    const shown = (this.searchResults || this.reviews).filter((r) => this.showsMarker(r));
+    const markers = this.reviewLayer.addAll(shown.map((review) => this.reviewMarkerOptions(review)));
+    shown.forEach((review, i) => this.reviewMarkers.set(String(review.id), markers[i]));
+  }
+
+  clearMarkers() {
+    this.reviewLayer.clear();
+    this.reviewMarkers.clear();
   }
 
   addReviewMarker(review) {
-    const avg = (review.safetyRating + review.infrastructureRating) / 2;
-    let color = "#F44336";
-    if (avg >= 4) color = "#4CAF50";
-    else if (avg >= 3) color = "#FF9800";
-    else if (avg >= 2) color = "#FFC107";
+    this.reviewMarkers.set(String(review.id), this.reviewLayer.add(this.reviewMarkerOptions(review)));
+  }
+
+  removeReviewMarker(id) {
+    const marker = this.reviewMarkers.get(String(id));
+    if (!marker) return;
+    this.reviewLayer.remove(marker);
+    this.reviewMarkers.delete(String(id));
+  }
 
-    const marker = new google.maps.Marker({
+  reviewMarkerOptions(review) {
+    const avg = (review.safetyRating + review.infrastructureRating) / 2;
+    return {
       position: { lat: review.lat, lng: review.lng },
-      map: this.map,
       title: review.address || "Safety Review",
-      icon: {
-        path: google.maps.SymbolPath.CIRCLE,
-        fillColor: color,
-        fillOpacity: 0.8,
-        strokeColor: "#FFFFFF",
-        strokeWeight: 2,
-        scale: 8,
-      },
+      color: this.ratingColor(avg),
+      // Fade reviews that describe a different time of day than the travel time
+      opacity: 0.2 + 0.6 * this.timeWeight(review),
+      value: review.safetyRating, // averaged by clusterStyle
+      onClick: () => this.showReviewDetails(review),
+    };
+  }
+
+  // ========== Proximity warnings ==========
+  loadWarningSettings() {
+    let saved = {};
+    try {
+      saved = JSON.parse(localStorage.getItem(WARNING_PREFS_KEY)) || {};
+    } catch {
+      // unreadable → defaults
+    }
+    return { ...WARNING_DEFAULTS, ...saved };
+  }
+
+  setupWarningUI() {
+    const radius = document.getElementById("warningRadius");
+    radius.innerHTML = WARNING_RADII.map((m) => `<option value="${m}">Within ${m} m</option>`).join("");
+
+    const s = this.warningSettings;
+    document.getElementById("warningsEnabled").checked = s.enabled;
+    radius.value = s.radiusMeters;
+    document.getElementById("warningVibrate").checked = s.vibrate;
+    document.getElementById("warningSound").checked = s.sound;
+
+    const save = () => {
+      this.warningSettings = {
+        enabled: document.getElementById("warningsEnabled").checked,
+        radiusMeters: Number(radius.value),
+        vibrate: document.getElementById("warningVibrate").checked,
+        sound: document.getElementById("warningSound").checked,
+      };
+      localStorage.setItem(WARNING_PREFS_KEY, JSON.stringify(this.warningSettings));
+      if (this.warningSettings.sound) this.unlockWarningTone();
+    };
+    ["warningsEnabled", "warningRadius", "warningVibrate", "warningSound"].forEach((id) => {
+      document.getElementById(id).onchange = save;
     });
+  }
+
+  // Every tracked position: low-rated cluster nearby, or drifting off the route somewhere worse
+  checkProximityWarnings(coords) {
+    if (!this.warningSettings.enabled || coords.accuracy > WARNING_MAX_ACCURACY_M) return;
+    const here = this.currentLocation;
+    const radiusKm = this.warningSettings.radiusMeters / 1000;
+    const nearby = this.reviews.filter(
+      (r) =>
+        this.matchesCategoryFilter(r) &&
+        this.isTimeRelevant(r) &&
+        this.calculateDistance(here, { lat: r.lat, lng: r.lng }) <= radiusKm
+    );
+
+    this.checkHotspotWarning(nearby);
+    if (this.routeActive && this.routePath.length >= 2) this.checkOffRouteWarning(here, nearby);
+  }
+
+  // Warn once per cluster: only when it contains a low review we haven't warned about yet
+  checkHotspotWarning(nearby) {
+    const low = nearby.filter((r) => r.safetyRating <= WARNING_MAX_SAFETY);
+    if (low.length < WARNING_MIN_REVIEWS) return;
+    if (low.every((r) => this.warnedReviewIds.has(String(r.id)))) return;
+
+    const message = `${low.length} low-safety reviews within ${this.warningSettings.radiusMeters} m of you. Stay alert.`;
+    if (this.raiseWarning("hotspot", message)) low.forEach((r) => this.warnedReviewIds.add(String(r.id)));
+  }
+
+  // Off the route corridor (routeBufferMeters) where nearby reviews rate lower than the route does
+  checkOffRouteWarning(here, nearby) {
+    if (this.minDistanceToPolylineMeters(here, this.routePath, 0) <= this.routeBufferMeters) {
+      this.isOffRoute = false;
+      return;
+    }
+    if (this.isOffRoute || !nearby.length) return;
+
+    const route = this.routeAlternatives.find((a) => a.index === this.selectedRouteIndex);
+    const routeAvg = route && route.count ? route.avgSafety : 3;
+    const localAvg = this.weightedAverage(nearby, "safetyRating");
+    if (localAvg >= routeAvg) return;
+
+    const message = `You've left your route into a lower-rated area (safety ${localAvg.toFixed(1)} here vs ${routeAvg.toFixed(1)} on the route).`;
+    if (this.raiseWarning("offRoute", message)) this.isOffRoute = true;
+  }
+
+  // Notification plus optional vibration / tone, throttled per kind; false if throttled
+  raiseWarning(kind, message) {
+    const now = Date.now();
+    if (now - (this.lastWarningAt[kind] || 0) < WARNING_THROTTLE_MS) return false;
+    this.lastWarningAt[kind] = now;
+
+    this.showNotification(message, "warning");
+    if (this.warningSettings.vibrate && navigator.vibrate) navigator.vibrate([200, 100, 200]);
+    if (this.warningSettings.sound) this.playWarningTone();
+    return true;
+  }
+
+  // Browsers only allow audio from a context created/resumed during a user gesture
+  unlockWarningTone() {
+    const Context = window.AudioContext || window.webkitAudioContext;
+    if (!Context) return;
+    if (!this.audioContext) this.audioContext = new Context();
+    this.audioContext.resume().catch(() => {});
+  }
 
-    marker.addListener("click", () => this.showReviewDetails(review));
-    this.reviewMarkers.push(marker);
+  playWarningTone() {
+    const ctx = this.audioContext;
+    if (!ctx) return;
+    const osc = ctx.createOscillator();
+    const gain = ctx.createGain();
+    osc.frequency.value = 880;
+    gain.gain.setValueAtTime(0.25, ctx.currentTime);
+    gain.gain.exponentialRampToValueAtTime(0.001, ctx.currentTime + 0.4);
+    osc.connect(gain).connect(ctx.destination);
+    osc.start();
+    osc.stop(ctx.currentTime + 0.4);
   }
 
   // ========== Location & UI ==========
@@ -485,22 +2384,16 @@ class SafetyMapApp {
   }
 
   addUserLocationMarker() {
-    if (this.userLocationMarker) this.userLocationMarker.setMap(null);
-    this.userLocationMarker = new google.maps.Marker({
+    if (this.userLocationMarker) this.userLocationMarker.remove();
+    this.userLocationMarker = this.map.addMarker({
       position: this.currentLocation,
-      map: this.map,
       title: "Your Location",
-      icon: {
-        path: google.maps.SymbolPath.CIRCLE,
-        fillColor: "#2196F3",
-        fillOpacity: 1,
-        strokeColor: "#FFFFFF",
-        strokeWeight: 3,
-        scale: 10,
-      },
-      animation: google.maps.Animation.BOUNCE,
+      color: "#2196F3",
+      opacity: 1,
+      strokeWeight: 3,
+      scale: 10,
+      bounce: true,
     });
-    setTimeout(() => this.userLocationMarker.setAnimation(null), 2000);
   }
 
   toggleLocationTracking() {
@@ -511,6 +2404,9 @@ class SafetyMapApp {
             this.currentLocation = { lat: pos.coords.latitude, lng: pos.coords.longitude };
             this.addUserLocationMarker();
             this.updateLocationStatus("Location: Tracking");
+            // Follow the user once they leave the view, so reviews around them get loaded
+            if (!this.isInView(this.currentLocation)) this.map.panTo(this.currentLocation);
+            this.checkProximityWarnings(pos.coords);
           },
           (error) => {
             console.error("Location tracking error:", error);
@@ -520,6 +2416,7 @@ class SafetyMapApp {
         );
 
         this.isLocationTracking = true;
+        if (this.warningSettings.sound) this.unlockWarningTone();
         document.getElementById("toggleLocation").textContent = "🔴 Stop Tracking";
         this.showNotification("Live location tracking started", "success");
       }
@@ -527,24 +2424,37 @@ class SafetyMapApp {
       if (this.watchId) navigator.geolocation.clearWatch(this.watchId);
       this.watchId = null;
       this.isLocationTracking = false;
+      this.warnedReviewIds.clear();
+      this.isOffRoute = false;
       document.getElementById("toggleLocation").textContent = "📍 Live Location";
       this.updateLocationStatus("Location: Available");
       this.showNotification("Live location tracking stopped", "info");
     }
   }
 
+  isInView({ lat, lng }) {
+    const b = this.map.getBounds();
+    if (!b) return true;
+    const inLng = b.west <= b.east ? lng >= b.west && lng <= b.east : lng >= b.west || lng <= b.east;
+    return lat >= b.south && lat <= b.north && inLng;
+  }
+
   updateLocationStatus(status) {
     document.getElementById("locationStatus").querySelector(".status-text").textContent = status;
   }
 
   toggleHeatMap() {
+    if (!this.heatmap) {
+      this.showNotification("The heat map isn't available with this map provider.", "warning");
+      return;
+    }
     if (this.isHeatMapVisible) {
-      this.heatmap.setMap(null);
+      this.heatmap.setVisible(false);
       this.isHeatMapVisible = false;
       document.getElementById("toggleHeatMap").classList.remove("active");
       this.showNotification("Heat map hidden", "info");
     } else {
-      this.heatmap.setMap(this.map);
+      this.heatmap.setVisible(true);
       this.isHeatMapVisible = true;
       document.getElementById("toggleHeatMap").classList.add("active");
       this.showNotification("Heat map visible", "success");
@@ -570,12 +2480,12 @@ class SafetyMapApp {
   openReviewModal(lat, lng) {
     this.selectedLocation = { lat, lng };
 
-    const geocoder = new google.maps.Geocoder();
-    geocoder.geocode({ location: { lat, lng } }, (results, status) => {
-      if (status === "OK" && results[0]) {
-        document.getElementById("reviewAddress").value = results[0].formatted_address;
-      } else {
-        document.getElementById("reviewAddress").value = `${lat.toFixed(6)}, ${lng.toFixed(6)}`;
+    // A preview only: the server geocodes the point itself and stores its own address
+    const addressInput = document.getElementById("reviewAddress");
+    addressInput.value = "";
+    this.mapProvider.reverseGeocode({ lat, lng }).then((address) => {
+      if (this.selectedLocation && this.selectedLocation.lat === lat && this.selectedLocation.lng === lng) {
+        addressInput.value = address || "";
       }
     });
 
@@ -583,20 +2493,58 @@ class SafetyMapApp {
     document.getElementById("reviewModal").classList.add("active");
   }
 
+  // Same form as openReviewModal, prefilled; saveReview sends it as a PATCH
+  openEditReview() {
+    const review = [...this.reviews, ...(this.searchResults || [])].find((r) => String(r.id) === String(this.currentReviewId));
+    if (!review) return;
+    this.closeViewModal();
+    this.editingReview = review;
+
+    document.getElementById("reviewModalTitle").textContent = "Edit Safety Review";
+    document.getElementById("reviewPhotosGroup").style.display = "none"; // photos can't be changed after posting
+    document.getElementById("saveReviewButton").textContent = "Update Review";
+    document.getElementById("reviewAddress").value = review.address || "";
+    document.getElementById("reviewCoords").textContent = `${review.lat.toFixed(6)}, ${review.lng.toFixed(6)}`;
+    document.getElementById("safetyRating").value = review.safetyRating;
+    document.getElementById("safetyRatingValue").textContent = review.safetyRating;
+    document.getElementById("infraRating").value = review.infrastructureRating;
+    document.getElementById("infraRatingValue").textContent = review.infrastructureRating;
+    document.getElementById("reviewDescription").value = review.description;
+    this.setCheckedCategories("reviewCategories", review.categories || []);
+    this.setObservedHoursForm(review.observedHours);
+    document.getElementById("reviewModal").classList.add("active");
+  }
+
   closeReviewModal() {
     document.getElementById("reviewModal").classList.remove("active");
     document.getElementById("reviewForm").reset();
     document.getElementById("safetyRatingValue").textContent = "3";
     document.getElementById("infraRatingValue").textContent = "3";
+    document.getElementById("observedCustom").style.display = "none";
+    document.getElementById("reviewModalTitle").textContent = "Add Safety Review";
+    document.getElementById("reviewPhotosGroup").style.display = "";
+    document.getElementById("saveReviewButton").textContent = "Save Review";
     this.selectedLocation = null;
+    this.editingReview = null;
   }
 
   updateHeatmap() {
-    const heatmapData = this.reviews.map((r) => {
-      const w = (r.safetyRating + r.infrastructureRating) / 10;
-      return { location: new google.maps.LatLng(r.lat, r.lng), weight: w };
+    this.heatmap.setData(this.heatmapData());
+  }
+
+  // One weighted point per grid cell (same total weight as its reviews), or per review
+  heatmapData() {
+    if (this.useGridStats()) {
+      return this.gridStats.cells.map((c) => ({
+        lat: c.lat,
+        lng: c.lng,
+        weight: (c.count * (c.avgSafety + c.avgInfra)) / 10,
+      }));
+    }
+    return this.reviews.filter((r) => this.matchesCategoryFilter(r)).map((r) => {
+      const w = ((r.safetyRating + r.infrastructureRating) / 10) * this.timeWeight(r);
+      return { lat: r.lat, lng: r.lng, weight: w };
     });
-    this.heatmap.setData(heatmapData);
   }
 
   checkNearbyReviews(lat, lng) {
@@ -630,7 +2578,13 @@ class SafetyMapApp {
         <div class="review-header">
           <h4>${review.address || "Unknown Location"}</h4>
           <small>Added on ${new Date(review.timestamp).toLocaleDateString()}</small>
+          ${review.updatedAt ? `
+          <small class="review-edited">
+            · edited ${this.timeAgo(review.updatedAt)}
+            <a href="#" onclick="app.toggleRevisions(event)">previous versions</a>
+          </small>` : ""}
         </div>
+        <div class="revision-list" id="revisionList" style="display: none;"></div>
         <div class="review-ratings">
           <div class="rating-item">
             <span class="rating-label">Safety:</span>
@@ -640,17 +2594,77 @@ class SafetyMapApp {
             <span class="rating-label">Infrastructure:</span>
             <span class="rating-value ${this.getRatingClass(review.infrastructureRating)}">${review.infrastructureRating}/5</span>
           </div>
+          <div class="rating-item">
+            <span class="rating-label">Applies:</span>
+            <span class="rating-value">${this.formatHours(review.observedHours)}</span>
+          </div>
         </div>
+        <div class="category-tags">${this.categoryTagsHtml(review.categories)}</div>
         <div class="review-description"><p>${review.description}</p></div>
+        ${review.photos && review.photos.length ? `
+        <div class="photo-gallery">
+          ${review.photos
+            .map(
+              (p) => `
+          <a href="${API_BASE}${p.url}" target="_blank" rel="noopener">
+            <img src="${API_BASE}${p.thumbnailUrl}" alt="Review photo" loading="lazy">
+          </a>`
+            )
+            .join("")}
+        </div>` : ""}
         <div class="review-coordinates">
+          ${review.neighbourhood || review.locality ? `
+          <small>Area: ${this.escapeHtml([review.neighbourhood, review.locality].filter(Boolean).join(", "))}</small><br>` : ""}
           <small>Location: ${review.lat.toFixed(6)}, ${review.lng.toFixed(6)}</small>
         </div>
       </div>
     `;
     document.getElementById("viewContent").innerHTML = content;
+    document.getElementById("deleteReview").style.display = this.canModifyReview(review) ? "" : "none";
+    document.getElementById("editReview").style.display = this.canModifyReview(review) ? "" : "none";
+    this.closeReportForm();
     document.getElementById("viewModal").classList.add("active");
   }
 
+  // Show/hide GET /reviews/:id/revisions under the review details
+  async toggleRevisions(event) {
+    event.preventDefault();
+    const list = document.getElementById("revisionList");
+    if (list.style.display !== "none") {
+      list.style.display = "none";
+      return;
+    }
+
+    list.innerHTML = "<p>Loading…</p>";
+    list.style.display = "";
+    try {
+      const res = await fetch(`${API_BASE}/reviews/${this.currentReviewId}/revisions`);
+      if (!res.ok) throw new Error(`HTTP ${res.status}`);
+      const revisions = await res.json();
+
+      list.innerHTML = revisions.length
+        ? revisions
+            .map(
+              (r) => `
+          <div class="recent-item">
+            <div class="recent-item-header">
+              <div class="recent-item-ratings">
+                <span class="rating-badge ${this.getRatingClass(r.safetyRating)}">S: ${r.safetyRating}</span>
+                <span class="rating-badge ${this.getRatingClass(r.infrastructureRating)}">I: ${r.infrastructureRating}</span>
+              </div>
+            </div>
+            <div class="recent-item-desc">${this.escapeHtml(r.description)}</div>
+            <div class="recent-item-time">Version ${r.revision} · replaced ${this.timeAgo(r.replacedAt)}</div>
+          </div>`
+            )
+            .join("")
+        : "<p>No previous versions.</p>";
+    } catch (err) {
+      console.error("Error loading revisions:", err);
+      list.innerHTML = "<p>Could not load previous versions.</p>";
+    }
+  }
+
   getRatingClass(rating) {
     if (rating <= 2) return "danger";
     if (rating <= 3) return "warning";
@@ -680,6 +2694,7 @@ class SafetyMapApp {
             <span class="rating-badge ${this.getRatingClass(r.infrastructureRating)}">I: ${r.infrastructureRating}</span>
           </div>
         </div>
+        <div class="category-tags">${this.categoryTagsHtml(r.categories)}</div>
         <div class="recent-item-desc">${r.description.substring(0, 60)}...</div>
         <div class="recent-item-time">${this.timeAgo(r.timestamp)}</div>
       </div>`
@@ -697,44 +2712,53 @@ class SafetyMapApp {
     return `${Math.floor(diff / 86400)}d ago`;
   }
 
-  applyFilters() {
-    const safetyMin = parseFloat(document.getElementById("safetyFilter").value);
-    const infraMin = parseFloat(document.getElementById("infraFilter").value);
+  // Filter query for GET /reviews from the side-panel controls
+  getFilterParams() {
+    const params = {
+      minSafety: document.getElementById("safetyFilter").value,
+      minInfra: document.getElementById("infraFilter").value,
+    };
     const timeFilter = document.getElementById("timeFilter").value;
-
-    let filtered = this.reviews.filter(
-      (r) => r.safetyRating >= safetyMin && r.infrastructureRating >= infraMin
-    );
+    const neighbourhood = document.getElementById("neighbourhoodFilter").value;
+    if (this.categoryFilter.length) params.categories = this.categoryFilter.join(",");
+    if (neighbourhood) params.neighbourhood = neighbourhood;
 
     if (timeFilter !== "all") {
-      const now = new Date();
-      let cutoff = new Date();
+      const cutoff = new Date();
       switch (timeFilter) {
         case "week":
-          cutoff.setDate(now.getDate() - 7);
+          cutoff.setDate(cutoff.getDate() - 7);
           break;
         case "month":
-          cutoff.setMonth(now.getMonth() - 1);
+          cutoff.setMonth(cutoff.getMonth() - 1);
           break;
         case "year":
-          cutoff.setFullYear(now.getFullYear() - 1);
+          cutoff.setFullYear(cutoff.getFullYear() - 1);
           break;
       }
-      filtered = filtered.filter((r) => new Date(r.timestamp) > cutoff);
+      params.since = cutoff.toISOString();
     }
+    return params;
+  }
 
-    // reset markers to filtered set
-    this.reviewMarkers.forEach((m) => m.setMap(null));
-    this.reviewMarkers = [];
-    filtered.forEach((r) => this.addReviewMarker(r));
+  // Filters the loaded (viewport) reviews in place; panning keeps them applied
+  applyFilters() {
+    this.categoryFilter = this.getCheckedCategories("categoryFilter");
+    this.markerFilter = this.getFilterParams();
+    this.loadMarkers();
+    if (this.searchResults) this.searchReviews(); // same search, new filters
 
-    this.showNotification(`Applied filters. Showing ${filtered.length} reviews.`, "info");
+    this.showNotification(`Applied filters. Showing ${this.reviewMarkers.size} reviews in this area.`, "info");
+    if (this.heatmap) this.updateHeatmap();
+    this.scheduleGridRefresh();
 
     // Dashboard mode stays the same: if a route is active → route-only using
     // the full dataset around the route, not the filtered set (per your spec).
+    // Category filters do narrow the route counts: "lighting complaints on this corridor".
     if (this.routeActive && this.routePath.length) {
       this.countReviewsAlongRoute();
       this.updateDashboardRouteOnly();
+      this.rescoreRouteAlternatives();
     } else {
       this.updateDashboardOverall();
     }
@@ -744,22 +2768,104 @@ class SafetyMapApp {
     document.getElementById("safetyFilter").value = 1;
     document.getElementById("infraFilter").value = 1;
     document.getElementById("timeFilter").value = "all";
+    document.getElementById("neighbourhoodFilter").value = "";
     document.getElementById("safetyValue").textContent = "1+";
     document.getElementById("infraValue").textContent = "1+";
+    this.setCheckedCategories("categoryFilter", []);
+    this.categoryFilter = [];
+    this.markerFilter = null;
 
     this.loadMarkers();
+    if (this.searchResults) this.searchReviews();
+    if (this.heatmap) this.updateHeatmap();
+    this.scheduleGridRefresh();
     this.showNotification("Filters reset. Showing all reviews.", "info");
 
     if (this.routeActive && this.routePath.length) {
       this.countReviewsAlongRoute();
       this.updateDashboardRouteOnly();
+      this.rescoreRouteAlternatives();
     } else {
       this.updateDashboardOverall();
     }
   }
 
-  clearData() {
-    this.showNotification("Server storage in use. Bulk clear is disabled.", "warning");
+  // ========== Export / import ==========
+  openDataModal() {
+    const isModerator = this.currentUser && this.currentUser.role === "moderator";
+    document.getElementById("importSection").style.display = isModerator ? "" : "none";
+    document.getElementById("importReport").innerHTML = "";
+    document.getElementById("dataModal").classList.add("active");
+  }
+
+  closeDataModal() {
+    document.getElementById("dataModal").classList.remove("active");
+    document.getElementById("importFile").value = "";
+  }
+
+  // Download GET /reviews/export with the same filters as the map
+  exportReviews() {
+    const params = { ...this.getFilterParams(), format: document.getElementById("exportFormat").value };
+    const link = document.createElement("a");
+    link.href = `${API_BASE}/reviews/export?${new URLSearchParams(params)}`;
+    link.download = "";
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+  }
+
+  // POST /reviews/import; dryRun only validates and reports
+  async importReviews(dryRun) {
+    const file = document.getElementById("importFile").files[0];
+    if (!file) {
+      this.showNotification("Choose a CSV or GeoJSON file first.", "warning");
+      return;
+    }
+    const contentType = /\.csv$/i.test(file.name) ? "text/csv" : "application/geo+json";
+
+    let report;
+    try {
+      const res = await fetch(`${API_BASE}/reviews/import${dryRun ? "?dryRun=true" : ""}`, {
+        method: "POST",
+        headers: { "Content-Type": contentType, "Accept": "application/json", ...this.authHeaders() },
+        body: await file.text(),
+      });
+      const data = await res.json();
+      if (!res.ok) {
+        this.showNotification(data.error || `Import failed (HTTP ${res.status}).`, "error");
+        return;
+      }
+      report = data;
+    } catch (err) {
+      console.error("Error importing reviews:", err);
+      this.showNotification("Failed to import reviews.", "error");
+      return;
+    }
+
+    this.renderImportReport(report);
+    if (!dryRun && report.imported) {
+      this.showNotification(`Imported ${report.imported} review(s).`, "success");
+      this.loadReviews();
+    }
+  }
+
+  renderImportReport(report) {
+    const rows = [
+      ...report.rejected.map((r) => `<li>Row ${r.row}: ${r.errors.join("; ")}</li>`),
+      ...report.duplicates.map(
+        (d) =>
+          `<li>Row ${d.row}: duplicate of ${d.duplicateOf.id ? `existing review #${d.duplicateOf.id}` : `row ${d.duplicateOf.row}`}</li>`
+      ),
+    ];
+    document.getElementById("importReport").innerHTML = `
+      <p>
+        <strong>${report.dryRun ? "Check" : "Import"}:</strong>
+        ${report.total} row(s), ${report.accepted} valid,
+        ${report.rejected.length} rejected, ${report.duplicates.length} duplicate(s)
+        ${report.dryRun ? "" : `· ${report.imported} imported`}
+      </p>
+      ${rows.length ? `<ul>${rows.join("")}</ul>` : ""}
+    `;
   }
 
   togglePanel() {
@@ -801,11 +2907,17 @@ class SafetyMapApp {
     document.getElementById("toggleHeatMap").onclick = () => this.toggleHeatMap();
     document.getElementById("toggleLocation").onclick = () => this.toggleLocationTracking();
     document.getElementById("toggleReviewMode").onclick = () => this.toggleReviewMode();
-    document.getElementById("clearData").onclick = () => this.clearData();
+    document.getElementById("openData").onclick = () => this.openDataModal();
+    document.getElementById("printRouteReport").onclick = () => this.printRouteReport();
+    document.getElementById("toggleAuth").onclick = () => this.toggleAuth();
 
     // Panel
     document.getElementById("togglePanel").onclick = () => this.togglePanel();
 
+    // Travel time
+    document.getElementById("travelTime").onchange = () => this.setTravelTime();
+    document.getElementById("travelHour").onchange = () => this.setTravelTime();
+
     // Filters
     document.getElementById("safetyFilter").oninput = (e) => {
       document.getElementById("safetyValue").textContent = e.target.value + "+";
@@ -815,6 +2927,9 @@ class SafetyMapApp {
     };
     document.getElementById("applyFilters").onclick = () => this.applyFilters();
     document.getElementById("resetFilters").onclick = () => this.resetFilters();
+    document.getElementById("searchForm").onsubmit = (e) => this.searchReviews(e);
+    document.getElementById("searchMore").onclick = () => this.loadSearchPage();
+    document.getElementById("clearSearch").onclick = () => this.clearSearch();
 
     // Review modal
     document.getElementById("closeModal").onclick = () => this.closeReviewModal();
@@ -828,11 +2943,43 @@ class SafetyMapApp {
     document.getElementById("infraRating").oninput = (e) => {
       document.getElementById("infraRatingValue").textContent = e.target.value;
     };
+    document.getElementById("reviewTimeOfDay").onchange = (e) => {
+      document.getElementById("observedCustom").style.display = e.target.value === "custom" ? "" : "none";
+    };
 
     // View modal
     document.getElementById("closeViewModal").onclick = () => this.closeViewModal();
     document.getElementById("closeView").onclick = () => this.closeViewModal();
     document.getElementById("deleteReview").onclick = () => this.deleteReview();
+    document.getElementById("editReview").onclick = () => this.openEditReview();
+    document.getElementById("reportReview").onclick = () => this.openReportForm();
+    document.getElementById("cancelReport").onclick = () => this.closeReportForm();
+    document.getElementById("reportForm").onsubmit = (e) => this.submitReport(e);
+
+    // Moderation
+    document.getElementById("moderationFilter").onchange = () => this.loadModerationQueue();
+    document.getElementById("addWatch").onclick = () => this.addWatch();
+    document.getElementById("watchKind").onchange = (e) => {
+      document.getElementById("watchRadiusGroup").style.display = e.target.value === "radius" ? "" : "none";
+    };
+
+    // Auth modal
+    document.getElementById("closeAuthModal").onclick = () => this.closeAuthModal();
+    document.getElementById("cancelAuth").onclick = () => this.closeAuthModal();
+    document.getElementById("authForm").onsubmit = (e) => this.submitAuth(e);
+    document.getElementById("authSwitch").onclick = (e) => {
+      e.preventDefault();
+      this.setAuthMode(this.authMode === "login" ? "register" : "login");
+    };
+
+    // Connectivity
+    window.addEventListener("online", () => this.flushOfflineQueue());
+
+    // Export / import modal
+    document.getElementById("closeDataModal").onclick = () => this.closeDataModal();
+    document.getElementById("exportReviews").onclick = () => this.exportReviews();
+    document.getElementById("checkImport").onclick = () => this.importReviews(true);
+    document.getElementById("runImport").onclick = () => this.importReviews(false);
 
     // Overlay close
     document.getElementById("reviewModal").onclick = (e) => {
@@ -841,16 +2988,33 @@ class SafetyMapApp {
     document.getElementById("viewModal").onclick = (e) => {
       if (e.target.classList.contains("modal-overlay")) this.closeViewModal();
     };
+    document.getElementById("authModal").onclick = (e) => {
+      if (e.target.classList.contains("modal-overlay")) this.closeAuthModal();
+    };
+    document.getElementById("dataModal").onclick = (e) => {
+      if (e.target.classList.contains("modal-overlay")) this.closeDataModal();
+    };
   }
 }
 
-// Google Maps callback
+// Load the map library picked in config.js, then start the app on it
 function initMap() {
-  window.app = new SafetyMapApp();
-  window.app.initMap();
+  loadMapProvider(window.SAFETYMAP_CONFIG.map)
+    .then((provider) => {
+      window.app = new SafetyMapApp(provider);
+      window.app.initMap();
+    })
+    .catch((err) => {
+      console.error("Map failed to load:", err);
+      document.querySelector("#loadingSpinner p").textContent = `Could not load the map: ${err.message}`;
+    });
+}
+
+if ("serviceWorker" in navigator) {
+  navigator.serviceWorker.register("sw.js").catch((err) => console.error("Service worker registration failed:", err));
 }
 
 document.addEventListener("DOMContentLoaded", () => {
   document.getElementById("loadingSpinner").style.display = "flex";
-  if (window.google && window.google.maps) initMap();
+  initMap();
 });
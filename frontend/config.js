@@ -0,0 +1,25 @@
+// SafetyMap deployment settings, loaded before mapProviders.js and app.js.
+// map.provider picks the map library:
+// - "leaflet": OpenStreetMap tiles, OSRM routing and Nominatim geocoding. No API key; point
+//   the URLs at your own tile server / OSRM / Nominatim to self-host.
+// - "google": Google Maps. Needs an API key with the Maps JavaScript, Directions and Geocoding APIs.
+window.SAFETYMAP_CONFIG = {
+  map: {
+    provider: "leaflet",
+    google: {
+      apiKey: "YOUR_API_KEY",
+    },
+    leaflet: {
+      tileUrl: "https://tile.openstreetmap.org/{z}/{x}/{y}.png",
+      tileAttribution: '&copy; <a href="https://www.openstreetmap.org/copyright">OpenStreetMap</a> contributors',
+      // OSRM route service per travel mode (an OSRM instance serves one profile); modes left
+      // out aren't offered. OSRM has no public transport, so "transit" needs the Google provider.
+      routing: {
+        walking: "https://routing.openstreetmap.de/routed-foot/route/v1/foot",
+        cycling: "https://routing.openstreetmap.de/routed-bike/route/v1/bike",
+        driving: "https://routing.openstreetmap.de/routed-car/route/v1/driving",
+      },
+      geocodingUrl: "https://nominatim.openstreetmap.org", // Nominatim
+    },
+  },
+};
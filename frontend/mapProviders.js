@@ -0,0 +1,516 @@
+// Map providers: what SafetyMapApp needs from a map library, behind one interface so a
+// deployment can run on Google Maps or on Leaflet + OpenStreetMap (picked in config.js).
+// Points are plain { lat, lng } and bounds plain { south, west, north, east } everywhere.
+//
+// provider.createMap(element, { center, zoom }) → map view:
+//   getBounds() → bounds | null (west > east when the view crosses the antimeridian)
+//   getCenter() → { lat, lng } · getZoom() · fitBounds(bounds, paddingPx) · panTo(point)
+//   onClick(fn(point)) · onIdle(fn): after every pan/zoom, and once the map is ready
+//   addControl(element): pinned to the top-left corner
+//   addMarker(marker) → { remove() }, where marker is { position, title, color, opacity, scale,
+//     strokeColor, strokeWeight, bounce, onClick } (a filled circle, scale = radius in px)
+//   addPolyline({ path, color, opacity, weight, zIndex, onClick }) → { remove() }
+//   createMarkerLayer({ clusterStyle(values) → { color, title } }) → { add, addAll, remove, clear }:
+//     clustered markers when the clustering script loaded; each marker's `value` feeds clusterStyle
+//   createHeatmap({ radius, opacity, gradient }) → { setData([{ lat, lng, weight }]), setVisible(bool) },
+//     or null when the heatmap script didn't load
+// provider.travelModes: the ROUTE_MODES keys it can route
+// provider.route({ origin, destination, mode }) → Promise<routes> ([] = no route); origin and
+//   destination are what the user typed. Each route is { path, bounds, distanceMeters,
+//   durationSeconds, distanceText?, durationText?, summary } plus, for transit, walkingPaths
+//   ([{ path, meters }]) and stops ([point]).
+// provider.reverseGeocode(point) → Promise<address | null>
+
+const CLUSTER_LIBRARIES = {
+  google: "https://unpkg.com/@googlemaps/markerclusterer@2.5.3/dist/index.min.js",
+  leaflet: "https://unpkg.com/leaflet.markercluster@1.5.3/dist/leaflet.markercluster.js",
+};
+const LEAFLET_URL = "https://unpkg.com/leaflet@1.9.4/dist";
+const LEAFLET_HEAT_URL = "https://unpkg.com/leaflet.heat@0.2.0/dist/leaflet-heat.js";
+const MARKER_BOUNCE_MS = 2000;
+
+function loadScript(src) {
+  return new Promise((resolve, reject) => {
+    const script = document.createElement("script");
+    script.src = src;
+    script.onload = resolve;
+    script.onerror = () => reject(new Error(`Could not load ${src}`));
+    document.head.appendChild(script);
+  });
+}
+
+function loadStylesheet(href) {
+  const link = document.createElement("link");
+  Object.assign(link, { rel: "stylesheet", href });
+  document.head.appendChild(link);
+}
+
+// Clustering and heatmap add-ons: the map works without them
+const loadOptionalScript = (src) => loadScript(src).catch((err) => console.error(err.message));
+
+const clusterScale = (count) => Math.min(28, 12 + 3 * Math.log2(count));
+
+function boundsOfPoints(points) {
+  return points.reduce(
+    (b, p) => ({
+      south: Math.min(b.south, p.lat),
+      west: Math.min(b.west, p.lng),
+      north: Math.max(b.north, p.lat),
+      east: Math.max(b.east, p.lng),
+    }),
+    { south: 90, west: 180, north: -90, east: -180 }
+  );
+}
+
+// ========== Google Maps ==========
+const GOOGLE_TRAVEL_MODES = { walking: "WALKING", transit: "TRANSIT", cycling: "BICYCLING", driving: "DRIVING" };
+
+class GoogleMapView {
+  constructor(element, { center, zoom }) {
+    this.map = new google.maps.Map(element, {
+      zoom,
+      center,
+      mapTypeId: google.maps.MapTypeId.ROADMAP,
+      styles: [{ featureType: "poi", elementType: "labels", stylers: [{ visibility: "off" }] }],
+      mapTypeControl: false, // avoid overlap with our route bar
+      zoomControl: true,
+      zoomControlOptions: { position: google.maps.ControlPosition.RIGHT_CENTER },
+      scaleControl: true,
+      streetViewControl: true,
+      streetViewControlOptions: { position: google.maps.ControlPosition.RIGHT_TOP },
+      fullscreenControl: false,
+    });
+  }
+
+  getBounds() {
+    const bounds = this.map.getBounds();
+    return bounds ? bounds.toJSON() : null;
+  }
+
+  getCenter() {
+    return this.map.getCenter().toJSON();
+  }
+
+  getZoom() {
+    return this.map.getZoom();
+  }
+
+  fitBounds(bounds, padding = 0) {
+    this.map.fitBounds(bounds, padding);
+  }
+
+  panTo(point) {
+    this.map.panTo(point);
+  }
+
+  onClick(fn) {
+    this.map.addListener("click", (event) => fn(event.latLng.toJSON()));
+  }
+
+  onIdle(fn) {
+    this.map.addListener("idle", fn);
+  }
+
+  addControl(element) {
+    this.map.controls[google.maps.ControlPosition.TOP_LEFT].push(element);
+  }
+
+  createMarker({ position, title, color, opacity = 0.8, scale = 8, strokeColor = "#FFFFFF", strokeWeight = 2, label, zIndex, bounce, onClick, value }) {
+    const marker = new google.maps.Marker({
+      position,
+      title,
+      label: label && { text: label, color: "#FFFFFF", fontSize: "12px", fontWeight: "600" },
+      zIndex,
+      icon: { path: google.maps.SymbolPath.CIRCLE, fillColor: color, fillOpacity: opacity, strokeColor, strokeWeight, scale },
+      animation: bounce ? google.maps.Animation.BOUNCE : null,
+    });
+    if (bounce) setTimeout(() => marker.setAnimation(null), MARKER_BOUNCE_MS);
+    if (onClick) marker.addListener("click", onClick);
+    marker.set("value", value);
+    return marker;
+  }
+
+  addMarker(options) {
+    const marker = this.createMarker(options);
+    marker.setMap(this.map);
+    return { remove: () => marker.setMap(null) };
+  }
+
+  addPolyline({ path, color, opacity = 1, weight = 4, zIndex = 0, onClick }) {
+    const line = new google.maps.Polyline({
+      map: this.map,
+      path,
+      strokeColor: color,
+      strokeOpacity: opacity,
+      strokeWeight: weight,
+      zIndex,
+      clickable: !!onClick,
+    });
+    if (onClick) line.addListener("click", onClick);
+    return { remove: () => line.setMap(null) };
+  }
+
+  createMarkerLayer({ clusterStyle }) {
+    const markers = new Set();
+    const clusterer = window.markerClusterer
+      ? new markerClusterer.MarkerClusterer({
+          map: this.map,
+          renderer: {
+            render: ({ count, position, markers: clustered }) =>
+              this.createMarker({
+                position,
+                ...clusterStyle(clustered.map((m) => m.get("value"))),
+                opacity: 0.85,
+                scale: clusterScale(count),
+                label: String(count),
+                zIndex: Number(google.maps.Marker.MAX_ZINDEX) + count,
+              }),
+          },
+        })
+      : null;
+
+    const addAll = (list) => {
+      const added = list.map((options) => this.createMarker(options));
+      added.forEach((m) => markers.add(m));
+      if (clusterer) clusterer.addMarkers(added);
+      else added.forEach((m) => m.setMap(this.map));
+      return added;
+    };
+    return {
+      add: (options) => addAll([options])[0],
+      addAll,
+      remove: (marker) => {
+        if (clusterer) clusterer.removeMarker(marker);
+        else marker.setMap(null);
+        markers.delete(marker);
+      },
+      clear: () => {
+        if (clusterer) clusterer.clearMarkers();
+        else markers.forEach((m) => m.setMap(null));
+        markers.clear();
+      },
+    };
+  }
+
+  createHeatmap({ radius, opacity, gradient }) {
+    const layer = new google.maps.visualization.HeatmapLayer({ data: [], radius, opacity, gradient });
+    return {
+      setData: (points) =>
+        layer.setData(points.map((p) => ({ location: new google.maps.LatLng(p.lat, p.lng), weight: p.weight }))),
+      setVisible: (visible) => layer.setMap(visible ? this.map : null),
+    };
+  }
+}
+
+class GoogleMapProvider {
+  constructor() {
+    this.travelModes = Object.keys(GOOGLE_TRAVEL_MODES);
+    this.directions = new google.maps.DirectionsService();
+    this.geocoder = new google.maps.Geocoder();
+  }
+
+  createMap(element, options) {
+    return new GoogleMapView(element, options);
+  }
+
+  route({ origin, destination, mode }) {
+    const request = {
+      origin,
+      destination,
+      travelMode: google.maps.TravelMode[GOOGLE_TRAVEL_MODES[mode]],
+      provideRouteAlternatives: true,
+    };
+    return new Promise((resolve, reject) => {
+      this.directions.route(request, (result, status) => {
+        if (status === "ZERO_RESULTS") resolve([]);
+        else if (status !== "OK") reject(new Error(status));
+        else resolve(result.routes.map((route) => this.toRoute(route, mode)));
+      });
+    });
+  }
+
+  // DirectionsRoute → provider route (see the top of this file)
+  toRoute(route, mode) {
+    const legs = route.legs || [];
+    const total = (key) => legs.reduce((s, l) => s + (l[key] ? l[key].value : 0), 0);
+    const points = (path) => (path || []).map((p) => p.toJSON());
+    const single = legs.length === 1 ? legs[0] : {};
+    const result = {
+      path: points(route.overview_path),
+      bounds: route.bounds.toJSON(),
+      distanceMeters: total("distance"),
+      durationSeconds: total("duration"),
+      distanceText: single.distance ? single.distance.text : null,
+      durationText: single.duration ? single.duration.text : null,
+      summary: route.summary || "",
+    };
+    if (mode !== "transit") return result;
+
+    const steps = legs.flatMap((l) => l.steps || []);
+    result.walkingPaths = steps
+      .filter((s) => s.travel_mode === "WALKING" && s.path && s.path.length >= 2)
+      .map((s) => ({ path: points(s.path), meters: s.distance ? s.distance.value : 0 }));
+    result.stops = steps
+      .filter((s) => s.transit)
+      .flatMap((s) => [s.transit.departure_stop, s.transit.arrival_stop])
+      .filter((stop) => stop && stop.location)
+      .map((stop) => stop.location.toJSON());
+    return result;
+  }
+
+  reverseGeocode(location) {
+    return new Promise((resolve) => {
+      this.geocoder.geocode({ location }, (results, status) =>
+        resolve(status === "OK" && results[0] ? results[0].formatted_address : null)
+      );
+    });
+  }
+}
+
+// ========== Leaflet + OpenStreetMap ==========
+const escapeAttr = (s) => String(s ?? "").replace(/[&<>"]/g, (c) => ({ "&": "&amp;", "<": "&lt;", ">": "&gt;", '"': "&quot;" })[c]);
+
+// "#RRGGBB" + opacity → rgba(), so only the fill fades (like a Google symbol's fillOpacity)
+function hexToRgba(hex, alpha) {
+  const n = parseInt(hex.slice(1), 16);
+  return `rgba(${(n >> 16) & 255}, ${(n >> 8) & 255}, ${n & 255}, ${alpha})`;
+}
+
+const wrapLng = (lng) => ((((lng + 180) % 360) + 360) % 360) - 180;
+
+class LeafletMapView {
+  constructor(element, { center, zoom }, config) {
+    this.map = L.map(element, { center: [center.lat, center.lng], zoom, zoomControl: false });
+    L.control.zoom({ position: "bottomright" }).addTo(this.map);
+    L.control.scale().addTo(this.map);
+    L.tileLayer(config.tileUrl, { attribution: config.tileAttribution, maxZoom: 19 }).addTo(this.map);
+  }
+
+  // Leaflet keeps counting longitudes past ±180 on a panned world copy; wrap them back
+  getBounds() {
+    const b = this.map.getBounds();
+    const south = Math.max(-90, b.getSouth());
+    const north = Math.min(90, b.getNorth());
+    if (b.getEast() - b.getWest() >= 360) return { south, west: -180, north, east: 180 };
+    return { south, west: wrapLng(b.getWest()), north, east: wrapLng(b.getEast()) };
+  }
+
+  getCenter() {
+    const c = this.map.getCenter().wrap();
+    return { lat: c.lat, lng: c.lng };
+  }
+
+  getZoom() {
+    return this.map.getZoom();
+  }
+
+  fitBounds({ south, west, north, east }, padding = 0) {
+    this.map.fitBounds([[south, west], [north, east]], { padding: [padding, padding] });
+  }
+
+  panTo({ lat, lng }) {
+    this.map.panTo([lat, lng]);
+  }
+
+  onClick(fn) {
+    this.map.on("click", (event) => {
+      const p = event.latlng.wrap();
+      fn({ lat: p.lat, lng: p.lng });
+    });
+  }
+
+  onIdle(fn) {
+    this.map.on("moveend", fn);
+    this.map.whenReady(fn);
+  }
+
+  addControl(element) {
+    const Control = L.Control.extend({ onAdd: () => element });
+    new Control({ position: "topleft" }).addTo(this.map);
+    // Typing, clicking and scrolling in the control shouldn't reach the map
+    L.DomEvent.disableClickPropagation(element);
+    L.DomEvent.disableScrollPropagation(element);
+  }
+
+  markerIcon({ color, opacity = 0.8, scale = 8, strokeColor = "#FFFFFF", strokeWeight = 2, label, title, bounce }) {
+    const size = 2 * (scale + strokeWeight);
+    const style = `background: ${hexToRgba(color, opacity)}; border: ${strokeWeight}px solid ${strokeColor};`;
+    return L.divIcon({
+      className: `map-marker${bounce ? " map-marker--bounce" : ""}`,
+      iconSize: [size, size],
+      html: `<span style="${style}"${title ? ` title="${escapeAttr(title)}"` : ""}>${label ? escapeAttr(label) : ""}</span>`,
+    });
+  }
+
+  createMarker(options) {
+    const { position, title, zIndex = 0, onClick, value } = options;
+    const marker = L.marker([position.lat, position.lng], { icon: this.markerIcon(options), title, zIndexOffset: zIndex, value });
+    if (onClick) marker.on("click", onClick);
+    return marker;
+  }
+
+  addMarker(options) {
+    const marker = this.createMarker(options).addTo(this.map);
+    return { remove: () => marker.remove() };
+  }
+
+  // Leaflet has no z-index for vectors: one pane per zIndex, stacked above the overlay pane
+  linePane(zIndex) {
+    const name = `lines-${zIndex}`;
+    if (!this.map.getPane(name)) this.map.createPane(name).style.zIndex = String(400 + zIndex);
+    return name;
+  }
+
+  addPolyline({ path, color, opacity = 1, weight = 4, zIndex = 0, onClick }) {
+    const line = L.polyline(path.map((p) => [p.lat, p.lng]), {
+      color,
+      opacity,
+      weight,
+      pane: this.linePane(zIndex),
+      interactive: !!onClick,
+      bubblingMouseEvents: false, // a click on a line isn't a map click
+    }).addTo(this.map);
+    if (onClick) line.on("click", onClick);
+    return { remove: () => line.remove() };
+  }
+
+  createMarkerLayer({ clusterStyle }) {
+    const group = L.markerClusterGroup
+      ? L.markerClusterGroup({
+          showCoverageOnHover: false,
+          iconCreateFunction: (cluster) => {
+            const count = cluster.getChildCount();
+            return this.markerIcon({
+              ...clusterStyle(cluster.getAllChildMarkers().map((m) => m.options.value)),
+              opacity: 0.85,
+              scale: clusterScale(count),
+              label: String(count),
+            });
+          },
+        })
+      : L.layerGroup();
+    group.addTo(this.map);
+
+    const addAll = (list) => {
+      const added = list.map((options) => this.createMarker(options));
+      if (group.addLayers) group.addLayers(added);
+      else added.forEach((m) => group.addLayer(m));
+      return added;
+    };
+    return {
+      add: (options) => addAll([options])[0],
+      addAll,
+      remove: (marker) => group.removeLayer(marker),
+      clear: () => group.clearLayers(),
+    };
+  }
+
+  createHeatmap({ radius, opacity, gradient }) {
+    if (!L.heatLayer) return null;
+    // Google's radius is the whole blob; leaflet.heat draws radius + blur
+    const stops = Object.fromEntries(gradient.map((color, i) => [i / (gradient.length - 1), color]));
+    const layer = L.heatLayer([], { radius: radius / 2, blur: radius / 2, gradient: stops });
+    // leaflet.heat has no opacity option; fade its canvas instead
+    layer.on("add", () => { layer._canvas.style.opacity = opacity; });
+    return {
+      setData: (points) => {
+        // Intensities are relative to `max`, like Google's heatmap scales to its heaviest point
+        layer.setOptions({ max: Math.max(1e-6, ...points.map((p) => p.weight)) });
+        layer.setLatLngs(points.map((p) => [p.lat, p.lng, p.weight]));
+      },
+      setVisible: (visible) => (visible ? layer.addTo(this.map) : layer.remove()),
+    };
+  }
+}
+
+class LeafletMapProvider {
+  constructor(config) {
+    this.config = config;
+    this.travelModes = Object.keys(config.routing || {}).filter((mode) => config.routing[mode]);
+  }
+
+  createMap(element, options) {
+    return new LeafletMapView(element, options, this.config);
+  }
+
+  // OSRM route service; typed places are geocoded first (one at a time: Nominatim allows 1 req/s)
+  async route({ origin, destination, mode }) {
+    const from = await this.findPlace(origin);
+    const to = await this.findPlace(destination);
+    const coords = `${from.lng},${from.lat};${to.lng},${to.lat}`;
+    const res = await fetch(`${this.config.routing[mode]}/${coords}?alternatives=true&overview=full&geometries=geojson&steps=true`);
+    const body = await res.json().catch(() => ({}));
+    if (body.code === "NoRoute") return [];
+    if (!res.ok || body.code !== "Ok") throw new Error(body.message || body.code || `HTTP ${res.status}`);
+
+    return body.routes.map((r) => {
+      const path = r.geometry.coordinates.map(([lng, lat]) => ({ lat, lng }));
+      return {
+        path,
+        bounds: boundsOfPoints(path),
+        distanceMeters: r.distance,
+        durationSeconds: r.duration,
+        summary: r.legs.map((l) => l.summary).filter(Boolean).join(", "),
+      };
+    });
+  }
+
+  // "lat, lng" as typed, or the first Nominatim match
+  async findPlace(text) {
+    const m = /^\s*(-?\d+(?:\.\d+)?)\s*,\s*(-?\d+(?:\.\d+)?)\s*$/.exec(text);
+    if (m) return { lat: Number(m[1]), lng: Number(m[2]) };
+
+    const params = new URLSearchParams({ format: "jsonv2", limit: 1, q: text });
+    const res = await fetch(`${this.config.geocodingUrl}/search?${params}`, { headers: { "Accept": "application/json" } });
+    if (!res.ok) throw new Error(`Geocoding failed (HTTP ${res.status})`);
+    const [place] = await res.json();
+    if (!place) throw new Error(`Couldn't find "${text}"`);
+    return { lat: Number(place.lat), lng: Number(place.lon) };
+  }
+
+  async reverseGeocode({ lat, lng }) {
+    try {
+      const params = new URLSearchParams({ format: "jsonv2", lat, lon: lng });
+      const res = await fetch(`${this.config.geocodingUrl}/reverse?${params}`, { headers: { "Accept": "application/json" } });
+      if (!res.ok) return null;
+      return (await res.json()).display_name || null;
+    } catch {
+      return null;
+    }
+  }
+}
+
+// ========== Loading ==========
+const MAP_PROVIDERS = {
+  async google(config) {
+    if (!(window.google && window.google.maps)) {
+      const maps = new Promise((resolve, reject) => {
+        window.onGoogleMapsLoaded = resolve;
+        const params = new URLSearchParams({ key: config.apiKey || "", libraries: "visualization", callback: "onGoogleMapsLoaded" });
+        loadScript(`https://maps.googleapis.com/maps/api/js?${params}`).catch(reject);
+      });
+      await Promise.all([maps, loadOptionalScript(CLUSTER_LIBRARIES.google)]);
+    }
+    return new GoogleMapProvider();
+  },
+
+  async leaflet(config) {
+    if (!window.L) {
+      loadStylesheet(`${LEAFLET_URL}/leaflet.css`);
+      loadStylesheet(CLUSTER_LIBRARIES.leaflet.replace("leaflet.markercluster.js", "MarkerCluster.css"));
+      await loadScript(`${LEAFLET_URL}/leaflet.js`);
+      // Plugins attach to L, so they load after it
+      await Promise.all([loadOptionalScript(CLUSTER_LIBRARIES.leaflet), loadOptionalScript(LEAFLET_HEAT_URL)]);
+    }
+    return new LeafletMapProvider(config);
+  },
+};
+
+// SAFETYMAP_CONFIG.map (config.js) → Promise<provider>, once the library's scripts are in
+function loadMapProvider(config) {
+  const load = MAP_PROVIDERS[config.provider];
+  if (!load) {
+    return Promise.reject(new Error(`Unknown map provider "${config.provider}" (use ${Object.keys(MAP_PROVIDERS).join(" or ")})`));
+  }
+  return load(config[config.provider] || {});
+}
@@ -0,0 +1,48 @@
+// Offline review queue (IndexedDB). Reviews that couldn't be sent wait here
+// until SafetyMapApp.flushOfflineQueue() gets them to the server.
+class OfflineQueue {
+  constructor(dbName = "safetymap", storeName = "pendingReviews") {
+    this.dbName = dbName;
+    this.storeName = storeName;
+    this.dbPromise = null;
+  }
+
+  open() {
+    if (!this.dbPromise) {
+      this.dbPromise = new Promise((resolve, reject) => {
+        const req = indexedDB.open(this.dbName, 1);
+        req.onupgradeneeded = () => {
+          req.result.createObjectStore(this.storeName, { keyPath: "localId", autoIncrement: true });
+        };
+        req.onsuccess = () => resolve(req.result);
+        req.onerror = () => reject(req.error);
+      });
+    }
+    return this.dbPromise;
+  }
+
+  // Run one request in a transaction and resolve with its result
+  async run(mode, fn) {
+    const db = await this.open();
+    return new Promise((resolve, reject) => {
+      const tx = db.transaction(this.storeName, mode);
+      const req = fn(tx.objectStore(this.storeName));
+      tx.oncomplete = () => resolve(req.result);
+      tx.onerror = () => reject(tx.error);
+    });
+  }
+
+  // → localId. Photo Files are stored as-is (IndexedDB keeps Blobs).
+  add(review, files = []) {
+    return this.run("readwrite", (store) => store.add({ review, files, queuedAt: new Date().toISOString() }));
+  }
+
+  // → [{ localId, review, files, queuedAt }] oldest first
+  all() {
+    return this.run("readonly", (store) => store.getAll());
+  }
+
+  remove(localId) {
+    return this.run("readwrite", (store) => store.delete(localId));
+  }
+}
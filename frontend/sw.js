@@ -0,0 +1,82 @@
+// SafetyMap service worker
+// - App shell: stale-while-revalidate, so the page loads without a connection
+//   and picks up new versions on the next visit
+// - GET /reviews, /reviews/grid, /reviews/neighbourhoods (any query) and /categories:
+//   network-first, falling back to the last copy we saw so the map, heatmap, dashboard,
+//   neighbourhood filter and review form still work offline. Each viewport (and grid zoom)
+//   is its own URL, so every path has its own cache holding its maxEntries most recently
+//   used responses: panning around the heatmap never evicts the review pages.
+const CACHE_VERSION = "safetymap-v4";
+const SHELL_CACHE = `${CACHE_VERSION}-shell`;
+const SHELL_FILES = ["./", "index.html", "style.css", "config.js", "mapProviders.js", "app.js", "offlineQueue.js"];
+
+self.addEventListener("install", (event) => {
+  event.waitUntil(caches.open(SHELL_CACHE).then((cache) => cache.addAll(SHELL_FILES)));
+  self.skipWaiting();
+});
+
+self.addEventListener("activate", (event) => {
+  event.waitUntil(
+    caches.keys().then((keys) =>
+      Promise.all(keys.filter((k) => !k.startsWith(CACHE_VERSION)).map((k) => caches.delete(k)))
+    )
+  );
+  self.clients.claim();
+});
+
+const DATA_CACHES = {
+  "/reviews": { name: `${CACHE_VERSION}-reviews`, maxEntries: 100 },
+  "/reviews/grid": { name: `${CACHE_VERSION}-grid`, maxEntries: 60 },
+  "/reviews/neighbourhoods": { name: `${CACHE_VERSION}-neighbourhoods`, maxEntries: 30 },
+  "/categories": { name: `${CACHE_VERSION}-categories`, maxEntries: 1 },
+};
+
+// Store (or refresh) an entry as the most recently used, then drop the least recently used
+// beyond maxEntries (cache.keys() lists entries oldest first)
+async function putRecent(cache, request, res, maxEntries) {
+  await cache.delete(request);
+  await cache.put(request, res);
+  const keys = await cache.keys();
+  await Promise.all(keys.slice(0, Math.max(0, keys.length - maxEntries)).map((k) => cache.delete(k)));
+}
+
+async function networkFirst(request, { name, maxEntries }) {
+  const cache = await caches.open(name);
+  const remember = (res) =>
+    putRecent(cache, request, res, maxEntries).catch((err) => console.error("Data cache update failed:", err));
+  try {
+    const res = await fetch(request);
+    if (res.ok) remember(res.clone());
+    return res;
+  } catch (err) {
+    const cached = await cache.match(request);
+    if (!cached) throw err;
+    remember(cached.clone());
+    return cached;
+  }
+}
+
+async function staleWhileRevalidate(request) {
+  const cache = await caches.open(SHELL_CACHE);
+  const cached = await cache.match(request);
+  const refresh = fetch(request)
+    .then((res) => {
+      if (res.ok) cache.put(request, res.clone());
+      return res;
+    })
+    .catch(() => null);
+  return cached || (await refresh) || Response.error();
+}
+
+self.addEventListener("fetch", (event) => {
+  const { request } = event;
+  if (request.method !== "GET") return;
+  const url = new URL(request.url);
+
+  const data = Object.hasOwn(DATA_CACHES, url.pathname) && DATA_CACHES[url.pathname];
+  if (data) {
+    event.respondWith(networkFirst(request, data));
+  } else if (url.origin === self.location.origin) {
+    event.respondWith(staleWhileRevalidate(request));
+  }
+});